@@ -0,0 +1,177 @@
+/**
+ * @fileoverview Handles the agent command.
+ * @author Nathan Buchar
+ */
+
+'use strict';
+
+let _ = require('lodash');
+let chalk = require('chalk');
+let childProcess = require('child_process');
+let fs = require('fs-extra');
+let os = require('os');
+let path = require('path');
+
+let nodecipher = require('../../');
+let Agent = require('../../lib/agent').Agent;
+let DEFAULT_TIMEOUT = require('../../lib/agent').DEFAULT_TIMEOUT;
+let request = require('../../lib/agent').request;
+
+/**
+ * @const {string} ENV_NAME
+ * @description The environment variable that tells NodeCipher where the agent
+ *   is listening. This sets the `agent` option of the config.
+ */
+const ENV_NAME = 'nodecipher_agent';
+
+/**
+ * @const {string} SOCKET_NAME
+ * @description The name of the socket within the private directory that is
+ *   created for it when no socket path is given.
+ */
+const SOCKET_NAME = 'agent.sock';
+
+/**
+ * Prints the error and exits.
+ *
+ * @param {string} message
+ */
+function fail(message) {
+  console.error(chalk.red('\nError: ' + message + '\n'));
+  process.exit(1);
+}
+
+/**
+ * Runs the agent in this process until it is stopped. Unless a socket path is
+ * given, the socket is created within a private temporary directory, which is
+ * removed once the agent has stopped. Once the agent is listening, the shell
+ * commands that point NodeCipher at it are printed, much like ssh-agent.
+ *
+ * @param {string} [socketPath]
+ * @param {number} timeout - The number of seconds that each key is held for.
+ */
+function runAgent(socketPath, timeout) {
+  let agent = new Agent({ timeout: timeout * 1000 });
+  let dir = null;
+
+  if (_.isUndefined(socketPath)) {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodecipher-'));
+    socketPath = path.join(dir, SOCKET_NAME);
+  }
+
+  socketPath = path.resolve(socketPath);
+
+  agent.listen(socketPath, err => {
+    if (err) {
+      fail(`The agent could not listen on "${socketPath}" (${err.code}).`);
+    }
+
+    console.log(`${ENV_NAME}=${socketPath}; export ${ENV_NAME};`);
+    console.log(`echo Agent pid ${process.pid};`);
+  });
+
+  agent.on('close', () => {
+    if (!_.isNull(dir)) {
+      fs.removeSync(dir);
+    }
+
+    process.exit(0);
+  });
+
+  _.each(['SIGINT', 'SIGTERM', 'SIGHUP'], signal => {
+    process.on(signal, () => {
+      agent.close();
+    });
+  });
+}
+
+/**
+ * Starts the agent within a detached process that outlives this one. The
+ * output of the agent is relayed until it is listening, and then this process
+ * exits.
+ *
+ * @param {Object} options
+ */
+function startAgent(options) {
+  let args = [process.argv[1], 'agent', '--foreground'];
+  let child;
+  let output = '';
+
+  if (!_.isUndefined(options.socket)) {
+    args.push('--socket', path.resolve(options.socket));
+  }
+
+  if (!_.isUndefined(options.timeout)) {
+    args.push('--timeout', String(options.timeout));
+  }
+
+  child = childProcess.spawn(process.execPath, args, {
+    detached: true,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  child.stderr.pipe(process.stderr);
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', data => {
+    output += data;
+
+    // The agent is listening once it has printed both lines.
+    if (output.split('\n').length > 2) {
+      process.stdout.write(output);
+      process.exit(0);
+    }
+  });
+
+  child.on('exit', code => {
+    process.exit(code || 1);
+  });
+
+  child.unref();
+}
+
+/**
+ * Stops the agent that the `agent` option points at, which forgets every key
+ * that it holds.
+ */
+function killAgent() {
+  let socketPath = nodecipher.config.agent;
+
+  if (_.isUndefined(socketPath)) {
+    fail(`No agent is running. "${ENV_NAME}" is not set.`);
+  }
+
+  request(socketPath, { type: 'stop' }, (err, response) => {
+    if (err) {
+      fail(`The agent at "${socketPath}" could not be reached.`);
+    }
+
+    console.log(`unset ${ENV_NAME};`);
+    console.log(`echo Agent pid ${response.pid} killed;`);
+  });
+}
+
+/**
+ * Starts, runs, or stops the agent depending on the options provided.
+ *
+ * @see startAgent
+ * @see runAgent
+ * @see killAgent
+ * @param {Object} options
+ */
+function agent(options) {
+  let timeout = _.isUndefined(options.timeout) ?
+    DEFAULT_TIMEOUT / 1000 :
+    options.timeout;
+
+  if (options.kill) {
+    killAgent();
+  } else if (!_.isInteger(timeout) || timeout <= 0) {
+    fail('The timeout must be a positive number of seconds.');
+  } else if (options.foreground) {
+    runAgent(options.socket, timeout);
+  } else {
+    startAgent(options);
+  }
+}
+
+module.exports = agent;
@@ -7,30 +7,235 @@
 
 let _ = require('lodash');
 let chalk = require('chalk');
+let fs = require('fs-extra');
 let inquirer = require('inquirer');
+let tty = require('tty');
 
 let nodecipher = require('../../');
 
 /**
- * Prompts the user to supply a password via Inquirer.
+ * @const {string} STDIO
+ * @description The file name that refers to stdin when given as the input,
+ *   or stdout when given as the output.
+ */
+const STDIO = '-';
+
+/**
+ * @const {Array} STREAM_COMMANDS
+ * @description The commands that may read from stdin or write to stdout.
+ */
+const STREAM_COMMANDS = ['encrypt', 'decrypt'];
+
+/**
+ * @const {Array} ENCRYPT_COMMANDS
+ * @description The commands that encrypt. The password is confirmed and its
+ *   strength is checked before encrypting.
+ */
+const ENCRYPT_COMMANDS = ['encrypt', 'pack', 'encryptAll'];
+
+/**
+ * @const {Array} MANIFEST_COMMANDS
+ * @description The commands that cipher every file within the `files`
+ *   manifest.
+ */
+const MANIFEST_COMMANDS = ['encryptAll', 'decryptAll'];
+
+/**
+ * @const {Object} PASSWORD_SOURCES
+ * @description The command line options that read the password from a
+ *   source, mapped to the key of the source within the `passwordFrom` option.
+ */
+const PASSWORD_SOURCES = {
+  passwordFile: 'file',
+  passwordEnv: 'env',
+  passwordFd: 'fd',
+  passwordCmd: 'command'
+};
+
+/**
+ * @const {Object} HINTS
+ * @description Where to find the valid choices for an option, keyed by the
+ *   code of the error that an invalid choice produces.
+ */
+const HINTS = {
+  ERR_BAD_ALGORITHM: 'Use `nodecipher --algorithms` to see a list of valid ' +
+    'algorithms.',
+  ERR_BAD_DIGEST: 'Use `nodecipher --hashes` to see a list of valid digest ' +
+    'hashes.',
+  ERR_BAD_KDF: 'Use `nodecipher --kdfs` to see a list of valid key ' +
+    'derivation functions.'
+};
+
+/**
+ * @const {string} TTY_PATH
+ * @description The path to the controlling terminal.
+ */
+const TTY_PATH = '/dev/tty';
+
+/**
+ * Logs a message. Messages are written to stderr when the output is written
+ * to stdout so that they do not get mixed in with the output.
+ *
+ * @param {Object} opts
+ * @param {string} message
+ */
+function log(opts, message) {
+  if (opts.output === STDIO) {
+    console.error(message);
+  } else {
+    console.log(message);
+  }
+}
+
+/**
+ * Opens the controlling terminal for the password prompt. This is only
+ * necessary when stdin or stdout are not the terminal, for instance when the
+ * input is piped in or the output is piped out. Returns `null` if the prompt
+ * can use stdin and stdout.
+ *
+ * @returns {Object|null} terminal
+ * @throws {Error} If there is no controlling terminal.
+ */
+function openTerminal() {
+  if (process.stdin.isTTY && process.stdout.isTTY) {
+    return null;
+  }
+
+  return {
+    input: new tty.ReadStream(fs.openSync(TTY_PATH, 'r')),
+    output: new tty.WriteStream(fs.openSync(TTY_PATH, 'w'))
+  };
+}
+
+/**
+ * Prompts the user to supply a password via Inquirer. The prompt reads from
+ * the terminal rather than stdin if stdin has been piped. When encrypting, the
+ * password must be entered twice, and weak passwords are not accepted if the
+ * config refuses them.
  *
+ * @param {string} command
  * @param {Function} done
  */
-function prompForPassword(done) {
-  inquirer.prompt([
+function prompForPassword(command, done) {
+  let encrypting = _.includes(ENCRYPT_COMMANDS, command);
+  let questions;
+  let terminal;
+  let prompt;
+
+  try {
+    terminal = openTerminal();
+  } catch (err) {
+    console.error(chalk.red(
+      '\nError: A password is required, but there is no terminal to prompt ' +
+      'for it. Use the `--password` option instead.\n'
+    ));
+    process.exit(1);
+  }
+
+  prompt = terminal ? inquirer.createPromptModule(terminal) : inquirer.prompt;
+
+  questions = [
     {
       type: 'password',
       message: 'Enter the password',
       name: 'password',
       validate(input) {
-        return input.length > 0;
+        if (!input.length) {
+          return false;
+        }
+
+        if (encrypting && isRefused(input)) {
+          return describeWeakPassword(input) + ' Please choose a stronger ' +
+            'password.';
+        }
+
+        return true;
       }
     }
-  ], answers => {
+  ];
+
+  if (encrypting) {
+    questions.push({
+      type: 'password',
+      message: 'Confirm the password',
+      name: 'confirmation'
+    });
+  }
+
+  prompt(questions, answers => {
+    if (terminal) {
+      terminal.input.destroy();
+      terminal.output.destroy();
+    }
+
+    if (encrypting && answers.password !== answers.confirmation) {
+      console.error(chalk.red('\nThe passwords do not match. Please try ' +
+        'again.\n'));
+
+      return prompForPassword(command, done);
+    }
+
     done(answers.password);
   });
 }
 
+/**
+ * Checks if the given password is weak and the config refuses weak passwords.
+ *
+ * @param {string} password
+ * @returns {boolean}
+ */
+function isRefused(password) {
+  return nodecipher.config.weakPasswords === 'refuse' &&
+    nodecipher.checkPassword(password).weak;
+}
+
+/**
+ * Describes the strength of the given password.
+ *
+ * @param {string} password
+ * @returns {string}
+ */
+function describeWeakPassword(password) {
+  let result = nodecipher.checkPassword(password);
+
+  return `The password is ${result.strength} (about ${result.entropy} bits ` +
+    `of entropy, below the minimum of ` +
+    `${nodecipher.config.minPasswordEntropy}).`;
+}
+
+/**
+ * Checks the strength of the password before encrypting. Weak passwords are
+ * either warned about or refused, depending on the `weakPasswords` option.
+ *
+ * @param {Object} opts
+ * @returns {boolean} Whether encrypting may continue.
+ */
+function checkPasswordStrength(opts) {
+  // Invalid passwords are reported by the cipher itself.
+  if (!_.isString(opts.password) ||
+      !nodecipher.checkPassword(opts.password).weak) {
+    return true;
+  }
+
+  if (isRefused(opts.password)) {
+    log(opts, chalk.red(
+      '\nError: ' + nodecipher.errors.BAD_PASSWORD + '. ' +
+      describeWeakPassword(opts.password) + ' Choose a stronger password, ' +
+      'or lower `minPasswordEntropy` within the .nodecipherrc file.\n'
+    ));
+
+    return false;
+  }
+
+  log(opts, chalk.yellow(
+    '\nWarning: ' + describeWeakPassword(opts.password) + ' Consider ' +
+    'choosing a stronger password.'
+  ));
+
+  return true;
+}
+
 /**
  * Parses the command line options into a more consise Object that will be
  * accepted by NodeCipher.
@@ -51,61 +256,395 @@ function parseOptions(options) {
 }
 
 /**
- * First checks if the password has been supplied. If not, the user is prompted
- * to provide one. Once the password is received, parse the options and then
- * call the appropriate NodeCipher method with the given options.
+ * Gets the source that the password should be read from, either from the
+ * command line options or the `passwordFrom` option of the config. Returns
+ * `undefined` if there is none. Exits if more than one source is given.
+ *
+ * @param {Object} options
+ * @returns {Object|undefined}
+ */
+function getPasswordSource(options) {
+  let source = {};
+
+  _.each(PASSWORD_SOURCES, (key, name) => {
+    if (!_.isUndefined(options[name])) {
+      source[key] = options[name];
+    }
+  });
+
+  if (_.size(source) > 1) {
+    console.error(chalk.red(
+      '\nError: Only one of `--password-file`, `--password-env`, ' +
+      '`--password-fd`, and `--password-cmd` may be used.\n'
+    ));
+    process.exit(1);
+  }
+
+  return _.isEmpty(source) ? nodecipher.config.passwordFrom : source;
+}
+
+/**
+ * Checks if a keyfile has been provided, either as an option or within the
+ * config.
  *
+ * @param {Object} opts
+ * @returns {boolean}
+ */
+function hasKeyfile(opts) {
+  return !_.isUndefined(opts.keyfile) ||
+    !_.isUndefined(nodecipher.config.keyfile);
+}
+
+/**
+ * Describes the factors that may be wrong when the key is rejected.
+ *
+ * @see hasKeyfile
+ * @param {Object} opts
+ * @returns {string}
+ */
+function describeFactors(opts) {
+  return hasKeyfile(opts) ? 'password or keyfile' : 'password';
+}
+
+/**
+ * Checks if the key may be found within the agent before prompting for the
+ * password. Only keys for decryption can be found without a password, and
+ * input read from stdin cannot be read again if the key is not found.
+ *
+ * @param {string} command
+ * @param {Object} opts
+ * @returns {boolean}
+ */
+function canUseAgent(command, opts) {
+  return !_.isUndefined(nodecipher.config.agent) &&
+    !_.includes(ENCRYPT_COMMANDS, command) &&
+    opts.input !== STDIO;
+}
+
+/**
+ * First checks if the password has been supplied, or if there is a source to
+ * read it from. If not, the user is prompted to provide one, unless a keyfile
+ * has been provided or the key may be held by the agent. Once the password is
+ * received, parse the options and run the command.
+ *
+ * @see getPasswordSource
+ * @see hasKeyfile
+ * @see canUseAgent
  * @see prompForPassword
- * @see handleCipher
+ * @see runCipher
  * @param {string} command
- * @param {string} input
- * @param {string} output
+ * @param {string|Array} input
+ * @param {string} [output]
  * @param {Object} Options
  */
 function cipher(command, input, output, options) {
-  if (_.isUndefined(options.password)) {
-    prompForPassword(password => {
-      cipher(command, input, output, options, _.assign(options, { password }));
+  let source = getPasswordSource(options);
+  let opts;
+
+  if (_.isUndefined(options.password) && !_.isUndefined(source)) {
+    try {
+      options.password = nodecipher.readPassword(source);
+    } catch (err) {
+      return handleCipher(command, { input, output }, err);
+    }
+  }
+
+  opts = _.assign(parseOptions(options), { input, output });
+
+  if (_.isUndefined(opts.password) && !hasKeyfile(opts) &&
+      !canUseAgent(command, opts)) {
+    prompForPassword(command, password => {
+      runCipher(command, _.assign(opts, { password }), 1);
     });
   } else {
-    let opts = _.assign(parseOptions(options), { input, output });
+    runCipher(command, opts, 0);
+  }
+}
 
-    nodecipher[command](opts, err => {
-      handleCipher(opts, err);
+/**
+ * Calls the appropriate NodeCipher method with the given options. When
+ * encrypting, the strength of the password is checked first. If the password
+ * was prompted for and turns out to be wrong, the user is prompted again
+ * until the `passwordAttempts` option is exhausted. If the password was
+ * omitted and turns out to be required, or the agent does not hold the key,
+ * the user is prompted for it.
+ * The same options are used for each attempt, apart from the password.
+ *
+ * @see checkPasswordStrength
+ * @see canRetryPassword
+ * @see handleCipher
+ * @param {string} command
+ * @param {Object} opts
+ * @param {number} attempt - The number of times that the password has been
+ *   prompted for, or 0 if it was supplied.
+ */
+function runCipher(command, opts, attempt) {
+  let done = (err, result) => {
+    if (attempt === 0 && _.isUndefined(opts.password) &&
+        opts.input !== STDIO && isPasswordRequired(err)) {
+      return prompForPassword(command, password => {
+        runCipher(command, _.assign(opts, { password }), 1);
+      });
+    }
+
+    if (attempt > 0 && attempt < nodecipher.config.passwordAttempts &&
+        canRetryPassword(opts, err)) {
+      handleRetry(opts, err, nodecipher.config.passwordAttempts - attempt);
+
+      return prompForPassword(command, password => {
+        runCipher(command, _.assign(opts, { password }), attempt + 1);
+      });
+    }
+
+    handleCipher(command, opts, err, result);
+  };
+
+  if (_.includes(ENCRYPT_COMMANDS, command) &&
+      !checkPasswordStrength(opts)) {
+    process.exit(1);
+  }
+
+  if (_.includes(STREAM_COMMANDS, command) &&
+      (opts.input === STDIO || opts.output === STDIO)) {
+    cipherStream(command, opts, done);
+  } else {
+    nodecipher[command](opts, done);
+  }
+}
+
+/**
+ * Checks if the given error is caused by a missing password, either because
+ * the key is derived from one or because the agent does not hold the key.
+ *
+ * @param {Error|null} err
+ * @returns {boolean}
+ */
+function isPasswordRequired(err) {
+  let codes = nodecipher.codes;
+
+  return !!err &&
+    (err.code === codes.PASSWORD_REQUIRED || err.code === codes.KEY_NOT_FOUND);
+}
+
+/**
+ * Checks if the given error is caused by a wrong password and the command may
+ * be run again with another one. Only errors from checking the password or
+ * from deciphering or authenticating the input are caused by a wrong
+ * password, so filesystem errors are never retried. Input read from stdin
+ * cannot be read again, and files without a password verifier or a MAC are
+ * only found to have the wrong password after their output has been written,
+ * which cannot be taken back once it has been written to stdout.
+ *
+ * @param {Object} opts
+ * @param {Error|null} err
+ * @returns {boolean}
+ */
+function canRetryPassword(opts, err) {
+  let codes = nodecipher.codes;
+
+  if (!err || opts.input === STDIO) {
+    return false;
+  }
+
+  return err.code === codes.WRONG_PASSWORD ||
+    err.code === codes.BAD_INTEGRITY ||
+    (err.code === codes.BAD_DECRYPT && opts.output !== STDIO);
+}
+
+/**
+ * Pipes the input through a cipher stream to the output. This is used in
+ * place of the file methods when the input is stdin or the output is stdout.
+ * Output files are written through an output stream, which only replaces the
+ * output file once it has been written successfully, just as the file methods
+ * do.
+ *
+ * @see STDIO
+ * @see pipeStream
+ * @param {string} command
+ * @param {Object} opts
+ * @param {Function} done
+ */
+function cipherStream(command, opts, done) {
+  let method = command === 'encrypt' ?
+    'createEncryptStream' :
+    'createDecryptStream';
+  let stream;
+
+  done = _.once(done);
+
+  // An input file is authenticated before any of it is decrypted to stdout.
+  try {
+    stream = nodecipher[method](
+      _.omit(opts, opts.input === STDIO ? ['input', 'output'] : 'output')
+    );
+  } catch (err) {
+    return done(err);
+  }
+
+  if (opts.output === STDIO) {
+    return pipeStream(opts, stream, process.stdout, done);
+  }
+
+  pipeStream(opts, stream, nodecipher.createOutputStream(opts.output), done);
+}
+
+/**
+ * Pipes the input through the given cipher stream into the given write
+ * stream. Piping stops at the first error, and an output file is only
+ * reported as failed once its output has been discarded.
+ *
+ * @param {Object} opts
+ * @param {Stream} stream
+ * @param {Stream} writeStream
+ * @param {Function} done
+ */
+function pipeStream(opts, stream, writeStream, done) {
+  let readStream;
+
+  done = _.once(done);
+
+  if (opts.input === STDIO) {
+    readStream = process.stdin;
+  } else {
+    readStream = fs.createReadStream(opts.input);
+  }
+
+  readStream.on('error', err => {
+    if (err.code === 'ENOENT') {
+      nodecipher.NodeCipherError.from(err, 'BAD_FILE');
+    }
+
+    fail(err);
+  });
+  stream.on('error', fail);
+  writeStream.on('error', fail);
+
+  if (opts.output === STDIO) {
+    stream.on('end', () => {
+      done(null);
+    });
+  } else {
+    writeStream.on('finish', () => {
+      done(null);
     });
   }
+
+  readStream.pipe(stream).pipe(writeStream);
+
+  /**
+   * Stops piping.
+   *
+   * @param {Error} err
+   */
+  function fail(err) {
+    readStream.unpipe(stream);
+    stream.unpipe(writeStream);
+
+    if (writeStream === process.stdout) {
+      return done(err);
+    }
+
+    writeStream.once('close', () => {
+      done(err);
+    });
+    writeStream.destroy();
+  }
 }
 
 /**
  * Called when the cipher has completed. Handles errors if there are any.
+ * Validation errors list every invalid option, and any other error is handled
+ * according to its code.
  *
+ * @param {string} command
  * @param {Object} opts
  * @param {Error|null} err
+ * @param {mixed} [result]
  */
-function handleCipher(opts, err) {
+function handleCipher(command, opts, err, result) {
+  let codes = nodecipher.codes;
+
   if (err) {
-    switch (err.name) {
-      case nodecipher.errors.BAD_ALGORITHM:
-        handleInvalidAlgorithm(opts, err);
-        break;
-      case nodecipher.errors.BAD_DIGEST:
-        handleInvalidHash(opts, err);
-        break;
-      case nodecipher.errors.BAD_FILE:
-        handleEnoentError(opts, err);
-        break;
-      case nodecipher.errors.BAD_DECRYPT:
-        handleBadDecrypt(opts, err);
-        break;
-      default:
-        handleUnknownErrors(opts, err);
+    if (err instanceof nodecipher.ValidationError) {
+      handleValidationError(opts, err);
+    } else {
+      switch (err.code) {
+        case codes.BAD_ALGORITHM:
+        case codes.BAD_DIGEST:
+        case codes.BAD_KDF:
+          handleInvalidChoice(opts, err);
+          break;
+        case codes.BAD_FILE:
+          handleEnoentError(opts, err);
+          break;
+        case codes.BAD_DECRYPT:
+          handleBadDecrypt(opts, err);
+          break;
+        case codes.BAD_INTEGRITY:
+          handleBadIntegrity(opts, err);
+          break;
+        case codes.WRONG_PASSWORD:
+          handleWrongPassword(opts, err);
+          break;
+        case codes.BAD_KEYFILE:
+        case codes.PASSWORD_REQUIRED:
+          handleMissingFactor(opts, err);
+          break;
+        case codes.CORRUPT_DATA:
+          handleCorruptData(opts, err);
+          break;
+        case codes.UNSUPPORTED_FORMAT:
+          handleUnsupportedFormat(opts, err);
+          break;
+        case codes.BAD_ARCHIVE:
+          handleBadArchive(opts, err);
+          break;
+        default:
+          handleUnknownErrors(opts, err);
+      }
     }
     process.exit(1);
+  } else if (command === 'listArchive') {
+    handleListSuccess(opts, result);
+  } else if (_.includes(MANIFEST_COMMANDS, command)) {
+    handleManifestSuccess(opts, result);
   } else {
     handleCipherSuccess(opts, err);
   }
 }
 
+/**
+ * Handles invalid options. Every invalid option is listed, followed by a hint
+ * for each kind of option that has a list of valid choices.
+ *
+ * @param {Object} opts
+ * @param {ValidationError} err
+ */
+function handleValidationError(opts, err) {
+  let hints = _.uniq(_.compact(_.map(err.errors, error => {
+    return HINTS[error.code];
+  })));
+
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. ' + err.message + '\n' +
+    (hints.length ? '\n' + hints.join('\n') + '\n' : '')
+  ));
+}
+
+/**
+ * Handles an invalid cipher algorithm, HMAC digest hash, or key derivation
+ * function that was not caught by validation, for instance one recorded within
+ * the header of the input file.
+ *
+ * @param {Object} opts
+ * @param {Error} err
+ */
+function handleInvalidChoice(opts, err) {
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. ' + err.message + ' ' + HINTS[err.code] + '\n'
+  ));
+}
+
 /**
  * Handles NodeCipher ENOENT errors.
  *
@@ -113,7 +652,7 @@ function handleCipher(opts, err) {
  * @param {Error} err
  */
 function handleEnoentError(opts, err) {
-  console.log(chalk.red(
+  log(opts, chalk.red(
     '\nError: ' + err.name + '. "' + err.path + '" does not exist.\n'
   ));
 }
@@ -125,10 +664,11 @@ function handleEnoentError(opts, err) {
  * @param {Error} err
  */
 function handleBadDecrypt(opts, err) {
-  console.log(chalk.red(
-    '\nError: ' + err.name + '. One or more of the following is likely ' +
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. The password is likely incorrect. If the ' +
+    'file was encrypted before node-cipher began recording its options ' +
+    'within the file, one or more of the following may also be ' +
     'incorrect:\n\n' +
-      '  - password\n' +
       '  - salt\n' +
       '  - algorithm\n' +
       '  - iterations\n' +
@@ -138,28 +678,109 @@ function handleBadDecrypt(opts, err) {
 }
 
 /**
- * Handles invalid cipher algorithm.
+ * Handles encrypted files that could not be authenticated.
+ *
+ * @param {Object} opts
+ * @param {Error} err
+ */
+function handleBadIntegrity(opts, err) {
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. "' + opts.input + '" could not be ' +
+    'authenticated. Either the password is incorrect or the file has been ' +
+    'tampered with.\n'
+  ));
+}
+
+/**
+ * Handles passwords that do not match the verifier recorded within the input
+ * file.
  *
  * @param {Object} opts
  * @param {Error} err
  */
-function handleInvalidAlgorithm(opts, err) {
-  console.log(chalk.red(
-    '\nError: ' + err.name + '. Use `nodecipher --algorithms` to see a list ' +
-    'of valid algorithms.\n'
+function handleWrongPassword(opts, err) {
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. The ' + describeFactors(opts) + ' for "' +
+    opts.input + '" is incorrect.\n'
   ));
 }
 
 /**
- * Handles invalid HMAC hash digest.
+ * Handles a keyfile that could not be read, or a password or keyfile that the
+ * key is derived from but was not provided.
  *
  * @param {Object} opts
  * @param {Error} err
  */
-function handleInvalidHash(opts, err) {
-  console.log(chalk.red(
-    '\nError: ' + err.name + '. Use `nodecipher --hashes` to see a list of ' +
-    'valid digest hashes.\n'
+function handleMissingFactor(opts, err) {
+  let hint = '';
+
+  if (err.code === nodecipher.codes.PASSWORD_REQUIRED) {
+    hint = ' Provide the password and try again.';
+  } else if (!hasKeyfile(opts)) {
+    hint = ' Provide it via `--keyfile` and try again.';
+  }
+
+  log(opts, chalk.red('\nError: ' + err.name + '. ' + err.message + hint +
+    '\n'));
+}
+
+/**
+ * Handles encrypted files that are truncated or could not be authenticated
+ * even though the password is correct.
+ *
+ * @param {Object} opts
+ * @param {Error} err
+ */
+function handleCorruptData(opts, err) {
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. "' + opts.input + '" is corrupt. The ' +
+    'password is correct, but the file has been truncated or tampered ' +
+    'with.\n'
+  ));
+}
+
+/**
+ * Handles files whose header format is not supported.
+ *
+ * @param {Object} opts
+ * @param {Error} err
+ */
+function handleUnsupportedFormat(opts, err) {
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. "' + opts.input + '" was encrypted using a ' +
+    'version of node-cipher that this one does not support. If it is newer, ' +
+    'please upgrade node-cipher and try again.\n'
+  ));
+}
+
+/**
+ * Handles archives that could not be unpacked.
+ *
+ * @param {Object} opts
+ * @param {Error} err
+ */
+function handleBadArchive(opts, err) {
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. "' + opts.input + '" could not be ' +
+    'read as an archive. ' + err.message + '\n'
+  ));
+}
+
+/**
+ * Handles a wrong password that the user will be prompted for again.
+ *
+ * @param {Object} opts
+ * @param {Error} err
+ * @param {number} remaining - The number of attempts that remain.
+ */
+function handleRetry(opts, err, remaining) {
+  let likely = err.code === nodecipher.codes.WRONG_PASSWORD ? '' : 'likely ';
+
+  log(opts, chalk.red(
+    '\nError: ' + err.name + '. The ' + describeFactors(opts) + ' is ' +
+    likely + 'incorrect. Please try again (' + remaining + ' ' +
+    (remaining === 1 ? 'attempt' : 'attempts') + ' remaining).\n'
   ));
 }
 
@@ -170,7 +791,7 @@ function handleInvalidHash(opts, err) {
  * @param {Error} err
  */
 function handleUnknownErrors(opts, err) {
-  console.log(chalk.red('\n' + err + '\n'));
+  log(opts, chalk.red('\n' + err + '\n'));
 }
 
 /**
@@ -180,9 +801,43 @@ function handleUnknownErrors(opts, err) {
  * @param {Error} err
  */
 function handleCipherSuccess(opts, err) {
-  console.log(chalk.green(
-    '\nSuccess: ' + opts.input + ' → ' + opts.output + '\n'
+  log(opts, chalk.green(
+    '\nSuccess: ' + _.castArray(opts.input).join(', ') + ' → ' +
+    opts.output + '\n'
   ));
 }
 
+/**
+ * Handle encrypt-all/decrypt-all success. Each file is printed on its own
+ * line.
+ *
+ * @param {Object} opts
+ * @param {Array} requests
+ */
+function handleManifestSuccess(opts, requests) {
+  log(opts, chalk.green('\nSuccess:\n\n' + _.map(requests, request => {
+    return '  ' + request.input + ' → ' + request.output;
+  }).join('\n') + '\n'));
+}
+
+/**
+ * Handle list success. Each file within the archive is printed on its own
+ * line along with its size and modification time.
+ *
+ * @param {Object} opts
+ * @param {Array} entries
+ */
+function handleListSuccess(opts, entries) {
+  let width = _.max(_.map(entries, entry => {
+    return String(entry.size).length;
+  }));
+
+  _.each(entries, entry => {
+    let mtime = entry.mtime ? entry.mtime.toISOString() : '-';
+
+    log(opts, _.padStart(entry.size, width) + '  ' + mtime + '  ' +
+      entry.path);
+  });
+}
+
 module.exports = cipher;
@@ -3,22 +3,50 @@
 'use strict';
 
 let _ = require('lodash');
+let chalk = require('chalk');
 let program = require('commander');
 
 let Package = require('../package.json');
+let nodecipher = loadNodeCipher();
+let agent = require('./actions/agent');
 let cipher = require('./actions/cipher');
-let chalk = require('chalk');
 
-let nodecipher = require('../');
+/**
+ * Loads NodeCipher. If its config is invalid, each of its errors is reported
+ * and the process exits, rather than waiting for the config to be used.
+ *
+ * @returns {NodeCipher}
+ */
+function loadNodeCipher() {
+  let nodecipher = require('../');
+
+  try {
+    nodecipher.inspectConfig();
+  } catch (err) {
+    if (err.code !== 'ERR_BAD_CONFIG') {
+      throw err;
+    }
+
+    console.error(chalk.red('\nError: ' + err.name + '. ' + err.message +
+      '\n'));
+    process.exit(1);
+  }
+
+  return nodecipher;
+}
 
 /**
- * Issues the password security warning, if relevant.
+ * Issues the password security warning, if relevant. The warning is written to
+ * stderr if the output is written to stdout.
  *
  * @param {string} password
+ * @param {string} output
  */
-function issuePasswordSecurityWarning(password) {
+function issuePasswordSecurityWarning(password, output) {
+  let log = output === '-' ? console.error : console.log;
+
   if (!_.isUndefined(password)) {
-    console.log(chalk.yellow(
+    log(chalk.yellow(
       '\nFor security reasons, the password should not be defined as ' +
       'part of the command. In the future, you should omit the ' +
       '`--password` option and node-cipher will prompt you for it ' +
@@ -28,12 +56,55 @@ function issuePasswordSecurityWarning(password) {
   }
 }
 
+/**
+ * Collects the values of an option that may be used more than once.
+ *
+ * @param {string} val
+ * @param {Array} [memo]
+ * @returns {Array}
+ */
+function collect(val, memo) {
+  return (memo || []).concat(val);
+}
+
 /**
  * Define CLI basics.
  */
 program
   .version(Package.version)
-  .usage('<encrypt|decrypt> <input> <output> [options]');
+  .usage('<command> [input] [output] [options]');
+
+/**
+ * Loads a plugin module. The module must export a function which is given the
+ * NodeCipher instance so that it may register its own key derivation
+ * functions and cipher backends.
+ *
+ * @param {string} name
+ */
+function requirePlugin(name) {
+  let plugin;
+
+  try {
+    plugin = require(require.resolve(name, { paths: [process.cwd()] }));
+  } catch (err) {
+    console.error(chalk.red(`\nError: Could not load plugin "${name}".\n`));
+    process.exit(1);
+  }
+
+  plugin(nodecipher);
+}
+
+/**
+ * Define option: --require <module>
+ *
+ * This will load the given plugin module before any other options are
+ * handled. May be used more than once.
+ */
+program.option(
+  '--require <module>',
+  'load a plugin that registers KDFs or cipher algorithms',
+  requirePlugin
+);
 
 /**
  * Define option: -A, --algorithms
@@ -58,28 +129,24 @@ program.option(
 );
 
 /**
- * Define encrypt and decrypt commands.
+ * Define option: -K, --kdfs
+ *
+ * This will output a list of all available key derivation functions for use
+ * in the kdf option.
  */
-_.each(['encrypt', 'decrypt'], command => {
-  program
-
-    /**
-     * Define command schema.
-     */
-    .command(`${command} <input> <output>`)
-
-    /**
-     * Define command decription.
-     */
-    .description(command + 's the input file using the options provided')
+program.option(
+  '-K, --kdfs',
+  'output a list of all available key derivation functions'
+);
 
-    /**
-     * Define command alias.
-     *
-     * encrypt => enc
-     * decrypt => dec
-     */
-    .alias(command.substr(0, 3))
+/**
+ * Defines the options that are shared by all commands that encrypt or decrypt.
+ *
+ * @param {Command} cmd
+ * @returns {Command}
+ */
+function defineCipherOptions(cmd) {
+  return cmd
 
     /**
      * Define option: -p, --password <value>
@@ -98,6 +165,63 @@ _.each(['encrypt', 'decrypt'], command => {
       'the password that we will derive a key from'
     )
 
+    /**
+     * Define option: --password-file <path>
+     *
+     * Reads the password from the given file rather than prompting for it. A
+     * single trailing newline is removed.
+     */
+    .option(
+      '--password-file <path>',
+      'read the password from a file'
+    )
+
+    /**
+     * Define option: --password-env <name>
+     *
+     * Reads the password from the given environment variable rather than
+     * prompting for it.
+     */
+    .option(
+      '--password-env <name>',
+      'read the password from an environment variable'
+    )
+
+    /**
+     * Define option: --password-fd <n>
+     *
+     * Reads the password from the given file descriptor rather than prompting
+     * for it, for instance `--password-fd 3 3<secret.txt`.
+     */
+    .option(
+      '--password-fd <n>',
+      'read the password from a file descriptor',
+      parseInt
+    )
+
+    /**
+     * Define option: --password-cmd <command>
+     *
+     * Reads the password from the output of the given command rather than
+     * prompting for it, for instance `--password-cmd "pass show project"`.
+     */
+    .option(
+      '--password-cmd <command>',
+      'read the password from the output of a command'
+    )
+
+    /**
+     * Define option: --keyfile <path>
+     *
+     * The contents of this file are used to derive the key, either alone or
+     * along with the password as a second factor. If a keyfile is provided,
+     * the password is not prompted for.
+     */
+    .option(
+      '--keyfile <path>',
+      'a file whose contents are used to derive the key'
+    )
+
     /**
      * Define option: -a, --algorithm <value>
      *
@@ -105,7 +229,7 @@ _.each(['encrypt', 'decrypt'], command => {
      * create the cipher function that will be used to encrypt or decrypt the
      * input file.
      *
-     * @default "cast5-cbc"
+     * @default "aes-256-cbc"
      */
     .option(
       '-a, --algorithm [value]',
@@ -169,15 +293,381 @@ _.each(['encrypt', 'decrypt'], command => {
       'the hash used to derive the key'
     )
 
+    /**
+     * Define option: -k, --kdf <value>
+     *
+     * This is the key derivation function that is used to derive the key from
+     * the password and salt. This may be "pbkdf2", "scrypt", or any KDF
+     * registered by a plugin.
+     *
+     * @default "pbkdf2"
+     */
+    .option(
+      '-k, --kdf [value]',
+      'the key derivation function used to derive the key'
+    )
+
+    /**
+     * Define option: --cost <n>
+     *
+     * This is the scrypt CPU/memory cost parameter (N). It must be a power of
+     * two greater than one.
+     *
+     * @default 16384
+     */
+    .option(
+      '--cost [n]',
+      'the scrypt CPU/memory cost',
+      parseInt
+    )
+
+    /**
+     * Define option: --block-size <n>
+     *
+     * This is the scrypt block size parameter (r).
+     *
+     * @default 8
+     */
+    .option(
+      '--block-size [n]',
+      'the scrypt block size',
+      parseInt
+    )
+
+    /**
+     * Define option: --parallelization <n>
+     *
+     * This is the scrypt parallelization parameter (p).
+     *
+     * @default 1
+     */
+    .option(
+      '--parallelization [n]',
+      'the scrypt parallelization',
+      parseInt
+    );
+}
+
+/**
+ * Defines the options that select the files within an input directory.
+ *
+ * @param {Command} cmd
+ * @returns {Command}
+ */
+function defineGlobOptions(cmd) {
+  return cmd
+
+    /**
+     * Define option: --include <glob>
+     *
+     * When the input is a directory, only the files whose paths relative to
+     * the input directory match one of these glob patterns are included.
+     * Patterns without slashes match the file name. May be used more than
+     * once.
+     *
+     * @default "**"
+     */
+    .option(
+      '--include <glob>',
+      'only include the files within directories that match the glob',
+      collect
+    )
+
+    /**
+     * Define option: --exclude <glob>
+     *
+     * When the input is a directory, the files whose paths relative to the
+     * input directory match one of these glob patterns are excluded. May be
+     * used more than once.
+     */
+    .option(
+      '--exclude <glob>',
+      'exclude the files within directories that match the glob',
+      collect
+    );
+}
+
+/**
+ * Define encrypt and decrypt commands.
+ */
+_.each(['encrypt', 'decrypt'], command => {
+  let cmd = program
+
+    /**
+     * Define command schema.
+     */
+    .command(`${command} <input> <output>`)
+
+    /**
+     * Define command decription. The input may be "-" to read from stdin and
+     * the output may be "-" to write to stdout.
+     */
+    .description(
+      command + 's the input file or directory using the options provided'
+    )
+
+    /**
+     * Define command alias.
+     *
+     * encrypt => enc
+     * decrypt => dec
+     */
+    .alias(command.substr(0, 3));
+
+  defineGlobOptions(defineCipherOptions(cmd))
+
+    /**
+     * Define option: -e, --extension <value>
+     *
+     * When the input is a directory, this extension is appended to the name
+     * of each file when it is encrypted, and stripped when it is decrypted.
+     * When decrypting, files without the extension are skipped.
+     *
+     * @default ""
+     */
+    .option(
+      '-e, --extension [value]',
+      'the extension appended on encrypt and stripped on decrypt'
+    )
+
     /**
      * Define command action.
      */
     .action((input, output, options) => {
-      issuePasswordSecurityWarning(options.password);
+      issuePasswordSecurityWarning(options.password, output);
       cipher(command, input, output, options);
     });
 });
 
+/**
+ * Define encrypt-all and decrypt-all commands.
+ */
+_.each(['encrypt', 'decrypt'], command => {
+  let cmd = program
+
+    /**
+     * Define command schema.
+     */
+    .command(`${command}-all`)
+
+    /**
+     * Define command decription.
+     */
+    .description(
+      command + 's every file within the `files` manifest of the ' +
+      '.nodecipherrc file'
+    );
+
+  defineCipherOptions(cmd)
+
+    /**
+     * Define command action.
+     */
+    .action(options => {
+      issuePasswordSecurityWarning(options.password);
+      cipher(command + 'All', undefined, undefined, options);
+    });
+});
+
+/**
+ * Define pack command.
+ */
+let pack = program
+
+  /**
+   * Define command schema. The last path is the output archive, and the rest
+   * are the files and directories that are packed into it.
+   */
+  .command('pack <paths...>')
+
+  /**
+   * Define command decription.
+   */
+  .description(
+    'packs the input files and directories into a single encrypted archive'
+  );
+
+defineGlobOptions(defineCipherOptions(pack))
+
+  /**
+   * Define command action.
+   */
+  .action((paths, options) => {
+    let output = paths.pop();
+
+    if (!paths.length) {
+      console.log(chalk.red(
+        '\nError: Both the input paths and the output archive are required.\n'
+      ));
+      process.exit(1);
+    }
+
+    issuePasswordSecurityWarning(options.password, output);
+    cipher('pack', paths, output, options);
+  });
+
+/**
+ * Define unpack command.
+ */
+let unpack = program
+
+  /**
+   * Define command schema.
+   */
+  .command('unpack <input> <output>')
+
+  /**
+   * Define command decription.
+   */
+  .description('unpacks the encrypted archive into the output directory');
+
+defineCipherOptions(unpack)
+
+  /**
+   * Define option: --entry <path>
+   *
+   * Only the file at this path within the archive is extracted. The whole
+   * archive is still decrypted and authenticated first.
+   */
+  .option(
+    '--entry <path>',
+    'only extract the file at this path within the archive'
+  )
+
+  /**
+   * Define command action.
+   */
+  .action((input, output, options) => {
+    issuePasswordSecurityWarning(options.password, output);
+    cipher('unpack', input, output, options);
+  });
+
+/**
+ * Define list command.
+ */
+let list = program
+
+  /**
+   * Define command schema.
+   */
+  .command('list <input>')
+
+  /**
+   * Define command decription.
+   */
+  .description('lists the files within the encrypted archive')
+
+  /**
+   * Define command alias.
+   */
+  .alias('ls');
+
+defineCipherOptions(list)
+
+  /**
+   * Define command action.
+   */
+  .action((input, options) => {
+    cipher('listArchive', input, undefined, options);
+  });
+
+/**
+ * Define config command.
+ */
+program
+
+  /**
+   * Define command schema.
+   */
+  .command('config')
+
+  /**
+   * Define command decription.
+   */
+  .description('shows the effective config and where each option came from')
+
+  /**
+   * Define command action. The password is masked.
+   */
+  .action(() => {
+    _.each(nodecipher.inspectConfig(), (entry, name) => {
+      let value = JSON.stringify(entry.value);
+
+      if (name === 'password' && !_.isUndefined(entry.value)) {
+        value = '********';
+      }
+
+      console.log(name + ': ' + value + chalk.gray(' (' + entry.source + ')'));
+    });
+  });
+
+/**
+ * Define agent command.
+ */
+program
+
+  /**
+   * Define command schema.
+   */
+  .command('agent')
+
+  /**
+   * Define command decription.
+   */
+  .description('starts an agent that holds derived keys in memory')
+
+  /**
+   * Define option: --timeout <seconds>
+   *
+   * The number of seconds that each key is held for once it has been added
+   * to the agent.
+   *
+   * @default 600
+   */
+  .option(
+    '--timeout <seconds>',
+    'the number of seconds that each key is held for',
+    parseInt
+  )
+
+  /**
+   * Define option: --socket <path>
+   *
+   * The path of the socket that the agent listens on. By default, the socket
+   * is created within a private temporary directory.
+   */
+  .option(
+    '--socket <path>',
+    'the path of the socket that the agent listens on'
+  )
+
+  /**
+   * Define option: --foreground
+   *
+   * Runs the agent within this process rather than in the background.
+   */
+  .option(
+    '--foreground',
+    'run the agent in the foreground'
+  )
+
+  /**
+   * Define option: --kill
+   *
+   * Stops the agent that the `agent` option points at.
+   */
+  .option(
+    '--kill',
+    'stop the running agent'
+  )
+
+  /**
+   * Define command action.
+   */
+  .action(options => {
+    agent(options);
+  });
+
 /**
  * Process the provided arguments.
  */
@@ -199,6 +689,14 @@ if (program.hashes) {
   return;
 }
 
+/**
+ * Handle list key derivation functions and end processing.
+ */
+if (program.kdfs) {
+  console.log(nodecipher.listKdfs().join('\n'));
+  return;
+}
+
 /**
  * Handle no input (show help) and end processing.
  */
@@ -0,0 +1,342 @@
+/**
+ * The local agent that holds derived keys in memory so that each password is
+ * only typed and derived once, much like ssh-agent. The agent answers requests
+ * over a Unix domain socket. Each request and response is a single line of
+ * JSON.
+ *
+ * @module lib/agent
+ * @author Nathan Buchar
+ * @since 7.0.0
+ */
+
+'use strict';
+
+let _ = require('lodash');
+let debug = require('debug');
+let EventEmitter = require('events');
+let fs = require('fs-extra');
+let net = require('net');
+
+/**
+ * @const {number} DEFAULT_TIMEOUT
+ * @description The number of milliseconds that a key is held for once it has
+ *   been added to the agent.
+ */
+const DEFAULT_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * @const {number} REQUEST_TIMEOUT
+ * @description The number of milliseconds to wait for the agent to respond
+ *   before the request fails.
+ */
+const REQUEST_TIMEOUT = 2000;
+
+/**
+ * @const {number} SOCKET_UMASK
+ * @description The umask that the socket is created with, so that only the
+ *   current user may connect to it.
+ */
+const SOCKET_UMASK = 0o177;
+
+/**
+ * @const {Function} debugAgent
+ * @description Logs the requests made to and handled by the agent.
+ */
+const debugAgent = debug('nodecipher:agent');
+
+/**
+ * @class Agent
+ * @classdesc Holds derived keys in memory and answers requests for them over a
+ *   Unix domain socket. Each key is identified by the parameters that it was
+ *   derived from, with and without its password, so that it may be found
+ *   either by the password or by checking each key that was derived from the
+ *   same parameters against a password verifier. Keys are forgotten once
+ *   their timeout has elapsed. Emits the "close" event once the agent has
+ *   stopped, either by `close()` or by a "stop" request.
+ * @extends EventEmitter
+ */
+class Agent extends EventEmitter {
+
+  /**
+   * Agent class constructor.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - The number of milliseconds that each
+   *   key is held for.
+   */
+  constructor(options) {
+    super();
+
+    /**
+     * @prop {number} _timeout
+     * @private
+     */
+    this._timeout = _.get(options, 'timeout', DEFAULT_TIMEOUT);
+
+    /**
+     * @prop {Array} _entries
+     * @description The keys that are held, along with their identifiers and
+     *   the timers that expire them.
+     * @private
+     */
+    this._entries = [];
+
+    /**
+     * @prop {string|null} _path
+     * @description The path of the socket that the agent is listening on.
+     * @private
+     */
+    this._path = null;
+
+    /**
+     * @prop {net.Server} _server
+     * @private
+     */
+    this._server = net.createServer(socket => {
+      this._handleConnection(socket);
+    });
+  }
+
+  /**
+   * Starts listening on the socket at the given path. The socket is only
+   * accessible by the current user. Since the socket is created with the
+   * permissions that the umask allows, the umask is narrowed while it is
+   * created, rather than narrowing its permissions once anyone could have
+   * connected to it.
+   *
+   * @param {string} socketPath
+   * @param {Function} callback
+   */
+  listen(socketPath, callback) {
+    let umask;
+
+    let onError = err => {
+      callback(err);
+    };
+
+    this._server.once('error', onError);
+
+    umask = process.umask(SOCKET_UMASK);
+
+    try {
+      this._server.listen(socketPath, () => {
+        this._server.removeListener('error', onError);
+        this._path = socketPath;
+
+        callback(null);
+      });
+    } finally {
+      process.umask(umask);
+    }
+  }
+
+  /**
+   * Forgets every key, stops listening, and removes the socket.
+   *
+   * @param {Function} [callback]
+   */
+  close(callback) {
+    this._clear();
+    this._server.close(() => {
+      fs.remove(this._path, () => {
+        this.emit('close');
+
+        if (callback) {
+          callback();
+        }
+      });
+    });
+  }
+
+  /**
+   * Reads a single request from the given connection and writes its response.
+   *
+   * @param {net.Socket} socket
+   * @private
+   */
+  _handleConnection(socket) {
+    let data = '';
+
+    socket.setEncoding('utf8');
+    socket.on('error', _.noop);
+    socket.on('data', chunk => {
+      let end;
+      let message;
+      let response;
+
+      data += chunk;
+      end = data.indexOf('\n');
+
+      if (end === -1) {
+        return;
+      }
+
+      try {
+        message = JSON.parse(data.slice(0, end));
+        response = this._handleRequest(message);
+      } catch (err) {
+        response = { error: 'The request is not valid.' };
+      }
+
+      socket.end(JSON.stringify(response) + '\n', () => {
+        if (_.get(message, 'type') === 'stop') {
+          this.close();
+        }
+      });
+    });
+  }
+
+  /**
+   * Handles a request and returns its response. A "get" request responds
+   * with each key that matches all of the given identifiers, a "put" request
+   * adds a key, a "clear" request forgets every key, and a "stop" request
+   * stops the agent once it has responded.
+   *
+   * @param {Object} message
+   * @returns {Object} response
+   * @private
+   */
+  _handleRequest(message) {
+    debugAgent('handle request: ' + message.type);
+
+    switch (message.type) {
+      case 'get':
+        return {
+          keys: _.map(this._find(message), entry => {
+            return entry.key.toString('base64');
+          })
+        };
+      case 'put':
+        this._add(message);
+        return {};
+      case 'clear':
+        this._clear();
+        return {};
+      case 'stop':
+        return { pid: process.pid };
+      default:
+        return { error: `"${message.type}" is not a known request.` };
+    }
+  }
+
+  /**
+   * Finds the entries that match all of the identifiers within the query. A
+   * query without identifiers matches nothing.
+   *
+   * @param {Object} query
+   * @returns {Array} entries
+   * @private
+   */
+  _find(query) {
+    let ids = _.pick(query, ['password', 'params']);
+
+    if (_.isEmpty(ids)) {
+      return [];
+    }
+
+    return _.filter(this._entries, ids);
+  }
+
+  /**
+   * Adds a key, replacing any key that was added with the same password and
+   * parameters. The key is forgotten once the timeout has elapsed.
+   *
+   * @param {Object} message
+   * @private
+   */
+  _add(message) {
+    let entry = {
+      password: message.password,
+      params: message.params,
+      key: Buffer.from(message.key, 'base64')
+    };
+
+    this._remove(_.find(this._entries, { password: entry.password }));
+
+    entry.timer = setTimeout(() => {
+      this._remove(entry);
+    }, this._timeout);
+    entry.timer.unref();
+
+    this._entries.push(entry);
+  }
+
+  /**
+   * Forgets the given entry, if any.
+   *
+   * @param {Object} [entry]
+   * @private
+   */
+  _remove(entry) {
+    if (_.isUndefined(entry)) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    entry.key.fill(0);
+
+    _.pull(this._entries, entry);
+  }
+
+  /**
+   * Forgets every entry.
+   *
+   * @private
+   */
+  _clear() {
+    _.each(_.clone(this._entries), entry => {
+      this._remove(entry);
+    });
+  }
+}
+
+/**
+ * Sends a request to the agent listening on the socket at the given path and
+ * calls back with its response.
+ *
+ * @param {string} socketPath
+ * @param {Object} message
+ * @param {Function} callback
+ */
+function request(socketPath, message, callback) {
+  let socket = net.connect(socketPath);
+  let data = '';
+
+  callback = _.once(callback);
+
+  debugAgent('send request: ' + message.type);
+
+  socket.setEncoding('utf8');
+  socket.setTimeout(REQUEST_TIMEOUT, () => {
+    socket.destroy(new Error('The agent did not respond.'));
+  });
+  socket.on('error', err => {
+    debugAgent('request failed: ' + err.message);
+    callback(err);
+  });
+  socket.on('data', chunk => {
+    data += chunk;
+  });
+  socket.on('end', () => {
+    let response;
+
+    try {
+      response = JSON.parse(data);
+    } catch (err) {
+      return callback(new Error('The agent did not respond with JSON.'));
+    }
+
+    if (response.error) {
+      return callback(new Error(response.error));
+    }
+
+    callback(null, response);
+  });
+  socket.write(JSON.stringify(message) + '\n');
+}
+
+module.exports = {
+  DEFAULT_TIMEOUT,
+  Agent,
+  request
+};
@@ -0,0 +1,318 @@
+/**
+ * Encodes and decodes the archives that bundle multiple files into a single
+ * encrypted file. An archive is encrypted in its entirety, so neither the
+ * names nor the number of the files within it are exposed.
+ *
+ * The archive is laid out as follows:
+ *
+ *   | magic (9 bytes) | version (UInt8) | index length (UInt32BE) | index |
+ *   | contents |
+ *
+ * The index is a JSON array describing each file, in the order in which
+ * their contents follow the index:
+ *
+ *   [{
+ *     "path": "config/secrets.json",
+ *     "mode": 420,
+ *     "size": 128,
+ *     "mtime": 1451606400000
+ *   }, ...]
+ *
+ * The modification time is recorded in milliseconds since the epoch. Since the
+ * index precedes the contents, it can be decrypted without decrypting the
+ * rest of the archive.
+ *
+ * @module lib/archive
+ * @author Nathan Buchar
+ * @since 7.0.0
+ */
+
+'use strict';
+
+let _ = require('lodash');
+let path = require('path');
+
+/**
+ * @const {Buffer} MAGIC
+ * @description The magic bytes that identify a NodeCipher archive.
+ */
+const MAGIC = Buffer.from('NCARCHIVE', 'ascii');
+
+/**
+ * @const {number} VERSION
+ * @description The current archive format version.
+ */
+const VERSION = 1;
+
+/**
+ * @const {number} PRELUDE_LENGTH
+ * @description The byte length of the magic bytes, version, and index length.
+ */
+const PRELUDE_LENGTH = MAGIC.length + 1 + 4;
+
+/**
+ * @const {Array} INDEX_FIELDS
+ * @description The fields that are recorded for each entry within the index.
+ */
+const INDEX_FIELDS = ['path', 'mode', 'size', 'mtime'];
+
+/**
+ * Archive error codes.
+ *
+ * @type {Object}
+ * @readonly
+ */
+const Codes = {
+  INVALID: 'ERR_ARCHIVE_INVALID',
+  TRUNCATED: 'ERR_ARCHIVE_TRUNCATED',
+  UNSAFE_PATH: 'ERR_ARCHIVE_UNSAFE_PATH',
+  NO_ENTRY: 'ERR_ARCHIVE_NO_ENTRY',
+  DUPLICATE_PATH: 'ERR_ARCHIVE_DUPLICATE_PATH'
+};
+
+/**
+ * Creates an archive error with the given code.
+ *
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function createError(code, message) {
+  let err = new Error(message);
+
+  err.code = code;
+
+  return err;
+}
+
+/**
+ * Normalizes the given file path into the path that it is recorded under
+ * within the archive. Paths are always relative and use forward slashes, so
+ * any root and leading ".." segments are stripped.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function normalizePath(file) {
+  let segments = path.normalize(file).split(/[\\/]+/);
+
+  segments = _.dropWhile(segments, segment => {
+    return segment === '' || segment === '..' || /^[a-z]:$/i.test(segment);
+  });
+
+  return segments.join('/');
+}
+
+/**
+ * Checks if the given path recorded within an archive may be safely extracted,
+ * that is, it is relative and does not escape the directory it is extracted
+ * into.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isSafePath(name) {
+  return _.isString(name) &&
+    name.length > 0 &&
+    !path.isAbsolute(name) &&
+    !_.includes(name, '\\') &&
+    !_.includes(name.split('/'), '..');
+}
+
+/**
+ * Removes the entries that list a file which is already listed, as happens
+ * when a file is packed both on its own and within its directory. Different
+ * files may not be recorded under the same path, since one would silently
+ * replace the other once they are extracted.
+ *
+ * @param {Array} entries
+ * @returns {Array}
+ * @throws {Error} If different files are recorded under the same path.
+ */
+function uniqEntries(entries) {
+  let seen = new Map();
+
+  return _.filter(entries, entry => {
+    let other = seen.get(entry.path);
+
+    if (_.isUndefined(other)) {
+      seen.set(entry.path, entry);
+
+      return true;
+    }
+
+    if (path.resolve(other.file) !== path.resolve(entry.file)) {
+      throw createError(
+        Codes.DUPLICATE_PATH,
+        `"${other.file}" and "${entry.file}" would both be recorded as ` +
+          `"${entry.path}".`
+      );
+    }
+
+    return false;
+  });
+}
+
+/**
+ * Encodes the index of the given entries, preceded by the prelude.
+ *
+ * @param {Array} entries
+ * @returns {Buffer}
+ */
+function encodeIndex(entries) {
+  let index = Buffer.from(JSON.stringify(_.map(entries, entry => {
+    return _.pick(entry, INDEX_FIELDS);
+  })), 'utf8');
+  let prelude = Buffer.alloc(PRELUDE_LENGTH);
+
+  MAGIC.copy(prelude, 0);
+  prelude.writeUInt8(VERSION, MAGIC.length);
+  prelude.writeUInt32BE(index.length, MAGIC.length + 1);
+
+  return Buffer.concat([prelude, index]);
+}
+
+/**
+ * Gets the total byte length of the prelude and index from the prelude.
+ *
+ * @param {Buffer} buf
+ * @returns {number}
+ */
+function getIndexLength(buf) {
+  if (buf.length < MAGIC.length || !buf.slice(0, MAGIC.length).equals(MAGIC)) {
+    throw createError(Codes.INVALID, 'The file is not an archive.');
+  }
+
+  if (buf.length < PRELUDE_LENGTH) {
+    throw createError(Codes.TRUNCATED, 'The archive is truncated.');
+  }
+
+  return PRELUDE_LENGTH + buf.readUInt32BE(MAGIC.length + 1);
+}
+
+/**
+ * Decodes the index at the beginning of the given buffer. Each entry is given
+ * the offset of its contents within the archive.
+ *
+ * @param {Buffer} buf
+ * @returns {Object} index
+ */
+function decodeIndex(buf) {
+  let length = getIndexLength(buf);
+  let version = buf.readUInt8(MAGIC.length);
+  let offset = length;
+  let entries;
+
+  if (version !== VERSION) {
+    throw createError(
+      Codes.INVALID,
+      `Archive version ${version} is not supported.`
+    );
+  }
+
+  if (buf.length < length) {
+    throw createError(Codes.TRUNCATED, 'The archive is truncated.');
+  }
+
+  try {
+    entries = JSON.parse(buf.slice(PRELUDE_LENGTH, length).toString('utf8'));
+  } catch (err) {
+    throw createError(Codes.INVALID, 'The archive index is malformed.');
+  }
+
+  if (!_.isArray(entries)) {
+    throw createError(Codes.INVALID, 'The archive index is malformed.');
+  }
+
+  entries = _.map(entries, entry => {
+    // Archives packed before modification times were recorded do not have
+    // them.
+    if (!_.isObject(entry) || !_.isSafeInteger(entry.size) ||
+        entry.size < 0 || !_.isSafeInteger(entry.mode) ||
+        !(_.isUndefined(entry.mtime) || _.isFinite(entry.mtime))) {
+      throw createError(Codes.INVALID, 'The archive index is malformed.');
+    }
+
+    if (!isSafePath(entry.path)) {
+      throw createError(
+        Codes.UNSAFE_PATH,
+        `The archive contains an unsafe path "${entry.path}".`
+      );
+    }
+
+    entry = _.assign(_.pick(entry, INDEX_FIELDS), { offset });
+    offset += entry.size;
+
+    return entry;
+  });
+
+  return { version, length, size: offset, entries };
+}
+
+/**
+ * Finds the entry with the given path within the given entries.
+ *
+ * @param {Array} entries
+ * @param {string} name
+ * @returns {Object}
+ * @throws {Error} If the archive does not contain the entry.
+ */
+function findEntry(entries, name) {
+  let entry = _.find(entries, { path: normalizePath(name) });
+
+  if (_.isUndefined(entry)) {
+    throw createError(
+      Codes.NO_ENTRY,
+      `The archive does not contain "${name}".`
+    );
+  }
+
+  return entry;
+}
+
+/**
+ * Encodes the given entries and their contents into an archive.
+ *
+ * @param {Array} entries
+ * @param {Array} contents
+ * @returns {Buffer}
+ */
+function encode(entries, contents) {
+  return Buffer.concat([encodeIndex(entries)].concat(contents));
+}
+
+/**
+ * Decodes the given archive. Each entry is given its contents.
+ *
+ * @param {Buffer} buf
+ * @returns {Array} entries
+ */
+function decode(buf) {
+  let index = decodeIndex(buf);
+
+  if (buf.length < index.size) {
+    throw createError(Codes.TRUNCATED, 'The archive is truncated.');
+  }
+
+  return _.map(index.entries, entry => {
+    return _.assign({}, entry, {
+      contents: buf.slice(entry.offset, entry.offset + entry.size)
+    });
+  });
+}
+
+module.exports = {
+  MAGIC,
+  VERSION,
+  PRELUDE_LENGTH,
+  Codes,
+  normalizePath,
+  isSafePath,
+  uniqEntries,
+  encodeIndex,
+  getIndexLength,
+  decodeIndex,
+  findEntry,
+  encode,
+  decode
+};
@@ -0,0 +1,186 @@
+/**
+ * The errors produced by NodeCipher. Every error is a NodeCipherError with a
+ * human readable `name` and a stable `code`, so that it may be identified
+ * without matching its message.
+ *
+ * @module lib/errors
+ * @author Nathan Buchar
+ * @since 7.0.0
+ */
+
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * Error names, keyed by the suffix of their codes.
+ *
+ * @type {Object}
+ * @readonly
+ */
+const Names = {
+  BAD_OPTION: 'Bad Option',
+  BAD_PASSWORD: 'Bad Password',
+  BAD_KEYFILE: 'Bad Keyfile',
+  BAD_ALGORITHM: 'Bad Algorithm',
+  BAD_DIGEST: 'Bad Digest',
+  BAD_KDF: 'Bad KDF',
+  BAD_FILE: 'Bad File',
+  BAD_DECRYPT: 'Bad Decrypt',
+  BAD_INTEGRITY: 'Bad Integrity',
+  WRONG_PASSWORD: 'Wrong Password',
+  CORRUPT_DATA: 'Corrupt Data',
+  KEY_NOT_FOUND: 'Key Not Found',
+  PASSWORD_REQUIRED: 'Password Required',
+  UNSUPPORTED_FORMAT: 'Unsupported Format',
+  BAD_ARCHIVE: 'Bad Archive',
+  BAD_CONFIG: 'Bad Config',
+  ABORTED: 'Aborted'
+};
+
+/**
+ * Error codes. Each code is the key of its name prefixed with "ERR_".
+ *
+ * @type {Object}
+ * @readonly
+ */
+const Codes = _.mapValues(Names, (name, key) => {
+  return 'ERR_' + key;
+});
+
+/**
+ * @const {Object} OPTION_ERRORS
+ * @description The errors that invalid options are reported as. Any other
+ *   invalid option is reported as a BAD_OPTION error.
+ */
+const OPTION_ERRORS = {
+  password: 'BAD_PASSWORD',
+  passwordFrom: 'BAD_PASSWORD',
+  keyfile: 'BAD_KEYFILE',
+  algorithm: 'BAD_ALGORITHM',
+  digest: 'BAD_DIGEST',
+  kdf: 'BAD_KDF'
+};
+
+/**
+ * @class NodeCipherError
+ * @classdesc The base class of every error produced by NodeCipher.
+ * @extends Error
+ */
+class NodeCipherError extends Error {
+
+  /**
+   * NodeCipherError class constructor.
+   *
+   * @param {string} key - The key of the error within `Names`.
+   * @param {string} message
+   */
+  constructor(key, message) {
+    super(message);
+
+    this.name = Names[key];
+    this.code = Codes[key];
+  }
+
+  /**
+   * Turns an existing error into a NodeCipherError in place, so that any
+   * listener that has already received it sees its name and code too.
+   *
+   * @param {Error} err
+   * @param {string} key
+   * @returns {NodeCipherError}
+   */
+  static from(err, key) {
+    Object.setPrototypeOf(err, NodeCipherError.prototype);
+
+    err.name = Names[key];
+    err.code = Codes[key];
+
+    return err;
+  }
+}
+
+/**
+ * @class ValidationError
+ * @classdesc Lists every invalid option at once. The error takes the name and
+ *   code of its first invalid option, and each invalid option within `errors`
+ *   is given its own.
+ * @extends NodeCipherError
+ */
+class ValidationError extends NodeCipherError {
+
+  /**
+   * ValidationError class constructor.
+   *
+   * @param {Array} errors - Each invalid option and its message.
+   * @param {string} [key] - Overrides the key of the first invalid option.
+   * @param {string} [message] - Overrides the message listing every invalid
+   *   option.
+   */
+  constructor(errors, key, message) {
+    errors = _.map(errors, error => {
+      let errorKey = OPTION_ERRORS[error.option] || 'BAD_OPTION';
+
+      return _.assign({}, error, {
+        name: Names[errorKey],
+        code: Codes[errorKey]
+      });
+    });
+
+    super(
+      key || _.findKey(Codes, code => {
+        return code === _.first(errors).code;
+      }),
+      message || ValidationError.describe(errors)
+    );
+
+    this.errors = errors;
+  }
+
+  /**
+   * Describes the given invalid options. A single invalid option is described
+   * by its message alone.
+   *
+   * @param {Array} errors
+   * @returns {string}
+   */
+  static describe(errors) {
+    if (errors.length === 1) {
+      return _.first(errors).message;
+    }
+
+    return `${errors.length} options are invalid.\n` +
+      _.map(errors, error => {
+        return '  - ' + error.message;
+      }).join('\n');
+  }
+}
+
+/**
+ * @class ConfigError
+ * @classdesc Lists every invalid option within the config, along with the
+ *   source of each.
+ * @extends ValidationError
+ */
+class ConfigError extends ValidationError {
+
+  /**
+   * ConfigError class constructor.
+   *
+   * @param {Array} errors - Each invalid option, its message, and its source.
+   */
+  constructor(errors) {
+    super(errors, 'BAD_CONFIG', 'The config is invalid.\n' +
+      _.map(errors, error => {
+        return `  - ${error.message} (${error.source})`;
+      }).join('\n'));
+  }
+}
+
+module.exports = {
+  Names,
+  Codes,
+  NodeCipherError,
+  ValidationError,
+  ConfigError
+};
@@ -0,0 +1,262 @@
+/**
+ * Encodes and decodes the self-describing header that is written to the
+ * beginning of every encrypted file. The header records the parameters that
+ * were used to encrypt the file so that only the password is required in
+ * order to decrypt it.
+ *
+ * The header is laid out as follows:
+ *
+ *   | magic (10 bytes) | version (UInt8) | body length (UInt32BE) | body |
+ *
+ * The body is a sequence of fields, each of which is laid out as follows:
+ *
+ *   | tag (UInt8) | value length (UInt16BE) | value |
+ *
+ * Fields with an unknown tag are skipped so that newer, backwards compatible
+ * fields may be added without bumping the format version.
+ *
+ * @module lib/header
+ * @author Nathan Buchar
+ * @since 7.0.0
+ */
+
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * @const {Buffer} MAGIC
+ * @description The magic bytes that identify a NodeCipher encrypted file.
+ */
+const MAGIC = Buffer.from('NODECIPHER', 'ascii');
+
+/**
+ * @const {number} VERSION
+ * @description The current header format version. Files written using version
+ *   1 were not necessarily authenticated, so they are no longer supported.
+ */
+const VERSION = 2;
+
+/**
+ * @const {number} PRELUDE_LENGTH
+ * @description The byte length of the magic bytes, version, and body length.
+ */
+const PRELUDE_LENGTH = MAGIC.length + 1 + 4;
+
+/**
+ * @const {Object} FIELDS
+ * @description The fields that may be recorded within the header body, keyed
+ *   by their option name.
+ */
+const FIELDS = {
+  algorithm: { tag: 0x01, type: 'string' },
+  digest: { tag: 0x02, type: 'string' },
+  iterations: { tag: 0x03, type: 'uint32' },
+  keylen: { tag: 0x04, type: 'uint32' },
+  salt: { tag: 0x05, type: 'buffer' },
+  iv: { tag: 0x06, type: 'buffer' },
+  authTagLength: { tag: 0x07, type: 'uint32' },
+  macLength: { tag: 0x08, type: 'uint32' },
+  kdf: { tag: 0x09, type: 'string' },
+  cost: { tag: 0x0a, type: 'uint32' },
+  blockSize: { tag: 0x0b, type: 'uint32' },
+  parallelization: { tag: 0x0c, type: 'uint32' },
+  verifier: { tag: 0x0d, type: 'buffer' },
+  factors: { tag: 0x0e, type: 'uint32' }
+};
+
+/**
+ * Header error codes.
+ *
+ * @type {Object}
+ * @readonly
+ */
+const Codes = {
+  TRUNCATED: 'ERR_HEADER_TRUNCATED',
+  UNSUPPORTED_VERSION: 'ERR_HEADER_UNSUPPORTED_VERSION'
+};
+
+/**
+ * Creates a header error with the given code.
+ *
+ * @param {string} code
+ * @param {string} message
+ * @returns {Error}
+ */
+function createError(code, message) {
+  let err = new Error(message);
+
+  err.code = code;
+
+  return err;
+}
+
+/**
+ * Encodes a single field value into a Buffer.
+ *
+ * @param {string} type
+ * @param {mixed} val
+ * @returns {Buffer}
+ */
+function encodeValue(type, val) {
+  let buf;
+
+  switch (type) {
+    case 'uint32':
+      buf = Buffer.alloc(4);
+      buf.writeUInt32BE(val, 0);
+      return buf;
+    case 'buffer':
+      return Buffer.isBuffer(val) ? val : Buffer.from(val);
+    default:
+      return Buffer.from(String(val), 'utf8');
+  }
+}
+
+/**
+ * Decodes a single field value from a Buffer.
+ *
+ * @param {string} type
+ * @param {Buffer} buf
+ * @returns {mixed}
+ */
+function decodeValue(type, buf) {
+  switch (type) {
+    case 'uint32':
+      return buf.readUInt32BE(0);
+    case 'buffer':
+      return Buffer.from(buf);
+    default:
+      return buf.toString('utf8');
+  }
+}
+
+/**
+ * Checks if the given buffer begins with the NodeCipher magic bytes.
+ *
+ * @param {Buffer} buf
+ * @returns {boolean}
+ */
+function hasMagic(buf) {
+  return buf.length >= MAGIC.length &&
+    buf.slice(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Gets the total byte length of the header from its prelude. Returns `null`
+ * if the buffer does not begin with a header.
+ *
+ * @param {Buffer} buf
+ * @returns {number|null}
+ */
+function getLength(buf) {
+  if (!hasMagic(buf)) {
+    return null;
+  }
+
+  if (buf.length < PRELUDE_LENGTH) {
+    throw createError(Codes.TRUNCATED, 'The header is truncated.');
+  }
+
+  return PRELUDE_LENGTH + buf.readUInt32BE(MAGIC.length + 1);
+}
+
+/**
+ * Encodes the given parameters into a header.
+ *
+ * @param {Object} params
+ * @returns {Buffer}
+ */
+function encode(params) {
+  let body = [];
+  let prelude = Buffer.alloc(PRELUDE_LENGTH);
+
+  _.each(FIELDS, (field, name) => {
+    if (!_.isUndefined(params[name])) {
+      let value = encodeValue(field.type, params[name]);
+      let meta = Buffer.alloc(3);
+
+      meta.writeUInt8(field.tag, 0);
+      meta.writeUInt16BE(value.length, 1);
+      body.push(meta, value);
+    }
+  });
+
+  body = Buffer.concat(body);
+
+  MAGIC.copy(prelude, 0);
+  prelude.writeUInt8(VERSION, MAGIC.length);
+  prelude.writeUInt32BE(body.length, MAGIC.length + 1);
+
+  return Buffer.concat([prelude, body]);
+}
+
+/**
+ * Decodes the header at the beginning of the given buffer. Returns `null` if
+ * the buffer does not begin with a header.
+ *
+ * @param {Buffer} buf
+ * @returns {Object|null} header
+ */
+function decode(buf) {
+  let length = getLength(buf);
+  let params = {};
+  let version;
+  let offset;
+
+  if (_.isNull(length)) {
+    return null;
+  }
+
+  version = buf.readUInt8(MAGIC.length);
+
+  if (version !== VERSION) {
+    throw createError(
+      Codes.UNSUPPORTED_VERSION,
+      `Header version ${version} is not supported.`
+    );
+  }
+
+  if (buf.length < length) {
+    throw createError(Codes.TRUNCATED, 'The header is truncated.');
+  }
+
+  offset = PRELUDE_LENGTH;
+
+  while (offset < length) {
+    if (offset + 3 > length) {
+      throw createError(Codes.TRUNCATED, 'The header is truncated.');
+    }
+
+    let tag = buf.readUInt8(offset);
+    let size = buf.readUInt16BE(offset + 1);
+    let start = offset + 3;
+    let end = start + size;
+
+    if (end > length) {
+      throw createError(Codes.TRUNCATED, 'The header is truncated.');
+    }
+
+    _.each(FIELDS, (field, name) => {
+      if (field.tag === tag) {
+        params[name] = decodeValue(field.type, buf.slice(start, end));
+      }
+    });
+
+    offset = end;
+  }
+
+  return { version, length, params, buffer: buf.slice(0, length) };
+}
+
+module.exports = {
+  MAGIC,
+  VERSION,
+  PRELUDE_LENGTH,
+  FIELDS,
+  Codes,
+  hasMagic,
+  getLength,
+  encode,
+  decode
+};
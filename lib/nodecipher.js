@@ -11,11 +11,27 @@
 'use strict';
 
 let _ = require('lodash');
+let childProcess = require('child_process');
 let crypto = require('crypto');
 let debug = require('debug');
 let fs = require('fs-extra');
 let keyMirror = require('keymirror');
+let minimatch = require('minimatch');
+let path = require('path');
 let rc = require('rc');
+let rcUtils = require('rc/lib/utils');
+
+let agent = require('./agent');
+let archive = require('./archive');
+let ConfigError = require('./errors').ConfigError;
+let ErrorCodes = require('./errors').Codes;
+let ErrorNames = require('./errors').Names;
+let NodeCipherError = require('./errors').NodeCipherError;
+let ValidationError = require('./errors').ValidationError;
+let header = require('./header');
+let Operation = require('./operation');
+let streams = require('./streams');
+let strength = require('./strength');
 
 /**
  * @const {string} APP_NAME
@@ -37,6 +53,85 @@ const ALL_CIPHERS = crypto.getCiphers();
  */
 const ALL_HASHES = crypto.getHashes();
 
+/**
+ * @const {Array} PROBE_KEY_LENGTHS
+ * @description The key byte lengths that are tried, in order, when probing a
+ *   cipher algorithm for its key length on versions of Node that do not
+ *   provide `crypto.getCipherInfo()`.
+ */
+const PROBE_KEY_LENGTHS = [16, 24, 32, 8, 64];
+
+/**
+ * @const {Array} PROBE_IV_LENGTHS
+ * @description The IV byte lengths that are tried, in order, when probing a
+ *   cipher algorithm for its IV length on versions of Node that do not
+ *   provide `crypto.getCipherInfo()`.
+ */
+const PROBE_IV_LENGTHS = [12, 16, 8, 0];
+
+/**
+ * @const {RegExp} AUTHENTICATED_ALGORITHMS
+ * @description Matches the cipher algorithms that use an authenticated mode
+ *   of operation. These produce an authentication tag which is appended to
+ *   the encrypted file and verified when it is decrypted.
+ */
+const AUTHENTICATED_ALGORITHMS = /(gcm|ocb|poly1305)$/i;
+
+/**
+ * @const {RegExp} UNSUPPORTED_ALGORITHMS
+ * @description Matches the cipher algorithms that are not supported. CCM mode
+ *   requires the length of the message and its authentication tag before any
+ *   data is ciphered, so it cannot be streamed.
+ */
+const UNSUPPORTED_ALGORITHMS = /ccm$/i;
+
+/**
+ * @const {number} AUTH_TAG_LENGTH
+ * @description The byte length of the authentication tag produced by
+ *   authenticated cipher algorithms.
+ */
+const AUTH_TAG_LENGTH = 16;
+
+/**
+ * @const {string} MAC_KEY_INFO
+ * @description The context used to derive the MAC key from the derived key,
+ *   so that the MAC key is never the same as the encryption key.
+ */
+const MAC_KEY_INFO = 'nodecipher:mac';
+
+/**
+ * @const {string} VERIFIER_INFO
+ * @description The context used to derive the password verifier from the
+ *   derived key. The verifier is recorded within the header so that a wrong
+ *   password can be told apart from a corrupted file.
+ */
+const VERIFIER_INFO = 'nodecipher:verifier';
+
+/**
+ * @const {number} VERIFIER_LENGTH
+ * @description The byte length of the password verifier.
+ */
+const VERIFIER_LENGTH = 16;
+
+/**
+ * @const {Object} Factors
+ * @description The factors that a key may be derived from. The factors that
+ *   were used are recorded within the header as the sum of their values.
+ *   Files without any recorded factors were encrypted using the password
+ *   alone.
+ */
+const Factors = {
+  PASSWORD: 1,
+  KEYFILE: 2
+};
+
+/**
+ * @const {Object} CIPHER_INFO
+ * @description A cache of the key and IV byte lengths of each cipher algorithm
+ *   that has been used, keyed by algorithm name.
+ */
+const CIPHER_INFO = {};
+
 /**
  * @const {string} DEFAULT_ALGORITHM
  * @description A cipher algorithm used in tandem with the derived key to
@@ -44,7 +139,7 @@ const ALL_HASHES = crypto.getHashes();
  *   chosen input file. You may use `listAlgorithms()` to see a list of
  *   available cipher algorithms.
  */
-const DEFAULT_ALGORITHM = 'cast5-cbc';
+const DEFAULT_ALGORITHM = 'aes-256-cbc';
 
 /**
  * @const {string|Buffer} DEFAULT_SALT
@@ -81,6 +176,141 @@ const DEFAULT_KEYLEN = 512;
  */
 const DEFAULT_DIGEST = 'sha1';
 
+/**
+ * @const {string} DEFAULT_KDF
+ * @description The key derivation function used to derive the key from the
+ *   password and salt. This may be "pbkdf2", "scrypt", or any registered KDF.
+ */
+const DEFAULT_KDF = 'pbkdf2';
+
+/**
+ * @const {number} DEFAULT_COST
+ * @description The scrypt CPU/memory cost parameter (N). This must be a power
+ *   of two greater than one. The higher the cost, the more secure the derived
+ *   key will be, but the longer it will take and the more memory it will use.
+ */
+const DEFAULT_COST = 16384;
+
+/**
+ * @const {number} DEFAULT_BLOCK_SIZE
+ * @description The scrypt block size parameter (r).
+ */
+const DEFAULT_BLOCK_SIZE = 8;
+
+/**
+ * @const {number} DEFAULT_PARALLELIZATION
+ * @description The scrypt parallelization parameter (p).
+ */
+const DEFAULT_PARALLELIZATION = 1;
+
+/**
+ * @const {number} OUTPUT_MODE
+ * @description The mode of a new output file. An existing output file keeps
+ *   its own mode when it is replaced.
+ */
+const OUTPUT_MODE = 0o600;
+
+/**
+ * @const {Array} DEFAULT_INCLUDE
+ * @description The glob patterns that files within an input directory must
+ *   match in order to be ciphered. By default, all files are ciphered.
+ */
+const DEFAULT_INCLUDE = ['**'];
+
+/**
+ * @const {Array} DEFAULT_EXCLUDE
+ * @description The glob patterns that exclude files within an input
+ *   directory from being ciphered.
+ */
+const DEFAULT_EXCLUDE = [];
+
+/**
+ * @const {string} DEFAULT_EXTENSION
+ * @description The extension that is appended to the name of each file within
+ *   an input directory when it is encrypted, and stripped when it is
+ *   decrypted.
+ */
+const DEFAULT_EXTENSION = '';
+
+/**
+ * @const {number} DEFAULT_MIN_PASSWORD_ENTROPY
+ * @description The estimated entropy, in bits, below which a password is
+ *   considered weak. Passwords below this are at best "weak" according to
+ *   `checkPassword()`.
+ */
+const DEFAULT_MIN_PASSWORD_ENTROPY = 36;
+
+/**
+ * @const {string} DEFAULT_WEAK_PASSWORDS
+ * @description What the command line interface does when encrypting with a
+ *   weak password. Either "warn" or "refuse".
+ */
+const DEFAULT_WEAK_PASSWORDS = 'warn';
+
+/**
+ * @const {Array} WEAK_PASSWORD_POLICIES
+ * @description The valid values of the `weakPasswords` option.
+ */
+const WEAK_PASSWORD_POLICIES = ['warn', 'refuse'];
+
+/**
+ * @const {number} DEFAULT_PASSWORD_ATTEMPTS
+ * @description The number of times that the command line interface prompts
+ *   for the password when decrypting before it gives up on a wrong password.
+ */
+const DEFAULT_PASSWORD_ATTEMPTS = 3;
+
+/**
+ * @const {Array} PASSWORD_SOURCES
+ * @description The sources that a password may be read from via the
+ *   `passwordFrom` option.
+ */
+const PASSWORD_SOURCES = ['file', 'env', 'fd', 'command'];
+
+/**
+ * @const {Array} CONFIG_PASSWORD_SOURCES
+ * @description The sources that the `passwordFrom` option may read from when
+ *   it is loaded from a `.nodecipherrc` file, an environment variable, or the
+ *   command line arguments that rc parses, or when it is given within the
+ *   `files` manifest. Anyone who can write to these may not be the user, so
+ *   they must not be able to read files or run commands.
+ */
+const CONFIG_PASSWORD_SOURCES = ['env'];
+
+/**
+ * @const {number} PASSWORD_CHUNK_SIZE
+ * @description The byte length of each chunk that is read from a file
+ *   descriptor while reading a password from it.
+ */
+const PASSWORD_CHUNK_SIZE = 1024;
+
+/**
+ * @const {Object} GLOB_OPTIONS
+ * @description The minimatch options used to match the files within an input
+ *   directory. Patterns without slashes match the base name of the file.
+ */
+const GLOB_OPTIONS = { dot: true, matchBase: true };
+
+/**
+ * @const {number} INDEX_CHUNK_SIZE
+ * @description The byte length of each chunk that is read from an encrypted
+ *   archive while synchronously decrypting its index.
+ */
+const INDEX_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * @const {Array} KDF_SPECIFIC_OPTIONS
+ * @description The options that are only used by some key derivation
+ *   functions. Options that are not used by the chosen key derivation function
+ *   are not recorded within the header.
+ */
+const KDF_SPECIFIC_OPTIONS = [
+  'iterations',
+  'cost',
+  'blockSize',
+  'parallelization'
+];
+
 /**
  * @class NodeCipher
  * @classdesc A collection of public and private methods used to asynchronously
@@ -92,8 +322,15 @@ class NodeCipher {
 
   /**
    * NodeCipher class constructor.
+   *
+   * @param {Object} [options]
+   * @param {Object} [options.config] - Options that extend the defaults and
+   *   the `.nodecipherrc` file for this instance only. May also include a
+   *   `files` manifest.
+   * @param {boolean} [options.rc=true] - Whether the `.nodecipherrc` file is
+   *   loaded.
    */
-  constructor() {
+  constructor(options) {
 
     /**
      * @prop {Object} _config
@@ -102,41 +339,317 @@ class NodeCipher {
      */
     this._config = null;
 
-    this._init();
+    /**
+     * @prop {Object} _kdfs
+     * @description The registered key derivation functions, keyed by name.
+     * @private
+     */
+    this._kdfs = {};
+
+    /**
+     * @prop {Object} _ciphers
+     * @description The registered cipher backends, keyed by algorithm name.
+     * @private
+     */
+    this._ciphers = {};
+
+    /**
+     * @prop {Object} _files
+     * @description The manifest of plaintext files and the ciphertext files
+     *   they are encrypted into, keyed by plaintext path.
+     * @private
+     */
+    this._files = {};
+
+    /**
+     * @prop {Object} _sources
+     * @description The source of the value of each option within the config.
+     * @private
+     */
+    this._sources = {};
+
+    /**
+     * @prop {ConfigError} _configError
+     * @description The error within the config of the shared instance, which
+     *   is raised once the instance is used rather than when it is created.
+     * @default null
+     * @private
+     */
+    this._configError = null;
+
+    this._init(_.assign({ rc: true }, options));
   }
 
   /**
    * Initializes the NodeCipher instance.
    *
+   * @param {Object} options
+   * @private
+   */
+  _init(options) {
+    this._initKdfs();
+    this._initConfig(options);
+  }
+
+  /**
+   * Registers the built-in key derivation functions. scrypt is only available
+   * in versions of Node that provide `crypto.scrypt()`.
+   *
    * @private
    */
-  _init() {
-    this._initConfig();
+  _initKdfs() {
+    this.registerKdf('pbkdf2', {
+      options: ['iterations', 'digest'],
+      derive(options, callback) {
+        crypto.pbkdf2(
+          options.password,
+          options.salt,
+          options.iterations,
+          options.keylen,
+          options.digest,
+          callback
+        );
+      },
+      deriveSync(options) {
+        return crypto.pbkdf2Sync(
+          options.password,
+          options.salt,
+          options.iterations,
+          options.keylen,
+          options.digest
+        );
+      }
+    });
+
+    if (_.isFunction(crypto.scrypt)) {
+      this.registerKdf('scrypt', {
+        options: ['cost', 'blockSize', 'parallelization'],
+        derive: (options, callback) => {
+          crypto.scrypt(
+            options.password,
+            options.salt,
+            options.keylen,
+            this._getScryptOptions(options),
+            callback
+          );
+        },
+        deriveSync: options => {
+          return crypto.scryptSync(
+            options.password,
+            options.salt,
+            options.keylen,
+            this._getScryptOptions(options)
+          );
+        }
+      });
+    }
   }
 
   /**
    * Loads in the `.nodecipherrc` file if one exists, extended by the NodeCipher
-   * defaults.
+   * defaults, unless loading it has been disabled. The config provided to the
+   * constructor takes precedence over both. Each source of options is
+   * validated before any of them are used, and the source of each option is
+   * recorded. The `files` manifest of each source is loaded separately.
+   *
+   * @see _loadRcLayers
+   * @see _parseManifest
+   * @param {Object} options
+   * @throws {Error} If any of the sources are invalid.
+   * @private
+   */
+  _initConfig(options) {
+    let properties = _.keys(NodeCipher.Defaults);
+    let layers = [];
+    let errors;
+
+    if (options.rc) {
+      layers = this._loadRcLayers();
+    }
+
+    if (!_.isUndefined(options.config)) {
+      layers.push({ source: 'constructor', base: '', values: options.config });
+    }
+
+    errors = _.flatMap(layers, layer => {
+      return _.map(this._validateConfigLayer(layer), error => {
+        return _.assign(error, { source: layer.source });
+      });
+    });
+
+    if (errors.length) {
+      throw new ConfigError(errors);
+    }
+
+    this._config = _.clone(NodeCipher.Defaults);
+    this._sources = _.mapValues(this._config, _.constant('defaults'));
+    this._files = {};
+
+    _.each(layers, layer => {
+      _.each(_.pick(layer.values, properties), (val, key) => {
+        this._config[key] = val;
+        this._sources[key] = layer.source;
+      });
+
+      _.assign(this._files, this._parseManifest(layer.values.files, layer));
+    });
+  }
+
+  /**
+   * Loads the options from each `.nodecipherrc` file that rc finds, each
+   * `nodecipher_` environment variable, and the command line arguments, in
+   * the order in which rc applies them. Each is returned as a separate layer
+   * along with its source, and whether it was loaded from a file. Since the
+   * `.nodecipherrc` file may be an INI file, environment variables are always
+   * strings, and command line arguments that look like numbers are always
+   * numbers, each value is converted into the type that its option expects
+   * where possible.
    *
+   * @returns {Array} layers
    * @private
    */
-  _initConfig() {
-    let defaults = _.clone(NodeCipher.Defaults);
+  _loadRcLayers() {
     let properties = _.keys(NodeCipher.Defaults);
-    let config = rc(APP_NAME, defaults);
+    let prefix = APP_NAME + '_';
+    let parsed = [];
+    let layers;
+    let config;
+
+    // rc only reports the paths of the files that it loaded, so the contents
+    // of each are recorded as they are parsed, in the same order.
+    config = rc(APP_NAME, {}, null, content => {
+      let values = rcUtils.parse(content);
+
+      parsed.push(values);
+
+      return values;
+    });
+
+    layers = _.map(config.configs, (file, index) => {
+      return {
+        source: file,
+        base: path.relative(process.cwd(), path.dirname(file)),
+        values: parsed[index],
+        rcFile: true
+      };
+    });
+
+    // Nested environment variables are not supported, as none of the options
+    // are objects.
+    _.each(process.env, (val, name) => {
+      let key = name.slice(prefix.length);
+
+      if (name.toLowerCase().indexOf(prefix) === 0 && key &&
+          !_.includes(key, '__')) {
+        layers.push({
+          source: `environment variable "${name}"`,
+          base: '',
+          values: { [key]: val }
+        });
+      }
+    });
+
+    // rc does not expose the command line arguments that it parsed, so any
+    // option that the files and environment variables do not account for
+    // must have come from them.
+    let explained = _.assign.apply(_, [{}].concat(_.map(layers, 'values')));
+    let argv = _.pickBy(_.pick(config, properties), (val, key) => {
+      return !_.isEqual(val, explained[key]);
+    });
+
+    if (!_.isEmpty(argv)) {
+      layers.push({ source: 'command line arguments', base: '', values: argv });
+    }
+
+    return _.map(layers, layer => {
+      return _.assign(layer, {
+        values: _.mapValues(layer.values, (val, key) => {
+          return this._coerceConfigValue(key, val);
+        })
+      });
+    });
+  }
+
+  /**
+   * Converts the given value into a number if the option expects a number and
+   * the value is a string of digits, or into a string if the option does not
+   * expect a number and the value is one.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {mixed}
+   * @private
+   */
+  _coerceConfigValue(key, val) {
+    let numeric = _.isNumber(NodeCipher.Defaults[key]);
+
+    if (numeric && _.isString(val) && /^\d+$/.test(val)) {
+      return parseInt(val, 10);
+    }
+
+    if (!numeric && _.isNumber(val) && _.has(NodeCipher.Defaults, key)) {
+      return String(val);
+    }
+
+    return val;
+  }
+
+  /**
+   * Parses a `files` manifest, which maps each plaintext path to either its
+   * ciphertext path or an object with an `output` and any options that apply
+   * to that file only. Each entry is keyed by its plaintext path, resolved
+   * against the base directory of the layer that it was loaded from.
+   *
+   * @param {Object} [files]
+   * @param {Object} layer
+   * @returns {Object} manifest
+   * @private
+   */
+  _parseManifest(files, layer) {
+    let manifest = {};
+
+    _.each(files, (value, input) => {
+      let output = _.isPlainObject(value) ? value.output : value;
+
+      input = path.join(layer.base, input);
+
+      manifest[input] = {
+        input,
+        output: path.join(layer.base, output),
+        options: _.isPlainObject(value) ? _.omit(value, 'output') : {},
+        source: layer.source
+      };
+    });
 
-    this._config = _.pick(config, properties);
+    return manifest;
   }
 
   /**
    * Core asynchronous methods.
    *
-   * - _encrypt()
-   * - _decrypt()
+   * - _encrypt():Operation|Promise
+   * - _decrypt():Operation|Promise
+   * - _respond():Operation|Promise|undefined
    * - _parseCipherRequest()
    * - _handleErrors():Promise
    * - _cipher()
+   * - _cipherDirectory()
+   * - _listFiles()
+   * - _pipeEncrypt()
+   * - _pipeDecrypt()
+   * - _verifyMac()
+   * - _verifyAuthTag()
+   * - _readCipherParams()
+   * - _readHeader()
+   * - _openOutput()
+   * - _getOutputMode()
+   * - _commitOutput():Function
+   * - _discardOutput()
+   * - _closeStream()
    * - _deriveKeyFromOptions()
+   * - _deriveKeyFromSecret()
+   * - _findAgentKey()
+   * - _storeAgentKey()
    */
 
   /**
@@ -146,16 +659,16 @@ class NodeCipher {
    * @param {Object} options
    * @param {Function} [callback]
    * @param {Object} [scope]
+   * @returns {Operation|Promise}
    * @private
    */
   _encrypt(options, callback, scope) {
     let action = NodeCipher.Actions.ENCRYPT;
+    let operation = new Operation(_.get(options, 'signal'));
 
-    this._parseCipherRequest(action, options, (err, opts) => {
-      if (_.isFunction(callback)) {
-        return callback.call(scope, err, opts);
-      }
-    });
+    return this._respond(callback, scope, done => {
+      this._parseCipherRequest(action, options, operation, done);
+    }, operation);
   }
 
   /**
@@ -165,16 +678,70 @@ class NodeCipher {
    * @param {Object} options
    * @param {Function} [callback]
    * @param {Object} [scope]
+   * @returns {Operation|Promise}
    * @private
    */
   _decrypt(options, callback, scope) {
     let action = NodeCipher.Actions.DECRYPT;
+    let operation = new Operation(_.get(options, 'signal'));
+
+    return this._respond(callback, scope, done => {
+      this._parseCipherRequest(action, options, operation, done);
+    }, operation);
+  }
+
+  /**
+   * Calls the given asynchronous task with a function that responds with its
+   * result. If a callback is provided, it is called with the error and the
+   * result. Otherwise, a Promise is returned that is resolved with the result
+   * or rejected with the error. If the task is tracked by an operation, the
+   * operation is returned alongside the callback, or its EventEmitter methods
+   * are exposed on the Promise.
+   *
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @param {Function} task
+   * @param {Operation} [operation]
+   * @returns {Operation|Promise|undefined}
+   * @private
+   */
+  _respond(callback, scope, task, operation) {
+    let promise;
 
-    this._parseCipherRequest(action, options, (err, opts) => {
-      if (_.isFunction(callback)) {
-        return callback.call(scope, err, opts);
+    let release = () => {
+      if (operation) {
+        operation.release();
       }
+    };
+
+    if (!_.isNull(this._configError)) {
+      task = done => {
+        done(this._configError);
+      };
+    }
+
+    if (_.isFunction(callback)) {
+      task((err, result) => {
+        release();
+        callback.call(scope, err, result);
+      });
+
+      return operation;
+    }
+
+    promise = new Promise((resolve, reject) => {
+      task((err, result) => {
+        release();
+
+        if (err) {
+          return reject(err);
+        }
+
+        resolve(result);
+      });
     });
+
+    return operation ? operation.decorate(promise) : promise;
   }
 
   /**
@@ -184,18 +751,19 @@ class NodeCipher {
    * @see _cipher
    * @param {Object} action
    * @param {Object} options
+   * @param {Operation} operation
    * @param {Function} done
    * @private
    */
-  _parseCipherRequest(action, options, done) {
+  _parseCipherRequest(action, options, operation, done) {
     let opts = this._parseOptions(options);
-    let errors = this._validateOptions(opts);
+    let errors = this._validateOptions(action, opts);
 
     action.debugger('attempt with options (async): ' + JSON.stringify(opts));
 
     // Handle any validation errors. Perform the cipher if all is clear.
     this._handleErrors(errors).then(() => {
-      this._cipher(action, opts, done);
+      this._cipher(action, opts, operation, done);
     }, err => {
       action.debugger('encountered error: ' + err);
 
@@ -204,7 +772,8 @@ class NodeCipher {
   }
 
   /**
-   * Handles any errors that may have occured during option validation.
+   * Handles any errors that may have occured during option validation. The
+   * Promise is rejected with a ValidationError that lists all of them.
    *
    * @param {Array} errors
    * @returns {Promise}
@@ -213,14 +782,7 @@ class NodeCipher {
   _handleErrors(errors) {
     return new Promise((resolve, reject) => {
       if (errors.length) {
-        let error = _.first(errors);
-        let err = new Error(error.message);
-
-        if (!_.isUndefined(error.name)) {
-          err.name = error.name;
-        }
-
-        reject(err);
+        reject(new ValidationError(errors));
       } else {
         resolve();
       }
@@ -229,309 +791,4327 @@ class NodeCipher {
 
   /**
    * Cipher the file using the options provided with the given cipher method.
+   * The output is written to a temporary file, which only replaces the output
+   * file once it has been written successfully. The progress of the operation
+   * is reported as the input file is read. If the operation is aborted, it
+   * fails as soon as possible and the temporary file is removed. If the input
+   * is a directory, each of its files is ciphered instead.
    *
    * @param {Object} action
    * @param {Object} options
+   * @param {Operation} operation
    * @param {Function} done
    * @private
    */
-  _cipher(action, options, done) {
-    this._deriveKeyFromOptions(options, (err, key) => {
+  _cipher(action, options, operation, done) {
+    if (operation.aborted) {
+      return done(this._createAbortError());
+    }
+
+    fs.stat(options.input, (err, stats) => {
       if (err) {
-        return done(err);
+        return done(this._nameError(err));
       }
 
-      let readStream = fs.createReadStream(options.input);
-      let writeStream = fs.createOutputStream(options.output);
-      let handleError = this._handleStreamError(readStream, done);
-      let cipher = this._generateCipherFromOptions(action, options, key);
+      if (stats.isDirectory()) {
+        return this._cipherDirectory(action, options, operation, done);
+      }
 
-      // Wait for the writable steam to finish, then call our "done" function.
-      writeStream.on('finish', () => {
-        return done(null, options);
-      });
+      this._readCipherParams(action, options, (err, params, head) => {
+        if (err) {
+          return done(this._nameError(err));
+        }
 
-      // Pipe the readable input stream through our cipher method, created from
-      // our chosen algorithm and password, and write the ciphered result into
-      // our writable output stream.
-      readStream
-        .on('error', handleError)
-        .pipe(cipher)
-        .on('error', handleError)
-        .pipe(writeStream)
-        .on('error', handleError);
+        // When decrypting, the content that follows the header is read twice
+        // if its MAC must be verified before it is deciphered.
+        if (action === NodeCipher.Actions.ENCRYPT) {
+          operation.total = stats.size;
+        } else {
+          operation.total = (stats.size - head.length) *
+            (this._hasMac(params) ? 2 : 1);
+        }
+
+        this._deriveKeyFromOptions(params, (err, key) => {
+          if (err) {
+            return done(err);
+          }
+
+          // The key derivation cannot be interrupted, so the operation may
+          // have been aborted in the meantime.
+          if (operation.aborted) {
+            return done(this._createAbortError());
+          }
+
+          try {
+            head = this._resolveHeader(action, params, head, key);
+          } catch (err) {
+            return done(err);
+          }
+
+          let pipe = () => {
+            this._openOutput(options.output, (err, writeStream, tempPath) => {
+              let method = action === NodeCipher.Actions.ENCRYPT ?
+                '_pipeEncrypt' : '_pipeDecrypt';
+              let commit;
+
+              if (err) {
+                return done(this._nameError(err));
+              }
+
+              if (operation.aborted) {
+                return this._discardOutput(writeStream, tempPath, () => {
+                  done(this._createAbortError());
+                });
+              }
+
+              commit = this._commitOutput(writeStream, tempPath,
+                options.output, done);
+
+              this[method](options, params, head, key, writeStream, operation,
+                commit);
+            });
+          };
+
+          if (action === NodeCipher.Actions.ENCRYPT) {
+            return pipe();
+          }
+
+          // The MAC of the file is verified before any of its content is
+          // deciphered, so that no tampered plaintext is ever written.
+          this._verifyMac(options, params, head, key, operation, err => {
+            if (err) {
+              return done(this._nameError(err));
+            }
+
+            pipe();
+          });
+        });
+      });
     });
   }
 
   /**
-   * A selected HMAC digest algorithm specified by digest is applied to derive a
-   * key of the requested byte length (keylen) from the password, salt and
-   * iterations.
+   * Ciphers each file within the input directory that matches the include and
+   * exclude patterns into the same relative path within the output directory,
+   * one at a time. The progress of each file is reported in proportion to its
+   * size, and the operation stops at the first file that fails.
    *
+   * @see _listFiles
+   * @param {Object} action
    * @param {Object} options
-   * @param {Function} callback
+   * @param {Operation} operation
+   * @param {Function} done
    * @private
    */
-  _deriveKeyFromOptions(options, callback) {
-    crypto.pbkdf2(
-      options.password,
-      options.salt,
-      options.iterations,
-      options.keylen,
-      options.digest,
-      callback
-    );
+  _cipherDirectory(action, options, operation, done) {
+    this._listFiles(action, options, (err, files) => {
+      let processed = 0;
+
+      if (err) {
+        return done(this._nameError(err));
+      }
+
+      operation.total = _.sumBy(files, 'size');
+
+      let next = index => {
+        let file = files[index];
+        let child;
+
+        if (index === files.length) {
+          return done(null, options);
+        }
+
+        // Each file is tracked by its own operation, which is aborted along
+        // with the directory operation.
+        child = new Operation(operation);
+        child.on('progress', () => {
+          let ratio = child.total ? child.processed / child.total : 1;
+
+          operation.progress(
+            processed + Math.floor(file.size * ratio) - operation.processed
+          );
+        });
+
+        this._cipher(action, _.assign({}, options, {
+          input: file.input,
+          output: file.output
+        }), child, err => {
+          child.release();
+
+          if (err) {
+            return done(err);
+          }
+
+          processed += file.size;
+          next(index + 1);
+        });
+      };
+
+      next(0);
+    });
   }
 
   /**
-   * Core synchronous methods.
+   * Walks the input directory and lists the files that should be ciphered,
+   * along with their output paths and sizes. The output directory is skipped
+   * if it is nested within the input directory.
    *
-   * - _encryptSync():Object
-   * - _decryptSync():Object
-   * - _parseCipherRequestSync():Object
-   * - _handleErrorsSync():Error
-   * - _cipherSync():Object
-   * - _deriveKeyFromOptionsSync():Hex
+   * @see _getDirectoryEntry
+   * @param {Object} action
+   * @param {Object} options
+   * @param {Function} callback
+   * @private
    */
+  _listFiles(action, options, callback) {
+    let files = [];
+
+    let walk = (dir, cb) => {
+      fs.readdir(dir, (err, names) => {
+        if (err) {
+          return cb(err);
+        }
+
+        let next = index => {
+          let file;
+
+          if (index === names.length) {
+            return cb(null);
+          }
+
+          file = path.join(dir, names[index]);
+
+          fs.stat(file, (err, stats) => {
+            let entry;
+
+            if (err) {
+              return cb(err);
+            }
+
+            if (stats.isDirectory()) {
+              if (this._isOutputDirectory(options, file)) {
+                return next(index + 1);
+              }
+
+              return walk(file, err => {
+                if (err) {
+                  return cb(err);
+                }
+
+                next(index + 1);
+              });
+            }
+
+            entry = this._getDirectoryEntry(action, options, file, stats);
+
+            if (entry) {
+              files.push(entry);
+            }
+
+            next(index + 1);
+          });
+        };
+
+        next(0);
+      });
+    };
+
+    walk(options.input, err => {
+      callback(err, files);
+    });
+  }
 
   /**
-   * The synchronous version of _encrypt().
+   * Pipes the input file through a cipher into the output file. The output
+   * begins with the header describing how the file was encrypted, so that
+   * only the password is needed to decrypt it, and ends with either the
+   * authentication tag produced by the algorithm or the MAC of the header and
+   * encrypted content.
    *
-   * @see _parseCipherRequestSync
+   * @see _commitOutput
    * @param {Object} options
-   * @returns {Object}
+   * @param {Object} params
+   * @param {Buffer} head
+   * @param {Buffer} key
+   * @param {Stream} writeStream
+   * @param {Operation} operation
+   * @param {Function} callback - Commits or discards the output file.
    * @private
    */
-  _encryptSync(options) {
-    return this._parseCipherRequestSync(NodeCipher.Actions.ENCRYPT, options);
+  _pipeEncrypt(options, params, head, key, writeStream, operation, callback) {
+    let action = NodeCipher.Actions.ENCRYPT;
+    let cipher = this._generateCipherFromOptions(action, params, key, head);
+    let mac = this._createMac(params, key, head);
+    let readStream = fs.createReadStream(options.input);
+    let done = this._trackOperation(operation, readStream, callback);
+    let handleError = this._handleStreamError(readStream, done);
+
+    // Wait for the writable steam to finish, then call our "done" function.
+    writeStream.on('finish', () => {
+      return done(null, options);
+    });
+
+    // The trailer is only available once the cipher has ended.
+    cipher.on('data', chunk => {
+      if (mac) {
+        mac.update(chunk);
+      }
+    });
+
+    cipher.on('end', () => {
+      writeStream.end(this._getTrailer(params, cipher, mac));
+    });
+
+    writeStream.write(head);
+
+    // Pipe the readable input stream through our cipher method, created from
+    // our chosen algorithm and password, and write the ciphered result into
+    // our writable output stream.
+    readStream
+      .on('error', handleError)
+      .pipe(cipher)
+      .on('error', handleError)
+      .pipe(writeStream, { end: false })
+      .on('error', handleError);
   }
 
   /**
-   * The synchronous version of _decrypt().
+   * Pipes the content of the input file that follows its header through a
+   * decipher into the output file. The trailer is withheld from the decipher.
+   * If the algorithm produces an authentication tag, it is verified once all
+   * of the content has been deciphered.
    *
-   * @see _parseCipherRequestSync
+   * @see _commitOutput
    * @param {Object} options
-   * @returns {Object}
+   * @param {Object} params
+   * @param {Buffer} head
+   * @param {Buffer} key
+   * @param {Stream} writeStream
+   * @param {Operation} operation
+   * @param {Function} callback - Commits or discards the output file.
    * @private
    */
-  _decryptSync(options) {
-    return this._parseCipherRequestSync(NodeCipher.Actions.DECRYPT, options);
+  _pipeDecrypt(options, params, head, key, writeStream, operation, callback) {
+    let action = NodeCipher.Actions.DECRYPT;
+    let authenticated = this._isAuthenticated(params);
+    let decipher;
+
+    try {
+      decipher = this._generateCipherFromOptions(action, params, key, head);
+    } catch (err) {
+      return callback(this._nameError(err));
+    }
+
+    let readStream = fs.createReadStream(options.input, { start: head.length });
+    let trailerStream = this._createTrailerStream(params);
+    let done = this._trackOperation(operation, readStream, callback);
+    let handleError = this._handleStreamError(readStream, done);
+
+    // Wait for the writable steam to finish, then call our "done" function.
+    writeStream.on('finish', () => {
+      return done(null, options);
+    });
+
+    trailerStream.on('trailer', tag => {
+      if (authenticated) {
+        decipher.setAuthTag(tag);
+      }
+    });
+
+    // Pipe the readable input stream through our decipher method, created
+    // from our chosen algorithm and password, and write the deciphered result
+    // into our writable output stream. Authenticated deciphers only fail if
+    // the authentication tag could not be verified.
+    readStream
+      .on('error', handleError)
+      .pipe(trailerStream)
+      .on('error', handleError)
+      .pipe(decipher)
+      .on('error', err => {
+        handleError(authenticated ? this._createIntegrityError(params) : err);
+      })
+      .pipe(writeStream)
+      .on('error', handleError);
   }
 
   /**
-   * The synchronous version of _parseCipherRequest().
+   * Verifies the MAC at the end of the input file against the MAC of its
+   * header and encrypted content. Files without a MAC are not verified.
    *
-   * @see _cipherSync
-   * @param {Object} action
    * @param {Object} options
-   * @returns {Object}
+   * @param {Object} params
+   * @param {Buffer} head
+   * @param {Buffer} key
+   * @param {Operation} operation
+   * @param {Function} callback
    * @private
    */
-  _parseCipherRequestSync(action, options) {
-    let opts = this._parseOptions(options);
-    let errors = this._validateOptions(opts);
-    let err = this._handleErrorsSync(errors);
-
-    action.debugger('attempt with options (sync): ' + JSON.stringify(opts));
+  _verifyMac(options, params, head, key, operation, callback) {
+    let mac = this._createMac(params, key, head);
+    let expected;
 
-    // Handle any validation errors. Perform the cipher if all is clear.
-    if (_.isUndefined(err)) {
-      return this._cipherSync(action, opts);
-    } else {
-      action.debugger('encountered error: ' + err);
-      throw err;
+    if (!mac) {
+      return callback(null);
     }
+
+    let readStream = fs.createReadStream(options.input, { start: head.length });
+    let trailerStream = this._createTrailerStream(params);
+    let done = this._trackOperation(operation, readStream, callback);
+
+    trailerStream.on('trailer', trailer => {
+      expected = trailer;
+    });
+
+    readStream
+      .on('error', done)
+      .pipe(trailerStream)
+      .on('error', done)
+      .on('data', chunk => {
+        mac.update(chunk);
+      })
+      .on('end', () => {
+        if (this._compareMacs(mac.digest(), expected)) {
+          done(null);
+        } else {
+          done(this._createIntegrityError(params));
+        }
+      });
   }
 
   /**
-   * The synchronous version of _handleErrors().
+   * Deciphers the input file without writing any of its content, to verify
+   * its authentication tag before any of its content is output.
    *
-   * @param {Array} errors
+   * @param {Object} options
+   * @param {Object} params
+   * @param {Buffer} head
+   * @param {Buffer} key
+   * @param {Operation} operation
+   * @param {Function} callback
    * @private
    */
-  _handleErrorsSync(errors) {
-    if (errors.length) {
-      let errorMessage = _.first(errors).message;
-      let err = new Error(errorMessage);
+  _verifyAuthTag(options, params, head, key, operation, callback) {
+    let action = NodeCipher.Actions.DECRYPT;
+    let decipher;
 
-      return err;
+    try {
+      decipher = this._generateCipherFromOptions(action, params, key, head);
+    } catch (err) {
+      return callback(err);
     }
+
+    let readStream = fs.createReadStream(options.input, { start: head.length });
+    let trailerStream = this._createTrailerStream(params);
+    let done = this._trackOperation(operation, readStream, callback);
+
+    trailerStream.on('trailer', trailer => {
+      decipher.setAuthTag(trailer);
+    });
+
+    readStream
+      .on('error', done)
+      .pipe(trailerStream)
+      .on('error', done)
+      .on('data', chunk => {
+        decipher.update(chunk);
+      })
+      .on('end', () => {
+        try {
+          decipher.final();
+        } catch (err) {
+          return done(this._createIntegrityError(params));
+        }
+
+        done(null);
+      });
   }
 
   /**
-   * The synchronous version of _cipher().
+   * Resolves the parameters that will be used to cipher the input file, as
+   * well as the header that describes them. When decrypting, the parameters
+   * recorded within the header of the input file take precedence over the
+   * options provided. Files without a header resolve an empty header. When
+   * encrypting, the header resolves as `null`, since it cannot be encoded
+   * until the key has been derived.
    *
+   * @see _resolveHeader
    * @param {Object} action
    * @param {Object} options
-   * @returns {Object} options
+   * @param {Function} callback
    * @private
    */
-  _cipherSync(action, options) {
-    try {
-      let key = this._deriveKeyFromOptionsSync(options);
-      let cipher = this._generateCipherFromOptions(action, options, key);
-      let inputBuffer = fs.readFileSync(options.input);
-
-      // Write the ciphered buffer to our output file.
-      fs.writeFileSync(options.output, Buffer.concat([
-        cipher.update(inputBuffer),
-        cipher.final()
-      ]));
+  _readCipherParams(action, options, callback) {
+    if (action === NodeCipher.Actions.ENCRYPT) {
+      let params;
 
-      return options;
-    } catch (err) {
-      if (err.code === 'ENOENT') {
-        err.name = NodeCipher.Errors.BAD_FILE;
-      } else {
-        err.name = NodeCipher.Errors.BAD_DECRYPT;
+      try {
+        params = this._generateParamsFromOptions(options);
+      } catch (err) {
+        return callback(err);
       }
 
-      throw err;
+      return callback(null, params, null);
     }
+
+    this._readHeader(options.input, (err, decoded) => {
+      if (err) {
+        return callback(err);
+      }
+
+      let params;
+
+      try {
+        params = this._applyHeader(options, decoded);
+      } catch (err) {
+        return callback(err);
+      }
+
+      if (_.isNull(decoded)) {
+        return callback(null, params, Buffer.alloc(0));
+      }
+
+      callback(null, params, decoded.buffer);
+    });
   }
 
   /**
-   * The synchronous version of _deriveKeyFromOptions().
+   * Reads and decodes the header at the beginning of the given file. The
+   * decoded header will be `null` if the file does not begin with a header.
    *
-   * @param {Object} options
-   * @returns {Hex}
+   * @param {string} file
+   * @param {Function} callback
    * @private
    */
-  _deriveKeyFromOptionsSync(options) {
-    return crypto.pbkdf2Sync(
-      options.password,
-      options.salt,
-      options.iterations,
-      options.keylen,
-      options.digest
-    );
+  _readHeader(file, callback) {
+    fs.open(file, 'r', (err, fd) => {
+      if (err) {
+        return callback(err);
+      }
+
+      let done = (err, decoded) => {
+        fs.close(fd, () => {
+          callback(err, decoded);
+        });
+      };
+
+      let prelude = Buffer.alloc(header.PRELUDE_LENGTH);
+
+      fs.read(fd, prelude, 0, prelude.length, 0, (err, bytesRead) => {
+        let length;
+
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          length = header.getLength(prelude.slice(0, bytesRead));
+        } catch (err) {
+          return done(err);
+        }
+
+        if (_.isNull(length)) {
+          return done(null, null);
+        }
+
+        let buf = Buffer.alloc(length);
+
+        fs.read(fd, buf, 0, length, 0, (err, bytesRead) => {
+          if (err) {
+            return done(err);
+          }
+
+          try {
+            done(null, header.decode(buf.slice(0, bytesRead)));
+          } catch (err) {
+            done(err);
+          }
+        });
+      });
+    });
   }
 
   /**
-   * Helper methods.
+   * Opens a temporary file alongside the given output file, creating its
+   * directory if necessary, and resolves a write stream to it along with its
+   * path.
    *
-   * - _generateCipherFromOptions():Cipher
-   * - _parseOptions():Object
-   * - _validateOptions():Array
-   * - _validateRequiredString():Array
-   * - _validateRequiredStringOrBuffer():Array
-   * - _validateRequiredInteger():Array
-   * - _validateRequiredHash():Array
-   * - _validateRequiredCipher():Array
-   * - _handleStreamError():Function
+   * @param {string} output
+   * @param {Function} callback
+   * @private
    */
+  _openOutput(output, callback) {
+    let tempPath = this._getTempPath(output);
+
+    fs.mkdirs(path.dirname(output), err => {
+      if (err) {
+        return callback(err);
+      }
+
+      this._getOutputMode(output, mode => {
+        fs.open(tempPath, 'wx', mode, (err, fd) => {
+          if (err) {
+            return callback(err);
+          }
+
+          // The mode given to open() is subject to the umask.
+          fs.fchmod(fd, mode, err => {
+            let writeStream = fs.createWriteStream(tempPath, { fd });
+
+            if (err) {
+              return this._discardOutput(writeStream, tempPath, () => {
+                callback(err);
+              });
+            }
+
+            callback(null, writeStream, tempPath);
+          });
+        });
+      });
+    });
+  }
 
   /**
-   * Generates the desired cipheriv function from the given options and derived
-   * key.
+   * Resolves the mode of the given output file, so that the file replacing it
+   * keeps it, or OUTPUT_MODE if it does not exist yet.
    *
-   * @param {Object} action
-   * @param {Object} options
-   * @param {Buffer} key
-   * @returns {Cipher}
+   * @param {string} output
+   * @param {Function} callback
    * @private
    */
-  _generateCipherFromOptions(action, options, key) {
-    return action.method(
-      options.algorithm,
-      key.toString('hex')
-    );
+  _getOutputMode(output, callback) {
+    fs.stat(output, (err, stats) => {
+      callback(err ? OUTPUT_MODE : stats.mode & 0o777);
+    });
   }
 
   /**
-   * Parse the options provided and fill in any missing options with default
-   * values.
+   * Returns a callback which, once the write stream to the temporary file has
+   * finished, moves the temporary file into place of the output file. If an
+   * error occurred instead, the temporary file is removed and the output file
+   * is left untouched.
    *
-   * @param {Object} options
-   * @returns {Object} opts
+   * @param {Stream} writeStream
+   * @param {string} tempPath
+   * @param {string} output
+   * @param {Function} callback
+   * @returns {Function}
    * @private
    */
-  _parseOptions(options) {
-    return _.defaults(options, this._config);
+  _commitOutput(writeStream, tempPath, output, callback) {
+    return (err, result) => {
+      if (err) {
+        return this._discardOutput(writeStream, tempPath, () => {
+          callback(err);
+        });
+      }
+
+      this._closeStream(writeStream, () => {
+        fs.rename(tempPath, output, err => {
+          if (err) {
+            return this._discardOutput(writeStream, tempPath, () => {
+              callback(this._nameError(err));
+            });
+          }
+
+          callback(null, result);
+        });
+      });
+    };
   }
 
   /**
-   * Validates that all NodeCipher options follow the proper schema.
+   * Closes the write stream to the temporary file, then removes it.
    *
-   * @param {Object} options
-   * @returns {Array} errors
+   * @param {Stream} writeStream
+   * @param {string} tempPath
+   * @param {Function} callback
    * @private
    */
-  _validateOptions(options) {
-    return Array.prototype.concat(
-      this._validateRequiredString('input', options.input),
-      this._validateRequiredString('output', options.output),
-      this._validateRequiredString('password', options.password),
-      this._validateRequiredStringOrBuffer('salt', options.salt),
-      this._validateRequiredInteger('iterations', options.iterations),
-      this._validateRequiredInteger('keylen', options.keylen),
-      this._validateRequiredHash('digest', options.digest),
-      this._validateRequiredCipher('algorithm', options.algorithm)
-    );
+  _discardOutput(writeStream, tempPath, callback) {
+    this._closeStream(writeStream, () => {
+      fs.remove(tempPath, () => {
+        callback();
+      });
+    });
   }
 
   /**
-   * Validates an option that is required and must be a string.
+   * Closes the given file stream, if it has not been closed already.
    *
-   * @param {string} key
-   * @param {mixed} val
-   * @returns {Array} errors
+   * @param {Stream} stream
+   * @param {Function} callback
    * @private
    */
-  _validateRequiredString(key, val) {
-    let errors = [];
-
-    if (_.isUndefined(val)) {
-      errors.push({
-        option: key,
-        message: `"${key}" is required.`
-      });
-    }
-
-    if (!_.isString(val)) {
-      errors.push({
-        name: key,
-        message: `"${key}" must be a string. Got "${typeof val}"`
-      });
+  _closeStream(stream, callback) {
+    if (stream.closed) {
+      return callback();
     }
 
-    return errors;
+    stream.once('close', callback);
+    stream.destroy();
   }
 
   /**
-   * Validates an option that is required and must be a string or a Buffer.
+   * Derives a key of the requested byte length (keylen) from the secret and
+   * salt using the chosen key derivation function. If the password is not
+   * provided, it is first read from its source. If an agent is configured,
+   * it is asked for the key first, and the key is added to it once it has
+   * been derived. Without the factors that the secret is made of, the key
+   * must be held by the agent.
    *
-   * @param {string} key
-   * @param {mixed} val
-   * @returns {Array} errors
+   * @see _resolvePassword
+   * @see _getSecret
+   * @see _findAgentKey
+   * @see _storeAgentKey
+   * @param {Object} options
+   * @param {Function} callback
    * @private
    */
-  _validateRequiredStringOrBuffer(key, val) {
-    let errors = [];
-
-    if (_.isUndefined(val)) {
-      errors.push({
-        option: key,
-        message: `"${key}" is required.`
-      });
-    }
-
-    if (!_.isString(val) && !Buffer.isBuffer(val)) {
-      errors.push({
-        option: key,
-        message: `"${key}" must be a string or buffer. Got "${typeof val}"`
-      });
-    }
+  _deriveKeyFromOptions(options, callback) {
+    this._resolvePassword(options, (err, options) => {
+      if (err) {
+        return callback(err);
+      }
 
-    return errors;
+      this._deriveKeyFromSecret(options, callback);
+    });
   }
 
   /**
-   * Validates an option that is required and must be an integer.
+   * Derives the key once the password has been read from its source.
    *
-   * @param {string} key
-   * @param {mixed} val
-   * @returns {Array} errors
+   * @see _deriveKeyFromOptions
+   * @param {Object} options
+   * @param {Function} callback
+   * @private
+   */
+  _deriveKeyFromSecret(options, callback) {
+    let secret;
+    let derive = done => {
+      if (_.isNull(secret)) {
+        return done(this._createMissingFactorError(options));
+      }
+
+      try {
+        this._getKdf(options.kdf).derive(
+          _.assign({}, options, { password: secret }),
+          done
+        );
+      } catch (err) {
+        done(err);
+      }
+    };
+
+    try {
+      secret = this._getSecret(options);
+    } catch (err) {
+      return callback(err);
+    }
+
+    if (_.isUndefined(options.agent)) {
+      return derive(callback);
+    }
+
+    this._findAgentKey(options, secret, key => {
+      if (!_.isNull(key)) {
+        return callback(null, key);
+      }
+
+      if (_.isNull(secret)) {
+        return callback(this._createKeyNotFoundError());
+      }
+
+      derive((err, key) => {
+        if (err) {
+          return callback(err);
+        }
+
+        this._storeAgentKey(options, secret, key, () => {
+          callback(null, key);
+        });
+      });
+    });
+  }
+
+  /**
+   * Asks the agent for the key derived from the given options and secret, and
+   * calls back with `null` if it does not hold one. Without a secret, the only
+   * way to tell which of the keys derived from the same parameters belongs to
+   * the input is to check each of them against the password verifier recorded
+   * within its header. An agent that cannot be reached holds no keys.
+   *
+   * @param {Object} options
+   * @param {string|Buffer|null} secret
+   * @param {Function} callback
+   * @private
+   */
+  _findAgentKey(options, secret, callback) {
+    let ids = this._getAgentIds(options, secret);
+    let hasSecret = !_.isNull(secret);
+    let query = hasSecret ?
+      { password: ids.password } :
+      { params: ids.params };
+
+    if (!hasSecret && !Buffer.isBuffer(options.verifier)) {
+      return callback(null);
+    }
+
+    agent.request(options.agent, _.assign({ type: 'get' }, query),
+      (err, response) => {
+        let keys;
+
+        if (err) {
+          return callback(null);
+        }
+
+        keys = _.map(response.keys, key => {
+          return Buffer.from(key, 'base64');
+        });
+
+        if (!hasSecret) {
+          keys = _.filter(keys, key => {
+            return this._compareMacs(this._createVerifier(options, key),
+              options.verifier);
+          });
+        }
+
+        callback(_.first(keys) || null);
+      });
+  }
+
+  /**
+   * Adds the key derived from the given options and secret to the agent. An
+   * agent that cannot be reached is ignored.
+   *
+   * @param {Object} options
+   * @param {string|Buffer} secret
+   * @param {Buffer} key
+   * @param {Function} callback
+   * @private
+   */
+  _storeAgentKey(options, secret, key, callback) {
+    let message = _.assign({ type: 'put', key: key.toString('base64') },
+      this._getAgentIds(options, secret));
+
+    agent.request(options.agent, message, () => {
+      callback();
+    });
+  }
+
+  /**
+   * Core buffer methods.
+   *
+   * - _parseBufferRequest()
+   * - _parseBufferRequestSync():Buffer
+   * - _parseStringRequest()
+   * - _parseStringRequestSync():string
+   * - _readBuffer():Object
+   * - _cipherBuffer():Buffer
+   */
+
+  /**
+   * Encrypts or decrypts the given buffer using the options provided. The
+   * options are validated the same way as they are for files, except that
+   * the input and output options are not used.
+   *
+   * @param {Object} action
+   * @param {Buffer} buffer
+   * @param {Object} options
+   * @param {Function} done
+   * @private
+   */
+  _parseBufferRequest(action, buffer, options, done) {
+    let opts = this._parseOptions(options);
+    let errors = Array.prototype.concat(
+      this._validateRequiredBuffer('buffer', buffer),
+      this._validateCipherOptions(action, opts)
+    );
+
+    action.debugger('attempt buffer with options (async): ' +
+      JSON.stringify(opts));
+
+    this._handleErrors(errors).then(() => {
+      let request;
+
+      try {
+        request = this._readBuffer(action, opts, buffer);
+      } catch (err) {
+        return done(this._nameError(err));
+      }
+
+      this._deriveKeyFromOptions(request.params, (err, key) => {
+        if (err) {
+          return done(err);
+        }
+
+        try {
+          done(null, this._cipherBuffer(action, request, key));
+        } catch (err) {
+          done(this._nameError(err));
+        }
+      });
+    }, err => {
+      action.debugger('encountered error: ' + err);
+
+      return done(err);
+    });
+  }
+
+  /**
+   * The synchronous version of _parseBufferRequest().
+   *
+   * @param {Object} action
+   * @param {Buffer} buffer
+   * @param {Object} options
+   * @returns {Buffer}
+   * @private
+   */
+  _parseBufferRequestSync(action, buffer, options) {
+    let opts = this._parseOptions(options);
+    let err = this._handleErrorsSync(Array.prototype.concat(
+      this._validateRequiredBuffer('buffer', buffer),
+      this._validateCipherOptions(action, opts)
+    ));
+
+    action.debugger('attempt buffer with options (sync): ' +
+      JSON.stringify(opts));
+
+    if (!_.isUndefined(err)) {
+      action.debugger('encountered error: ' + err);
+      throw err;
+    }
+
+    try {
+      let request = this._readBuffer(action, opts, buffer);
+      let key = this._deriveKeyFromOptionsSync(request.params);
+
+      return this._cipherBuffer(action, request, key);
+    } catch (err) {
+      throw this._nameError(err);
+    }
+  }
+
+  /**
+   * Resolves the parameters that will be used to cipher the given buffer, as
+   * well as its header, content, and trailer. When decrypting, the parameters
+   * recorded within the header of the buffer take precedence over the options
+   * provided, and the trailer is split from the content that precedes it.
+   * When encrypting, the header is `null` until the key has been derived.
+   *
+   * @param {Object} action
+   * @param {Object} options
+   * @param {Buffer} buffer
+   * @returns {Object} request
+   * @private
+   */
+  _readBuffer(action, options, buffer) {
+    let head = Buffer.alloc(0);
+    let decoded;
+    let params;
+    let split;
+
+    if (action === NodeCipher.Actions.ENCRYPT) {
+      params = this._generateParamsFromOptions(options);
+
+      return { params, head: null, content: buffer };
+    }
+
+    decoded = header.decode(buffer);
+    params = this._applyHeader(options, decoded);
+
+    if (!_.isNull(decoded)) {
+      head = decoded.buffer;
+    }
+
+    split = this._splitTrailer(params, buffer.slice(head.length));
+
+    return { params, head, content: split.content, trailer: split.trailer };
+  }
+
+  /**
+   * Encrypts or decrypts the content of the given request using the derived
+   * key. The encrypted output begins with the header and ends with the
+   * trailer. When decrypting, the MAC is verified before any of the content
+   * is deciphered.
+   *
+   * @param {Object} action
+   * @param {Object} request
+   * @param {Buffer} key
+   * @returns {Buffer}
+   * @private
+   */
+  _cipherBuffer(action, request, key) {
+    let params = request.params;
+    let head = this._resolveHeader(action, params, request.head, key);
+    let buffers = [];
+    let mac = this._createMac(params, key, head);
+    let verify = !_.isUndefined(request.trailer) &&
+      this._isAuthenticated(params);
+
+    if (!_.isUndefined(request.trailer) && mac) {
+      mac.update(request.content);
+
+      if (!this._compareMacs(mac.digest(), request.trailer)) {
+        throw this._createIntegrityError(params);
+      }
+    }
+
+    let cipher = this._generateCipherFromOptions(action, params, key, head);
+
+    if (verify) {
+      cipher.setAuthTag(request.trailer);
+    }
+
+    buffers.push(cipher.update(request.content));
+
+    // Authenticated deciphers only fail if the authentication tag could not
+    // be verified.
+    try {
+      buffers.push(cipher.final());
+    } catch (err) {
+      throw verify ? this._createIntegrityError(params) : err;
+    }
+
+    if (action === NodeCipher.Actions.ENCRYPT) {
+      if (mac) {
+        mac.update(Buffer.concat(buffers));
+      }
+
+      buffers.unshift(head);
+      buffers.push(this._getTrailer(params, cipher, mac));
+    }
+
+    return Buffer.concat(buffers);
+  }
+
+  /**
+   * Encrypts or decrypts the given string using the options provided. Strings
+   * are encoded using the `inputEncoding` of the action, and the result is
+   * decoded using its `outputEncoding`, so encrypted strings are base64.
+   *
+   * @param {Object} action
+   * @param {string} string
+   * @param {Object} options
+   * @param {Function} done
+   * @private
+   */
+  _parseStringRequest(action, string, options, done) {
+    let errors = this._validateRequiredString('string', string);
+
+    this._handleErrors(errors).then(() => {
+      let buffer = Buffer.from(string, action.inputEncoding);
+
+      this._parseBufferRequest(action, buffer, options, (err, result) => {
+        if (err) {
+          return done(err);
+        }
+
+        done(null, result.toString(action.outputEncoding));
+      });
+    }, err => {
+      action.debugger('encountered error: ' + err);
+
+      return done(err);
+    });
+  }
+
+  /**
+   * The synchronous version of _parseStringRequest().
+   *
+   * @param {Object} action
+   * @param {string} string
+   * @param {Object} options
+   * @returns {string}
+   * @private
+   */
+  _parseStringRequestSync(action, string, options) {
+    let err = this._handleErrorsSync(
+      this._validateRequiredString('string', string)
+    );
+
+    if (!_.isUndefined(err)) {
+      action.debugger('encountered error: ' + err);
+      throw err;
+    }
+
+    let buffer = Buffer.from(string, action.inputEncoding);
+
+    return this._parseBufferRequestSync(action, buffer, options)
+      .toString(action.outputEncoding);
+  }
+
+  /**
+   * Core stream methods.
+   *
+   * - _createCipherStream():Stream
+   * - _verifyInput()
+   * - _createEncryptState():Object
+   * - _createDecryptState():Object
+   * - _createOutputStream():Stream
+   */
+
+  /**
+   * Creates a stream that encrypts or decrypts everything that is written to
+   * it using the options provided. The options are validated immediately, but
+   * the key is not derived until the stream receives its first chunk. When
+   * decrypting, the `input` option may name the file that is being written to
+   * the stream, in which case the file is authenticated before any of its
+   * content is deciphered. The progress of the authentication is reported to
+   * the given operation.
+   *
+   * @see _verifyInput
+   * @param {Object} action
+   * @param {Object} options
+   * @param {Operation} [operation]
+   * @returns {Stream}
+   * @private
+   */
+  _createCipherStream(action, options, operation) {
+    let opts = this._parseOptions(options);
+    let err = this._handleErrorsSync(
+      this._validateCipherOptions(action, opts).concat(
+        this._validateOptionalString('input', opts.input)
+      )
+    );
+    let cipherStream;
+
+    action.debugger('create stream with options: ' + JSON.stringify(opts));
+
+    if (!_.isUndefined(err)) {
+      action.debugger('encountered error: ' + err);
+      throw err;
+    }
+
+    if (action === NodeCipher.Actions.ENCRYPT) {
+      cipherStream = new streams.EncryptStream(callback => {
+        this._readCipherParams(action, opts, (err, params, head) => {
+          if (err) {
+            return callback(err);
+          }
+
+          this._deriveKeyFromOptions(params, (err, key) => {
+            if (err) {
+              return callback(err);
+            }
+
+            try {
+              callback(null, this._createEncryptState(params, head, key));
+            } catch (err) {
+              callback(err);
+            }
+          });
+        });
+      });
+    } else {
+      cipherStream = new streams.DecryptStream((decoded, callback) => {
+        let head = Buffer.alloc(0);
+        let params;
+
+        // The parameters recorded within the header take precedence over the
+        // options provided.
+        try {
+          params = this._applyHeader(opts, decoded);
+        } catch (err) {
+          return callback(err);
+        }
+
+        if (!_.isNull(decoded)) {
+          head = decoded.buffer;
+        }
+
+        this._deriveKeyFromOptions(params, (err, key) => {
+          if (err) {
+            return callback(err);
+          }
+
+          this._verifyInput(params, head, key, operation, err => {
+            if (err) {
+              return callback(err);
+            }
+
+            try {
+              callback(null, this._createDecryptState(params, head, key));
+            } catch (err) {
+              callback(err);
+            }
+          });
+        });
+      });
+    }
+
+    // This listener is added first so that the error is named before it
+    // reaches any of the consumer's listeners.
+    return cipherStream.on('error', err => {
+      this._nameError(err);
+    });
+  }
+
+  /**
+   * Authenticates the input file that is being written to a decrypt stream,
+   * if its path is known, before any of its content is deciphered. The MAC of
+   * the file is verified, or if the file is encrypted with an authenticated
+   * algorithm, the file is deciphered without any output to verify its
+   * authentication tag. Either way, the content that follows the header is
+   * read twice, which is added to the total of the operation.
+   *
+   * @see _verifyMac
+   * @see _verifyAuthTag
+   * @param {Object} params
+   * @param {Buffer} head
+   * @param {Buffer} key
+   * @param {Operation} [operation]
+   * @param {Function} callback
+   * @private
+   */
+  _verifyInput(params, head, key, operation, callback) {
+    let method;
+
+    if (_.isUndefined(params.input)) {
+      return callback(null);
+    }
+
+    // The password and the protection recorded within the header are checked
+    // first, so that neither fails as an integrity error.
+    try {
+      this._resolveHeader(NodeCipher.Actions.DECRYPT, params, head, key);
+    } catch (err) {
+      return callback(err);
+    }
+
+    if (this._hasMac(params)) {
+      method = '_verifyMac';
+    } else if (this._isAuthenticated(params)) {
+      method = '_verifyAuthTag';
+    } else {
+      return callback(null);
+    }
+
+    operation = operation || new Operation();
+
+    fs.stat(params.input, (err, stats) => {
+      if (err) {
+        return callback(err);
+      }
+
+      operation.total += stats.size - head.length;
+
+      this[method](params, params, head, key, operation, callback);
+    });
+  }
+
+  /**
+   * Creates the state used by an EncryptStream to encrypt its content. The
+   * given header is resolved along with the password verifier.
+   *
+   * @param {Object} params
+   * @param {Buffer} head
+   * @param {Buffer} key
+   * @returns {Object} state
+   * @private
+   */
+  _createEncryptState(params, head, key) {
+    let action = NodeCipher.Actions.ENCRYPT;
+
+    head = this._resolveHeader(action, params, head, key);
+
+    let cipher = this._generateCipherFromOptions(action, params, key, head);
+    let mac = this._createMac(params, key, head);
+
+    // The MAC covers the encrypted content, so it is updated with the output
+    // of the cipher.
+    let digest = buf => {
+      if (mac) {
+        mac.update(buf);
+      }
+
+      return buf;
+    };
+
+    return {
+      head,
+      update: chunk => {
+        return digest(cipher.update(chunk));
+      },
+      final: () => {
+        let buf = digest(cipher.final());
+
+        return Buffer.concat([buf, this._getTrailer(params, cipher, mac)]);
+      }
+    };
+  }
+
+  /**
+   * Creates the state used by a DecryptStream to decrypt its content. The
+   * password is checked before any of the content is deciphered. Since the
+   * content is deciphered as it is received, the trailer can only be verified
+   * once all of the content has been deciphered.
+   *
+   * @param {Object} params
+   * @param {Buffer} head
+   * @param {Buffer} key
+   * @returns {Object} state
+   * @private
+   */
+  _createDecryptState(params, head, key) {
+    let action = NodeCipher.Actions.DECRYPT;
+
+    head = this._resolveHeader(action, params, head, key);
+
+    let decipher = this._generateCipherFromOptions(action, params, key, head);
+    let mac = this._createMac(params, key, head);
+    let authenticated = this._isAuthenticated(params);
+
+    return {
+      trailerLength: this._getTrailerLength(params),
+      update: chunk => {
+        if (mac) {
+          mac.update(chunk);
+        }
+
+        return decipher.update(chunk);
+      },
+      final: trailer => {
+        if (mac && !this._compareMacs(mac.digest(), trailer)) {
+          throw this._createIntegrityError(params);
+        }
+
+        if (authenticated) {
+          decipher.setAuthTag(trailer);
+        }
+
+        // Authenticated deciphers only fail if the authentication tag could
+        // not be verified.
+        try {
+          return decipher.final();
+        } catch (err) {
+          throw authenticated ? this._createIntegrityError(params) : err;
+        }
+      }
+    };
+  }
+
+  /**
+   * Creates a stream that writes everything that is written to it into a
+   * temporary file alongside the given output file, which only replaces the
+   * output file once the stream has finished. The temporary file is removed if
+   * the stream is destroyed before then.
+   *
+   * @see _openOutput
+   * @see _commitOutput
+   * @param {string} output
+   * @returns {Stream}
+   * @private
+   */
+  _createOutputStream(output) {
+    let err = this._handleErrorsSync(
+      this._validateRequiredString('output', output)
+    );
+
+    if (!_.isUndefined(err)) {
+      throw err;
+    }
+
+    return new streams.OutputStream(callback => {
+      this._openOutput(output, (err, writeStream, tempPath) => {
+        if (err) {
+          return callback(this._nameError(err));
+        }
+
+        callback(null, {
+          writeStream,
+          commit: done => {
+            this._commitOutput(writeStream, tempPath, output, done)(null);
+          },
+          discard: done => {
+            this._discardOutput(writeStream, tempPath, done);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Core archive methods.
+   *
+   * - _pack():Operation|Promise
+   * - _unpack():Operation|Promise
+   * - _parsePackRequest()
+   * - _parseUnpackRequest()
+   * - _packFiles()
+   * - _unpackFiles()
+   * - _listArchiveEntries()
+   * - _writeArchive()
+   * - _commitEntries()
+   * - _discardEntries()
+   * - _listArchive():Promise|undefined
+   * - _parseListRequest()
+   * - _decryptArchiveIndex()
+   * - _describeArchiveEntries():Array
+   * - _packSync():Object
+   * - _unpackSync():Object
+   * - _listArchiveEntriesSync():Array
+   * - _listArchiveSync():Array
+   * - _decryptArchiveIndexSync():Object
+   */
+
+  /**
+   * Pack the input files into an encrypted archive using the options provided.
+   *
+   * @see _parsePackRequest
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Operation|Promise}
+   * @private
+   */
+  _pack(options, callback, scope) {
+    let operation = new Operation(_.get(options, 'signal'));
+
+    return this._respond(callback, scope, done => {
+      this._parsePackRequest(options, operation, done);
+    }, operation);
+  }
+
+  /**
+   * Unpack the files within an encrypted archive using the options provided.
+   *
+   * @see _parseUnpackRequest
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Operation|Promise}
+   * @private
+   */
+  _unpack(options, callback, scope) {
+    let operation = new Operation(_.get(options, 'signal'));
+
+    return this._respond(callback, scope, done => {
+      this._parseUnpackRequest(options, operation, done);
+    }, operation);
+  }
+
+  /**
+   * Parses the pack request to verify that all the options are valid and
+   * there are no errors. The input may be a file or directory, or an array of
+   * files and directories.
+   *
+   * @see _packFiles
+   * @param {Object} options
+   * @param {Operation} operation
+   * @param {Function} done
+   * @private
+   */
+  _parsePackRequest(options, operation, done) {
+    let action = NodeCipher.Actions.ENCRYPT;
+    let opts = this._parseOptions(options);
+    let errors = this._validatePackOptions(opts);
+
+    action.debugger('attempt pack with options (async): ' +
+      JSON.stringify(opts));
+
+    this._handleErrors(errors).then(() => {
+      this._packFiles(opts, operation, done);
+    }, err => {
+      action.debugger('encountered error: ' + err);
+
+      return done(err);
+    });
+  }
+
+  /**
+   * Parses the unpack request to verify that all the options are valid and
+   * there are no errors.
+   *
+   * @see _unpackFiles
+   * @param {Object} options
+   * @param {Operation} operation
+   * @param {Function} done
+   * @private
+   */
+  _parseUnpackRequest(options, operation, done) {
+    let action = NodeCipher.Actions.DECRYPT;
+    let opts = this._parseOptions(options);
+    let errors = this._validateUnpackOptions(opts);
+
+    action.debugger('attempt unpack with options (async): ' +
+      JSON.stringify(opts));
+
+    this._handleErrors(errors).then(() => {
+      this._unpackFiles(opts, operation, done);
+    }, err => {
+      action.debugger('encountered error: ' + err);
+
+      return done(err);
+    });
+  }
+
+  /**
+   * Writes the input files into an archive which is piped straight through an
+   * encrypt stream into the output file, so that the archive is never written
+   * to disk unencrypted. The output file is written atomically. The progress
+   * of the operation is reported as the input files are read.
+   *
+   * @see _writeArchive
+   * @see _createCipherStream
+   * @param {Object} options
+   * @param {Operation} operation
+   * @param {Function} done
+   * @private
+   */
+  _packFiles(options, operation, done) {
+    if (operation.aborted) {
+      return done(this._createAbortError());
+    }
+
+    this._listArchiveEntries(options, (err, entries) => {
+      if (err) {
+        return done(this._nameError(err));
+      }
+
+      operation.total = _.sumBy(entries, 'size');
+
+      this._openOutput(options.output, (err, writeStream, tempPath) => {
+        let commit;
+        let encryptStream;
+
+        if (err) {
+          return done(this._nameError(err));
+        }
+
+        commit = this._commitOutput(writeStream, tempPath, options.output,
+          done);
+
+        try {
+          encryptStream = this._createCipherStream(NodeCipher.Actions.ENCRYPT,
+            _.omit(options, ['input', 'output']));
+        } catch (err) {
+          return commit(err);
+        }
+
+        let abort = () => {
+          finish(this._createAbortError());
+        };
+
+        let finish = _.once((err, result) => {
+          operation.removeListener('abort', abort);
+
+          if (err) {
+            encryptStream.unpipe(writeStream);
+            encryptStream.destroy();
+
+            return commit(this._nameError(err));
+          }
+
+          commit(null, result);
+        });
+
+        if (operation.aborted) {
+          return finish(this._createAbortError());
+        }
+
+        operation.once('abort', abort);
+
+        writeStream.on('error', finish);
+        writeStream.on('finish', () => {
+          finish(null, options);
+        });
+
+        encryptStream
+          .on('error', finish)
+          .pipe(writeStream);
+
+        this._writeArchive(entries, encryptStream, operation, err => {
+          if (err) {
+            finish(err);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * Pipes the input file through a decrypt stream into an unpack stream,
+   * which writes each of the files within the archive, or only the chosen
+   * entry, to a temporary file alongside its output file. The decrypt stream
+   * authenticates the input file before any of it is deciphered. The
+   * temporary files only replace the output files once the archive has been
+   * decrypted in its entirety, and they are removed if anything fails. The
+   * progress of the operation is reported as the input file is read.
+   *
+   * @see _createCipherStream
+   * @see _commitEntries
+   * @param {Object} options
+   * @param {Operation} operation
+   * @param {Function} done
+   * @private
+   */
+  _unpackFiles(options, operation, done) {
+    let name = _.isUndefined(options.entry) ?
+      null :
+      archive.normalizePath(options.entry);
+    let entries = [];
+    let outputs = [];
+    let finished = false;
+    let decryptStream;
+
+    if (operation.aborted) {
+      return done(this._createAbortError());
+    }
+
+    try {
+      decryptStream = this._createCipherStream(NodeCipher.Actions.DECRYPT,
+        _.omit(options, 'output'), operation);
+    } catch (err) {
+      return done(err);
+    }
+
+    let open = (entry, callback) => {
+      entries.push(entry);
+
+      if (!_.isNull(name) && entry.path !== name) {
+        return callback(null, null);
+      }
+
+      let output = path.join(options.output, entry.path);
+
+      this._openOutput(output, (err, writeStream, tempPath) => {
+        if (err) {
+          return callback(err);
+        }
+
+        // The unpack may have failed while the file was being opened.
+        if (finished) {
+          return this._discardOutput(writeStream, tempPath, () => {
+            callback(this._createAbortError());
+          });
+        }
+
+        outputs.push({ entry, output, writeStream, tempPath });
+
+        callback(null, writeStream);
+      });
+    };
+
+    fs.stat(options.input, (err, stats) => {
+      if (err) {
+        return done(this._nameError(err));
+      }
+
+      let readStream = fs.createReadStream(options.input);
+      let unpackStream = new streams.UnpackStream(open);
+
+      let finish = this._trackOperation(operation, readStream, err => {
+        finished = true;
+
+        if (!err && !_.isNull(name)) {
+          try {
+            archive.findEntry(entries, options.entry);
+          } catch (e) {
+            err = this._nameError(e);
+          }
+        }
+
+        if (err) {
+          return this._discardEntries(outputs, () => {
+            done(err);
+          });
+        }
+
+        this._commitEntries(outputs, err => {
+          if (err) {
+            return done(this._nameError(err));
+          }
+
+          done(null, options);
+        });
+      });
+
+      let handleError = this._handleStreamError(readStream, finish);
+
+      operation.total = stats.size;
+
+      unpackStream.on('finish', () => {
+        finish(null);
+      });
+
+      readStream
+        .on('error', handleError)
+        .pipe(decryptStream)
+        .on('error', handleError)
+        .pipe(unpackStream)
+        .on('error', handleError);
+    });
+  }
+
+  /**
+   * Lists the files that will be packed into the archive, along with the
+   * paths they are recorded under and their sizes and modes. Directories are
+   * walked recursively, and only the files within them that match the include
+   * and exclude patterns are listed. The output file is never listed. Fails
+   * if different files would be recorded under the same path.
+   *
+   * @see _listFiles
+   * @param {Object} options
+   * @param {Function} callback
+   * @private
+   */
+  _listArchiveEntries(options, callback) {
+    let inputs = _.castArray(options.input);
+    let entries = [];
+
+    let add = (file, stats) => {
+      if (path.resolve(file) !== path.resolve(options.output)) {
+        entries.push({
+          file,
+          path: archive.normalizePath(file),
+          mode: stats.mode & 0o777,
+          size: stats.size,
+          mtime: stats.mtime.getTime()
+        });
+      }
+    };
+
+    let next = index => {
+      let input = inputs[index];
+
+      if (index === inputs.length) {
+        try {
+          entries = archive.uniqEntries(entries);
+        } catch (err) {
+          return callback(err);
+        }
+
+        return callback(null, entries);
+      }
+
+      fs.stat(input, (err, stats) => {
+        if (err) {
+          return callback(err);
+        }
+
+        if (!stats.isDirectory()) {
+          add(input, stats);
+
+          return next(index + 1);
+        }
+
+        this._listFiles(NodeCipher.Actions.ENCRYPT, _.assign({}, options, {
+          input,
+          output: input,
+          extension: ''
+        }), (err, files) => {
+          if (err) {
+            return callback(err);
+          }
+
+          _.each(files, file => {
+            add(file.input, file);
+          });
+
+          next(index + 1);
+        });
+      });
+    };
+
+    next(0);
+  }
+
+  /**
+   * Writes the index of the given entries into the given stream, followed by
+   * the contents of each file, then ends the stream. Fails if any of the files
+   * change size while they are being written, since the index would no longer
+   * describe them. Stops reading if the stream fails or is destroyed before
+   * the archive has been written.
+   *
+   * @param {Array} entries
+   * @param {Stream} writable
+   * @param {Operation} operation
+   * @param {Function} callback
+   * @private
+   */
+  _writeArchive(entries, writable, operation, callback) {
+    let readStream = null;
+
+    let close = () => {
+      done(new Error('The archive was closed before it was written.'));
+    };
+
+    let done = _.once(err => {
+      writable.removeListener('error', done);
+      writable.removeListener('close', close);
+
+      if (err && !_.isNull(readStream)) {
+        readStream.unpipe(writable);
+        readStream.destroy();
+      }
+
+      callback(err);
+    });
+
+    let next = index => {
+      let entry = entries[index];
+      let size = 0;
+
+      if (index === entries.length) {
+        writable.end();
+
+        return done(null);
+      }
+
+      readStream = fs.createReadStream(entry.file)
+        .on('error', done)
+        .on('data', chunk => {
+          size += chunk.length;
+          operation.progress(chunk.length);
+        })
+        .on('end', () => {
+          if (size !== entry.size) {
+            return done(new Error(
+              `"${entry.file}" changed while it was being packed.`
+            ));
+          }
+
+          next(index + 1);
+        });
+
+      readStream.pipe(writable, { end: false });
+    };
+
+    writable.once('error', done);
+    writable.once('close', close);
+    writable.write(archive.encodeIndex(entries));
+
+    next(0);
+  }
+
+  /**
+   * Moves each of the files that were extracted from an archive from its
+   * temporary file into place, one at a time, then restores its mode and
+   * modification time. If any of them fails, the temporary files that
+   * remain are removed.
+   *
+   * @see _commitOutput
+   * @param {Array} outputs
+   * @param {Function} callback
+   * @private
+   */
+  _commitEntries(outputs, callback) {
+    let next = index => {
+      let output = outputs[index];
+
+      if (index === outputs.length) {
+        return callback(null);
+      }
+
+      let fail = err => {
+        this._discardEntries(outputs.slice(index + 1), () => {
+          callback(err);
+        });
+      };
+
+      let restore = err => {
+        if (err) {
+          return fail(err);
+        }
+
+        this._restoreEntryStats(output.output, output.entry, err => {
+          if (err) {
+            return fail(err);
+          }
+
+          next(index + 1);
+        });
+      };
+
+      this._commitOutput(output.writeStream, output.tempPath, output.output,
+        restore)(null);
+    };
+
+    next(0);
+  }
+
+  /**
+   * Removes the temporary files of each of the files that were extracted from
+   * an archive.
+   *
+   * @see _discardOutput
+   * @param {Array} outputs
+   * @param {Function} callback
+   * @private
+   */
+  _discardEntries(outputs, callback) {
+    let next = index => {
+      let output = outputs[index];
+
+      if (index === outputs.length) {
+        return callback();
+      }
+
+      this._discardOutput(output.writeStream, output.tempPath, () => {
+        next(index + 1);
+      });
+    };
+
+    next(0);
+  }
+
+  /**
+   * Restores the mode and modification time of a file that was extracted from
+   * an archive. Archives packed before modification times were recorded only
+   * restore the mode.
+   *
+   * @param {string} file
+   * @param {Object} entry
+   * @param {Function} callback
+   * @private
+   */
+  _restoreEntryStats(file, entry, callback) {
+    fs.chmod(file, entry.mode & 0o777, err => {
+      let time;
+
+      if (err || _.isUndefined(entry.mtime)) {
+        return callback(err);
+      }
+
+      time = new Date(entry.mtime);
+
+      fs.utimes(file, time, time, callback);
+    });
+  }
+
+  /**
+   * Lists the files within an encrypted archive using the options provided.
+   *
+   * @see _parseListRequest
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Promise|undefined}
+   * @private
+   */
+  _listArchive(options, callback, scope) {
+    return this._respond(callback, scope, done => {
+      this._parseListRequest(options, done);
+    });
+  }
+
+  /**
+   * Parses the list request to verify that all the options are valid and
+   * there are no errors.
+   *
+   * @see _decryptArchiveIndex
+   * @param {Object} options
+   * @param {Function} done
+   * @private
+   */
+  _parseListRequest(options, done) {
+    let action = NodeCipher.Actions.DECRYPT;
+    let opts = this._parseOptions(options);
+    let errors = this._validateListOptions(opts);
+
+    action.debugger('attempt list with options (async): ' +
+      JSON.stringify(opts));
+
+    this._handleErrors(errors).then(() => {
+      this._decryptArchiveIndex(opts, (err, index) => {
+        if (err) {
+          return done(err);
+        }
+
+        done(null, this._describeArchiveEntries(index));
+      });
+    }, err => {
+      action.debugger('encountered error: ' + err);
+
+      return done(err);
+    });
+  }
+
+  /**
+   * Decrypts only as much of the input file as is needed to decode the index
+   * at the beginning of the archive, then stops reading. Since the rest of
+   * the archive is never read, the index cannot be authenticated.
+   *
+   * @see _createCipherStream
+   * @param {Object} options
+   * @param {Function} callback
+   * @private
+   */
+  _decryptArchiveIndex(options, callback) {
+    let readStream;
+    let decryptStream;
+    let buf = Buffer.alloc(0);
+
+    try {
+      decryptStream = this._createCipherStream(NodeCipher.Actions.DECRYPT,
+        options);
+    } catch (err) {
+      return callback(err);
+    }
+
+    readStream = fs.createReadStream(options.input);
+
+    let done = _.once((err, index) => {
+      readStream.unpipe(decryptStream);
+      readStream.destroy();
+      decryptStream.destroy();
+
+      if (err) {
+        return callback(this._nameError(err));
+      }
+
+      callback(null, index);
+    });
+
+    decryptStream.on('data', chunk => {
+      buf = Buffer.concat([buf, chunk]);
+
+      try {
+        if (buf.length >= archive.PRELUDE_LENGTH &&
+            buf.length >= archive.getIndexLength(buf)) {
+          done(null, archive.decodeIndex(buf));
+        }
+      } catch (err) {
+        done(err);
+      }
+    });
+
+    // The archive ended before its index could be decoded.
+    decryptStream.on('end', () => {
+      try {
+        done(null, archive.decodeIndex(buf));
+      } catch (err) {
+        done(err);
+      }
+    });
+
+    readStream.on('error', done);
+    decryptStream.on('error', done);
+    readStream.pipe(decryptStream);
+  }
+
+  /**
+   * Describes the entries within the given archive index.
+   *
+   * @param {Object} index
+   * @returns {Array} entries
+   * @private
+   */
+  _describeArchiveEntries(index) {
+    return _.map(index.entries, entry => {
+      return {
+        path: entry.path,
+        size: entry.size,
+        mode: entry.mode,
+        mtime: _.isUndefined(entry.mtime) ? null : new Date(entry.mtime)
+      };
+    });
+  }
+
+  /**
+   * The synchronous version of _pack().
+   *
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _packSync(options) {
+    let action = NodeCipher.Actions.ENCRYPT;
+    let opts = this._parseOptions(options);
+    let err = this._handleErrorsSync(this._validatePackOptions(opts));
+
+    action.debugger('attempt pack with options (sync): ' +
+      JSON.stringify(opts));
+
+    if (!_.isUndefined(err)) {
+      action.debugger('encountered error: ' + err);
+      throw err;
+    }
+
+    try {
+      let entries = this._listArchiveEntriesSync(opts);
+      let contents = _.map(entries, entry => {
+        return fs.readFileSync(entry.file);
+      });
+
+      // The index records the size of the contents that were actually read.
+      _.each(entries, (entry, i) => {
+        entry.size = contents[i].length;
+      });
+
+      let request = this._readBuffer(action, opts,
+        archive.encode(entries, contents));
+      let key = this._deriveKeyFromOptionsSync(request.params);
+
+      this._writeOutputSync(opts.output,
+        this._cipherBuffer(action, request, key));
+
+      return opts;
+    } catch (err) {
+      throw this._nameError(err);
+    }
+  }
+
+  /**
+   * The synchronous version of _unpack().
+   *
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _unpackSync(options) {
+    let action = NodeCipher.Actions.DECRYPT;
+    let opts = this._parseOptions(options);
+    let err = this._handleErrorsSync(this._validateUnpackOptions(opts));
+
+    action.debugger('attempt unpack with options (sync): ' +
+      JSON.stringify(opts));
+
+    if (!_.isUndefined(err)) {
+      action.debugger('encountered error: ' + err);
+      throw err;
+    }
+
+    try {
+      let request = this._readBuffer(action, opts,
+        fs.readFileSync(opts.input));
+      let key = this._deriveKeyFromOptionsSync(request.params);
+      let entries = archive.decode(this._cipherBuffer(action, request, key));
+
+      if (!_.isUndefined(opts.entry)) {
+        entries = [archive.findEntry(entries, opts.entry)];
+      }
+
+      _.each(entries, entry => {
+        let output = path.join(opts.output, entry.path);
+
+        this._writeOutputSync(output, entry.contents);
+        this._restoreEntryStatsSync(output, entry);
+      });
+
+      return opts;
+    } catch (err) {
+      throw this._nameError(err);
+    }
+  }
+
+  /**
+   * The synchronous version of _listArchiveEntries().
+   *
+   * @param {Object} options
+   * @returns {Array} entries
+   * @private
+   */
+  _listArchiveEntriesSync(options) {
+    let entries = [];
+
+    let add = (file, stats) => {
+      if (path.resolve(file) !== path.resolve(options.output)) {
+        entries.push({
+          file,
+          path: archive.normalizePath(file),
+          mode: stats.mode & 0o777,
+          size: stats.size,
+          mtime: stats.mtime.getTime()
+        });
+      }
+    };
+
+    _.each(_.castArray(options.input), input => {
+      let stats = fs.statSync(input);
+
+      if (!stats.isDirectory()) {
+        return add(input, stats);
+      }
+
+      let opts = _.assign({}, options, { input, output: input, extension: '' });
+
+      _.each(this._listFilesSync(NodeCipher.Actions.ENCRYPT, opts), file => {
+        add(file.input, file);
+      });
+    });
+
+    return archive.uniqEntries(entries);
+  }
+
+  /**
+   * The synchronous version of _restoreEntryStats().
+   *
+   * @param {string} file
+   * @param {Object} entry
+   * @private
+   */
+  _restoreEntryStatsSync(file, entry) {
+    let time;
+
+    fs.chmodSync(file, entry.mode & 0o777);
+
+    if (!_.isUndefined(entry.mtime)) {
+      time = new Date(entry.mtime);
+
+      fs.utimesSync(file, time, time);
+    }
+  }
+
+  /**
+   * The synchronous version of _listArchive().
+   *
+   * @param {Object} options
+   * @returns {Array} entries
+   * @private
+   */
+  _listArchiveSync(options) {
+    let action = NodeCipher.Actions.DECRYPT;
+    let opts = this._parseOptions(options);
+    let err = this._handleErrorsSync(this._validateListOptions(opts));
+
+    action.debugger('attempt list with options (sync): ' +
+      JSON.stringify(opts));
+
+    if (!_.isUndefined(err)) {
+      action.debugger('encountered error: ' + err);
+      throw err;
+    }
+
+    try {
+      return this._describeArchiveEntries(this._decryptArchiveIndexSync(opts));
+    } catch (err) {
+      throw this._nameError(err);
+    }
+  }
+
+  /**
+   * The synchronous version of _decryptArchiveIndex(). The input file is read
+   * one chunk at a time until the index has been decrypted.
+   *
+   * @param {Object} options
+   * @returns {Object} index
+   * @private
+   */
+  _decryptArchiveIndexSync(options) {
+    let fd = fs.openSync(options.input, 'r');
+
+    let read = (position, length) => {
+      let buf = Buffer.alloc(Math.max(length, 0));
+      let bytesRead = fs.readSync(fd, buf, 0, buf.length, position);
+
+      return buf.slice(0, bytesRead);
+    };
+
+    let isComplete = buf => {
+      return buf.length >= archive.PRELUDE_LENGTH &&
+        buf.length >= archive.getIndexLength(buf);
+    };
+
+    try {
+      let size = fs.fstatSync(fd).size;
+      let length = header.getLength(read(0, header.PRELUDE_LENGTH));
+      let decoded = _.isNull(length) ? null : header.decode(read(0, length));
+      let params = this._applyHeader(options, decoded);
+      let head = _.isNull(decoded) ? Buffer.alloc(0) : decoded.buffer;
+
+      let key = this._deriveKeyFromOptionsSync(params);
+      let state = this._createDecryptState(params, head, key);
+      let end = size - state.trailerLength;
+      let position = head.length;
+      let buf = Buffer.alloc(0);
+
+      while (!isComplete(buf) && position < end) {
+        let chunk = read(position, Math.min(INDEX_CHUNK_SIZE, end - position));
+
+        position += chunk.length;
+        buf = Buffer.concat([buf, state.update(chunk)]);
+      }
+
+      // The archive ended before its index could be decoded, so the withheld
+      // output of the decipher is needed.
+      if (!isComplete(buf)) {
+        buf = Buffer.concat([buf, state.final(read(end, state.trailerLength))]);
+      }
+
+      return archive.decodeIndex(buf);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Core manifest methods.
+   *
+   * - _cipherAll():Operation|Promise
+   * - _parseCipherAllRequest()
+   * - _resolveManifestPassword()
+   * - _resolveManifestPasswordSync():Object
+   * - _getManifestRequests():Array
+   * - _cipherManifest()
+   * - _cipherAllSync():Array
+   */
+
+  /**
+   * Encrypt or decrypt every file within the `files` manifest using the
+   * options provided.
+   *
+   * @see _parseCipherAllRequest
+   * @param {Object} action
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Operation|Promise}
+   * @private
+   */
+  _cipherAll(action, options, callback, scope) {
+    let operation = new Operation(_.get(options, 'signal'));
+
+    return this._respond(callback, scope, done => {
+      this._parseCipherAllRequest(action, options, operation, done);
+    }, operation);
+  }
+
+  /**
+   * Parses the request for each file within the manifest to verify that all
+   * the options are valid and there are no errors before any of the files are
+   * ciphered.
+   *
+   * @see _cipherManifest
+   * @param {Object} action
+   * @param {Object} options
+   * @param {Operation} operation
+   * @param {Function} done
+   * @private
+   */
+  _parseCipherAllRequest(action, options, operation, done) {
+    this._resolveManifestPassword(options, (err, options) => {
+      let requests;
+      let errors;
+
+      if (err) {
+        action.debugger('encountered error: ' + err);
+
+        return done(err);
+      }
+
+      requests = this._getManifestRequests(action, options);
+      errors = this._validateManifest(action, requests);
+
+      action.debugger('attempt all with options (async): ' +
+        JSON.stringify(requests));
+
+      this._handleErrors(errors).then(() => {
+        this._cipherManifest(action, requests, operation, done);
+      }, err => {
+        action.debugger('encountered error: ' + err);
+
+        return done(err);
+      });
+    });
+  }
+
+  /**
+   * If neither the options provided nor the config define the password, but
+   * they define where to read it from, it is read once for every file within
+   * the manifest rather than once for each of them. Calls back with a copy of
+   * the options provided that includes the password.
+   *
+   * @see _resolvePassword
+   * @param {Object} [options]
+   * @param {Function} callback
+   * @private
+   */
+  _resolveManifestPassword(options, callback) {
+    let base = this._parseOptions(_.assign({}, options));
+    let err;
+
+    if (!_.isUndefined(base.password) || _.isUndefined(base.passwordFrom)) {
+      return callback(null, options);
+    }
+
+    err = this._handleErrorsSync(
+      this._validatePasswordSource('passwordFrom', base.passwordFrom)
+    );
+
+    if (!_.isUndefined(err)) {
+      return callback(err);
+    }
+
+    this._resolvePassword(base, (err, base) => {
+      if (err) {
+        return callback(err);
+      }
+
+      callback(null, _.assign({}, options, { password: base.password }));
+    });
+  }
+
+  /**
+   * The synchronous version of _resolveManifestPassword().
+   *
+   * @see _resolvePasswordSync
+   * @param {Object} [options]
+   * @returns {Object} options
+   * @throws {ValidationError} If the password could not be read.
+   * @private
+   */
+  _resolveManifestPasswordSync(options) {
+    let base = this._parseOptions(_.assign({}, options));
+    let err;
+
+    if (!_.isUndefined(base.password) || _.isUndefined(base.passwordFrom)) {
+      return options;
+    }
+
+    err = this._handleErrorsSync(
+      this._validatePasswordSource('passwordFrom', base.passwordFrom)
+    );
+
+    if (!_.isUndefined(err)) {
+      throw err;
+    }
+
+    return _.assign({}, options, {
+      password: this._resolvePasswordSync(base).password
+    });
+  }
+
+  /**
+   * Gets the options used to cipher each file within the manifest. The options
+   * provided take precedence over the options of each file, which take
+   * precedence over the config. When decrypting, each ciphertext file is the
+   * input and its plaintext file is the output.
+   *
+   * @param {Object} action
+   * @param {Object} [options]
+   * @returns {Array} requests
+   * @private
+   */
+  _getManifestRequests(action, options) {
+    let encrypt = action === NodeCipher.Actions.ENCRYPT;
+
+    return _.map(this._files, file => {
+      return this._parseOptions(_.assign({}, file.options, options, {
+        input: encrypt ? file.input : file.output,
+        output: encrypt ? file.output : file.input
+      }));
+    });
+  }
+
+  /**
+   * Ciphers each of the given requests one at a time, and stops at the first
+   * that fails. The progress of each file is added to the progress of the
+   * operation as it is ciphered.
+   *
+   * @see _cipher
+   * @param {Object} action
+   * @param {Array} requests
+   * @param {Operation} operation
+   * @param {Function} done
+   * @private
+   */
+  _cipherManifest(action, requests, operation, done) {
+    let processed = 0;
+    let total = 0;
+
+    let next = index => {
+      let child;
+
+      if (index === requests.length) {
+        return done(null, requests);
+      }
+
+      // Each file is tracked by its own operation, which is aborted along
+      // with the manifest operation.
+      child = new Operation(operation);
+      child.on('progress', () => {
+        operation.total = total + child.total;
+        operation.progress(processed + child.processed - operation.processed);
+      });
+
+      this._cipher(action, requests[index], child, err => {
+        child.release();
+
+        if (err) {
+          return done(err);
+        }
+
+        processed += child.processed;
+        total += child.total;
+        next(index + 1);
+      });
+    };
+
+    next(0);
+  }
+
+  /**
+   * The synchronous version of _cipherAll().
+   *
+   * @see _cipherSync
+   * @param {Object} action
+   * @param {Object} [options]
+   * @returns {Array} requests
+   * @private
+   */
+  _cipherAllSync(action, options) {
+    let requests = this._getManifestRequests(action,
+      this._resolveManifestPasswordSync(options));
+    let err = this._handleErrorsSync(this._validateManifest(action, requests));
+
+    action.debugger('attempt all with options (sync): ' +
+      JSON.stringify(requests));
+
+    if (!_.isUndefined(err)) {
+      action.debugger('encountered error: ' + err);
+      throw err;
+    }
+
+    return _.map(requests, request => {
+      return this._cipherSync(action, request);
+    });
+  }
+
+  /**
+   * Core synchronous methods.
+   *
+   * - _encryptSync():Object
+   * - _decryptSync():Object
+   * - _parseCipherRequestSync():Object
+   * - _handleErrorsSync():Error
+   * - _cipherSync():Object
+   * - _cipherDirectorySync()
+   * - _listFilesSync():Array
+   * - _writeOutputSync()
+   * - _getOutputModeSync():number
+   * - _deriveKeyFromOptionsSync():Hex
+   */
+
+  /**
+   * The synchronous version of _encrypt().
+   *
+   * @see _parseCipherRequestSync
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _encryptSync(options) {
+    return this._parseCipherRequestSync(NodeCipher.Actions.ENCRYPT, options);
+  }
+
+  /**
+   * The synchronous version of _decrypt().
+   *
+   * @see _parseCipherRequestSync
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _decryptSync(options) {
+    return this._parseCipherRequestSync(NodeCipher.Actions.DECRYPT, options);
+  }
+
+  /**
+   * The synchronous version of _parseCipherRequest().
+   *
+   * @see _cipherSync
+   * @param {Object} action
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _parseCipherRequestSync(action, options) {
+    let opts = this._parseOptions(options);
+    let errors = this._validateOptions(action, opts);
+    let err = this._handleErrorsSync(errors);
+
+    action.debugger('attempt with options (sync): ' + JSON.stringify(opts));
+
+    // Handle any validation errors. Perform the cipher if all is clear.
+    if (_.isUndefined(err)) {
+      return this._cipherSync(action, opts);
+    } else {
+      action.debugger('encountered error: ' + err);
+      throw err;
+    }
+  }
+
+  /**
+   * The synchronous version of _handleErrors(). The ValidationError is
+   * returned rather than thrown.
+   *
+   * @param {Array} errors
+   * @returns {ValidationError|undefined}
+   * @private
+   */
+  _handleErrorsSync(errors) {
+    if (errors.length) {
+      return new ValidationError(errors);
+    }
+  }
+
+  /**
+   * The synchronous version of _cipher().
+   *
+   * @param {Object} action
+   * @param {Object} options
+   * @returns {Object} options
+   * @private
+   */
+  _cipherSync(action, options) {
+    try {
+      if (fs.statSync(options.input).isDirectory()) {
+        this._cipherDirectorySync(action, options);
+
+        return options;
+      }
+
+      let inputBuffer = fs.readFileSync(options.input);
+      let request = this._readBuffer(action, options, inputBuffer);
+      let key = this._deriveKeyFromOptionsSync(request.params);
+      let outputBuffer = this._cipherBuffer(action, request, key);
+
+      // Write the ciphered buffer to our output file.
+      this._writeOutputSync(options.output, outputBuffer);
+
+      return options;
+    } catch (err) {
+      throw this._nameError(err);
+    }
+  }
+
+  /**
+   * The synchronous version of _cipherDirectory().
+   *
+   * @param {Object} action
+   * @param {Object} options
+   * @private
+   */
+  _cipherDirectorySync(action, options) {
+    _.each(this._listFilesSync(action, options), file => {
+      this._cipherSync(action, _.assign({}, options, {
+        input: file.input,
+        output: file.output
+      }));
+    });
+  }
+
+  /**
+   * The synchronous version of _listFiles().
+   *
+   * @param {Object} action
+   * @param {Object} options
+   * @returns {Array} files
+   * @private
+   */
+  _listFilesSync(action, options) {
+    let files = [];
+
+    let walk = dir => {
+      _.each(fs.readdirSync(dir), name => {
+        let file = path.join(dir, name);
+        let stats = fs.statSync(file);
+        let entry;
+
+        if (stats.isDirectory()) {
+          if (!this._isOutputDirectory(options, file)) {
+            walk(file);
+          }
+        } else {
+          entry = this._getDirectoryEntry(action, options, file, stats);
+
+          if (entry) {
+            files.push(entry);
+          }
+        }
+      });
+    };
+
+    walk(options.input);
+
+    return files;
+  }
+
+  /**
+   * Writes the given buffer to a temporary file alongside the output file,
+   * then moves it into place of the output file. The temporary file is
+   * removed if it could not be written.
+   *
+   * @param {string} output
+   * @param {Buffer} buffer
+   * @private
+   */
+  _writeOutputSync(output, buffer) {
+    let tempPath = this._getTempPath(output);
+
+    let mode = this._getOutputModeSync(output);
+    let fd;
+
+    fs.mkdirsSync(path.dirname(output));
+
+    try {
+      fd = fs.openSync(tempPath, 'wx', mode);
+
+      // The mode given to openSync() is subject to the umask.
+      fs.fchmodSync(fd, mode);
+      fs.writeFileSync(fd, buffer);
+      fs.closeSync(fd);
+      fd = null;
+      fs.renameSync(tempPath, output);
+    } catch (err) {
+      if (!_.isNil(fd)) {
+        fs.closeSync(fd);
+      }
+
+      fs.removeSync(tempPath);
+      throw err;
+    }
+  }
+
+  /**
+   * The synchronous version of _getOutputMode().
+   *
+   * @param {string} output
+   * @returns {number}
+   * @private
+   */
+  _getOutputModeSync(output) {
+    try {
+      return fs.statSync(output).mode & 0o777;
+    } catch (err) {
+      return OUTPUT_MODE;
+    }
+  }
+
+  /**
+   * The synchronous version of _deriveKeyFromOptions(). The agent cannot be
+   * asked for the key synchronously, so every factor is always required.
+   *
+   * @see _resolvePasswordSync
+   * @param {Object} options
+   * @returns {Hex}
+   * @private
+   */
+  _deriveKeyFromOptionsSync(options) {
+    let secret;
+
+    options = this._resolvePasswordSync(options);
+    secret = this._getSecret(options);
+
+    if (_.isNull(secret)) {
+      throw this._createMissingFactorError(options);
+    }
+
+    return this._getKdf(options.kdf).deriveSync(
+      _.assign({}, options, { password: secret })
+    );
+  }
+
+  /**
+   * Helper methods.
+   *
+   * - _generateParamsFromOptions():Object
+   * - _getScryptOptions():Object
+   * - _applyHeader():Object
+   * - _getTempPath():string
+   * - _getDirectoryEntry():Object|null
+   * - _isOutputDirectory():boolean
+   * - _getKdf():Object
+   * - _getCipherInfo():Object
+   * - _isAuthenticated():boolean
+   * - _getProtection():Object
+   * - _checkAlgorithm()
+   * - _generateCipherFromOptions():Cipher
+   * - _hasMac():boolean
+   * - _createMac():Hmac
+   * - _compareMacs():boolean
+   * - _resolveHeader():Buffer
+   * - _checkProtection()
+   * - _createVerifier():Buffer
+   * - _getAgentIds():Object
+   * - _getFactors():number
+   * - _hasPassword():boolean
+   * - _getSecret():string|Buffer|null
+   * - _describeFactors():string
+   * - _readKeyfile():Buffer
+   * - _createMissingFactorError():Error
+   * - _createKeyNotFoundError():Error
+   * - _getTrailerLength():number
+   * - _createTrailerStream():TrailerStream
+   * - _getTrailer():Buffer
+   * - _splitTrailer():Object
+   * - _createIntegrityError():Error
+   * - _createTruncationError():Error
+   * - _resolvePassword()
+   * - _resolvePasswordSync():Object
+   * - _readPasswordSource()
+   * - _readPasswordSourceSync():string
+   * - _describePasswordSource():string
+   * - _trimPassword():string
+   * - _checkConfig()
+   * - _parseOptions():Object
+   * - _validateOptions():Array
+   * - _validatePackOptions():Array
+   * - _validateUnpackOptions():Array
+   * - _validateListOptions():Array
+   * - _validateManifest():Array
+   * - _validateConfigLayer():Array
+   * - _validateConfigValues():Array
+   * - _validateManifestConfig():Array
+   * - _describeUnknownOption():string
+   * - _validateCipherOptions():Array
+   * - _validateHeaderOptions():Array
+   * - _validateRequiredString():Array
+   * - _validateOptionalString():Array
+   * - _validateRequiredStringOrBuffer():Array
+   * - _validateRequiredBuffer():Array
+   * - _validateOptionalSignal():Array
+   * - _validateRequiredStringOrArray():Array
+   * - _validateRequiredInteger():Array
+   * - _validateRequiredHash():Array
+   * - _validateRequiredCipher():Array
+   * - _validateRequiredKdf():Array
+   * - _validateRequiredCost():Array
+   * - _validateRequiredChoice():Array
+   * - _validatePasswordSource():Array
+   * - _validateConfigPasswordSource():Array
+   * - _validateConfigAgent():Array
+   * - _validateKeyfile():Array
+   * - _handleStreamError():Function
+   * - _trackOperation():Function
+   * - _createAbortError():Error
+   * - _nameError():Error
+   */
+
+  /**
+   * Generates the parameters used to encrypt a file from the options
+   * provided. The derived key is sized to fit the chosen algorithm, and a
+   * random initialization vector is generated for every file so that identical
+   * contents never produce identical ciphertexts. Algorithms that do not
+   * produce an authentication tag are protected by a MAC instead. The factors
+   * that are provided are recorded so that each is required to decrypt.
+   *
+   * @param {Object} options
+   * @returns {Object} params
+   * @private
+   */
+  _generateParamsFromOptions(options) {
+    let info = this._getCipherInfo(options.algorithm);
+    let unused = _.difference(
+      KDF_SPECIFIC_OPTIONS,
+      this._getKdf(options.kdf).options
+    );
+
+    // Only the options used by the chosen key derivation function are
+    // recorded.
+    let params = _.assign(_.omit(options, unused), {
+      keylen: info.keyLength,
+      iv: crypto.randomBytes(info.ivLength),
+      factors: (this._hasPassword(options) ? Factors.PASSWORD : 0) +
+        (_.isUndefined(options.keyfile) ? 0 : Factors.KEYFILE)
+    });
+
+    return _.assign(params, this._getProtection(params));
+  }
+
+  /**
+   * Gets the options passed to scrypt from the given options. The maximum
+   * memory bound is raised to fit the chosen cost and block size.
+   *
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _getScryptOptions(options) {
+    return {
+      N: options.cost,
+      r: options.blockSize,
+      p: options.parallelization,
+      maxmem: 256 * options.cost * options.blockSize
+    };
+  }
+
+  /**
+   * Resolves the parameters used to decrypt a file with the given decoded
+   * header, or `null` if the file does not begin with one. The parameters
+   * recorded within the header take precedence over the options provided.
+   * Only the options that the header does not provide are validated, since
+   * the options provided in their place are never used.
+   *
+   * @see _validateCipherOptions
+   * @param {Object} options
+   * @param {Object|null} decoded
+   * @returns {Object} params
+   * @throws {ValidationError} If an option that is used is invalid.
+   * @private
+   */
+  _applyHeader(options, decoded) {
+    let provided = _.isNull(decoded) ? [] : _.keys(decoded.params);
+    let errors = this._validateHeaderOptions(options);
+    let err = this._handleErrorsSync(_.reject(errors, error => {
+      return _.includes(provided, error.option);
+    }));
+
+    if (!_.isUndefined(err)) {
+      throw err;
+    }
+
+    return _.isNull(decoded) ? options : _.assign({}, options, decoded.params);
+  }
+
+  /**
+   * Gets a unique path for a temporary file within the same directory as the
+   * given file, so that it may be renamed into place atomically.
+   *
+   * @param {string} file
+   * @returns {string}
+   * @private
+   */
+  _getTempPath(file) {
+    let suffix = crypto.randomBytes(6).toString('hex');
+
+    return path.join(
+      path.dirname(file),
+      `.${path.basename(file)}.${suffix}.tmp`
+    );
+  }
+
+  /**
+   * Gets the input and output paths, size, mode, and modification time of a
+   * file within the input
+   * directory. The output path mirrors the path of the file relative to the
+   * input directory, with the extension appended when encrypting or stripped
+   * when decrypting. Returns `null` if the file should not be ciphered, either
+   * because it does not match the include and exclude patterns, or because it
+   * is being decrypted and does not have the extension.
+   *
+   * @param {Object} action
+   * @param {Object} options
+   * @param {string} file
+   * @param {fs.Stats} stats
+   * @returns {Object|null}
+   * @private
+   */
+  _getDirectoryEntry(action, options, file, stats) {
+    let relative = path.relative(options.input, file);
+    let name = relative.split(path.sep).join('/');
+    let extension = options.extension;
+
+    let matches = patterns => {
+      return _.some(_.castArray(patterns), pattern => {
+        return minimatch(name, pattern, GLOB_OPTIONS);
+      });
+    };
+
+    if (!matches(options.include) || matches(options.exclude)) {
+      return null;
+    }
+
+    if (action === NodeCipher.Actions.ENCRYPT) {
+      relative += extension;
+    } else if (extension) {
+      if (!_.endsWith(relative, extension)) {
+        return null;
+      }
+
+      relative = relative.slice(0, -extension.length);
+    }
+
+    return {
+      input: file,
+      output: path.join(options.output, relative),
+      size: stats.size,
+      mode: stats.mode,
+      mtime: stats.mtime
+    };
+  }
+
+  /**
+   * Checks if the given directory is the output directory, so that it is not
+   * ciphered into itself when it is nested within the input directory.
+   *
+   * @param {Object} options
+   * @param {string} dir
+   * @returns {boolean}
+   * @private
+   */
+  _isOutputDirectory(options, dir) {
+    return path.resolve(dir) === path.resolve(options.output);
+  }
+
+  /**
+   * Gets the registered key derivation function with the given name.
+   *
+   * @param {string} name
+   * @returns {Object}
+   * @private
+   */
+  _getKdf(name) {
+    let kdf = this._kdfs[name];
+
+    if (_.isUndefined(kdf)) {
+      throw new NodeCipherError(
+        'BAD_KDF',
+        `"${name}" is not a registered key derivation function.`
+      );
+    }
+
+    return kdf;
+  }
+
+  /**
+   * Gets the key and IV byte lengths of the given cipher algorithm. Versions of
+   * Node that do not provide `crypto.getCipherInfo()` are probed for the first
+   * combination of lengths that the algorithm accepts.
+   *
+   * @param {string} algorithm
+   * @returns {Object} info
+   * @private
+   */
+  _getCipherInfo(algorithm) {
+    let info = CIPHER_INFO[algorithm];
+
+    if (_.has(this._ciphers, algorithm)) {
+      return this._ciphers[algorithm];
+    }
+
+    if (!_.isUndefined(info)) {
+      return info;
+    }
+
+    if (_.isFunction(crypto.getCipherInfo)) {
+      info = _.pick(crypto.getCipherInfo(algorithm), ['keyLength', 'ivLength']);
+      info.ivLength = info.ivLength || 0;
+    } else {
+      _.each(PROBE_KEY_LENGTHS, keyLength => {
+        _.each(PROBE_IV_LENGTHS, ivLength => {
+          try {
+            crypto.createCipheriv(
+              algorithm,
+              Buffer.alloc(keyLength),
+              Buffer.alloc(ivLength),
+              { authTagLength: AUTH_TAG_LENGTH }
+            );
+
+            info = { keyLength, ivLength };
+          } catch (err) {
+            // This combination is not accepted. Try the next one.
+          }
+
+          return _.isUndefined(info);
+        });
+
+        return _.isUndefined(info);
+      });
+    }
+
+    if (_.isUndefined(info)) {
+      throw new Error(`Could not determine the key length of "${algorithm}".`);
+    }
+
+    CIPHER_INFO[algorithm] = info;
+
+    return info;
+  }
+
+  /**
+   * Checks if the algorithm of the given options uses an authenticated mode of
+   * operation.
+   *
+   * @param {Object} options
+   * @returns {boolean}
+   * @private
+   */
+  _isAuthenticated(options) {
+    if (_.has(this._ciphers, options.algorithm)) {
+      return !_.isUndefined(this._ciphers[options.algorithm].authTagLength);
+    }
+
+    return AUTHENTICATED_ALGORITHMS.test(options.algorithm);
+  }
+
+  /**
+   * Gets the length of the authentication tag or MAC that protects a file
+   * encrypted using the given options. Algorithms that use an authenticated
+   * mode of operation produce their own authentication tag, and every other
+   * algorithm is protected by a MAC.
+   *
+   * @param {Object} options
+   * @returns {Object}
+   * @private
+   */
+  _getProtection(options) {
+    if (this._isAuthenticated(options)) {
+      return {
+        authTagLength: this._getCipherInfo(options.algorithm).authTagLength ||
+          AUTH_TAG_LENGTH
+      };
+    }
+
+    return {
+      macLength: crypto.createHash(options.digest).digest().length
+    };
+  }
+
+  /**
+   * Checks that the given algorithm is available.
+   *
+   * @param {string} algorithm
+   * @throws {NodeCipherError}
+   * @private
+   */
+  _checkAlgorithm(algorithm) {
+    if (!_.includes(this.listAlgorithms(), algorithm)) {
+      throw new NodeCipherError(
+        'BAD_ALGORITHM',
+        `"${algorithm}" is not a valid cipher algorithm.`
+      );
+    }
+  }
+
+  /**
+   * Generates the desired cipheriv function from the given options and derived
+   * key. Authenticated ciphers also authenticate the header, so that the
+   * recorded options cannot be tampered with. Files that were encrypted
+   * without an initialization vector are deciphered using the legacy cipher
+   * method, which derives the key and IV from the derived key via
+   * `EVP_BytesToKey`.
+   *
+   * @param {Object} action
+   * @param {Object} options
+   * @param {Buffer} key
+   * @param {Buffer} head
+   * @returns {Cipher}
+   * @private
+   */
+  _generateCipherFromOptions(action, options, key, head) {
+    this._checkAlgorithm(options.algorithm);
+
+    if (!_.isUndefined(options.iv)) {
+      let backend = this._ciphers[options.algorithm];
+      let cipher;
+
+      if (!_.isUndefined(backend)) {
+        cipher = backend[action.backendMethod](key, options.iv);
+      } else if (!this._isAuthenticated(options)) {
+        return action.method(options.algorithm, key, options.iv);
+      } else {
+        cipher = action.method(options.algorithm, key, options.iv, {
+          authTagLength: options.authTagLength
+        });
+      }
+
+      if (this._isAuthenticated(options)) {
+        cipher.setAAD(head);
+      }
+
+      return cipher;
+    }
+
+    if (!_.isFunction(action.legacyMethod)) {
+      let err = new Error(
+        'Files without an initialization vector cannot be deciphered using ' +
+        'this version of Node.'
+      );
+
+      err.code = header.Codes.UNSUPPORTED_VERSION;
+
+      throw err;
+    }
+
+    return action.legacyMethod(options.algorithm, key.toString('hex'));
+  }
+
+  /**
+   * Checks if the given options call for the encrypted file to be protected by
+   * a MAC. Algorithms that use an authenticated mode of operation produce
+   * their own authentication tag instead.
+   *
+   * @param {Object} options
+   * @returns {boolean}
+   * @private
+   */
+  _hasMac(options) {
+    return !_.isUndefined(options.macLength);
+  }
+
+  /**
+   * Creates the HMAC used to protect the header and encrypted content of a
+   * file, or `null` if the file is not protected by a MAC. The HMAC is keyed
+   * by a subkey that is derived separately from the encryption key.
+   *
+   * @param {Object} options
+   * @param {Buffer} key
+   * @param {Buffer} head
+   * @returns {Hmac|null}
+   * @private
+   */
+  _createMac(options, key, head) {
+    if (!this._hasMac(options)) {
+      return null;
+    }
+
+    let macKey = crypto.createHmac(options.digest, key)
+      .update(MAC_KEY_INFO)
+      .digest();
+
+    return crypto.createHmac(options.digest, macKey).update(head);
+  }
+
+  /**
+   * Compares the given MACs in constant time.
+   *
+   * @param {Buffer} actual
+   * @param {Buffer} expected
+   * @returns {boolean}
+   * @private
+   */
+  _compareMacs(actual, expected) {
+    return Buffer.isBuffer(expected) &&
+      actual.length === expected.length &&
+      crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Resolves the header of a file once its key has been derived. When
+   * encrypting, the password verifier is recorded within the header of the
+   * given parameters. When decrypting, the derived key is checked against the
+   * verifier recorded within the header, so that a wrong password is reported
+   * before any of the content is read. Files encrypted before the verifier
+   * was introduced are not checked. The header must also call for the
+   * authentication tag or MAC that its algorithm requires.
+   *
+   * @see _checkProtection
+   * @param {Object} action
+   * @param {Object} params
+   * @param {Buffer|null} head
+   * @param {Buffer} key
+   * @returns {Buffer} head
+   * @throws {NodeCipherError} If the password is wrong or the header has been
+   *   tampered with.
+   * @private
+   */
+  _resolveHeader(action, params, head, key) {
+    if (action === NodeCipher.Actions.ENCRYPT) {
+      params.verifier = this._createVerifier(params, key);
+
+      return header.encode(params);
+    }
+
+    let verifier = params.verifier;
+
+    if (!_.isUndefined(verifier) &&
+        !this._compareMacs(this._createVerifier(params, key), verifier)) {
+      throw new NodeCipherError('WRONG_PASSWORD', 'The ' +
+        this._describeFactors(params) + ' is incorrect.');
+    }
+
+    if (!_.isEmpty(head)) {
+      this._checkProtection(params);
+    }
+
+    return head;
+  }
+
+  /**
+   * Checks that the header of an encrypted file records the authentication
+   * tag or MAC that its algorithm requires. The header is not authenticated
+   * until the tag or MAC has been verified, so a header that has been altered
+   * to skip the verification, or to shorten what is verified, is rejected.
+   *
+   * @param {Object} params
+   * @throws {NodeCipherError} If the header has been tampered with.
+   * @private
+   */
+  _checkProtection(params) {
+    let expected;
+
+    this._checkAlgorithm(params.algorithm);
+
+    expected = this._getProtection(params);
+
+    if (params.authTagLength !== expected.authTagLength ||
+        params.macLength !== expected.macLength) {
+      throw new NodeCipherError(
+        'CORRUPT_DATA',
+        'The header does not call for the file to be authenticated, so it ' +
+        'has been tampered with.'
+      );
+    }
+  }
+
+  /**
+   * Creates the password verifier from the derived key. The verifier is
+   * derived separately from the encryption and MAC keys, so it reveals
+   * nothing about either.
+   *
+   * @param {Object} options
+   * @param {Buffer} key
+   * @returns {Buffer}
+   * @private
+   */
+  _createVerifier(options, key) {
+    return crypto.createHmac(options.digest, key)
+      .update(VERIFIER_INFO)
+      .digest()
+      .slice(0, VERIFIER_LENGTH);
+  }
+
+  /**
+   * Gets the identifiers of the key derived from the given options within the
+   * agent. The key is identified by the parameters that it was derived from,
+   * both with and without its secret, neither of which reveal the secret to
+   * anyone who cannot already read the keys that the agent holds.
+   *
+   * @param {Object} options
+   * @param {string|Buffer|null} secret
+   * @returns {Object} ids
+   * @private
+   */
+  _getAgentIds(options, secret) {
+    let names = _.get(this._kdfs, [options.kdf, 'options'], []);
+    let values = [
+      options.kdf,
+      Buffer.from(options.salt).toString('hex'),
+      options.keylen
+    ].concat(_.map(names, name => {
+      return options[name];
+    }));
+    let params = crypto.createHash('sha256')
+      .update(JSON.stringify(values))
+      .digest('hex');
+    let password;
+
+    if (!_.isNull(secret)) {
+      password = crypto.createHmac('sha256', secret)
+        .update(params)
+        .digest('hex');
+    }
+
+    return { params, password };
+  }
+
+  /**
+   * Gets the factors that the key is derived from. When encrypting, these are
+   * the factors that are provided, and when decrypting, those recorded within
+   * the header.
+   *
+   * @param {Object} options
+   * @returns {number}
+   * @private
+   */
+  _getFactors(options) {
+    return options.factors || Factors.PASSWORD;
+  }
+
+  /**
+   * Checks if the password is provided, or a source to read it from.
+   *
+   * @param {Object} options
+   * @returns {boolean}
+   * @private
+   */
+  _hasPassword(options) {
+    return !_.isUndefined(options.password) ||
+      !_.isUndefined(options.passwordFrom);
+  }
+
+  /**
+   * Gets the secret that the key is derived from. A password alone is used as
+   * is, so that files encrypted before keyfiles were supported are derived
+   * the same way. Otherwise, the secret is the hash of the hashes of the
+   * password and the contents of the keyfile, in that order, so that neither
+   * factor can stand in for the other. Returns `null` if a factor is missing.
+   *
+   * @param {Object} options
+   * @returns {string|Buffer|null}
+   * @throws {NodeCipherError} If the keyfile cannot be read.
+   * @private
+   */
+  _getSecret(options) {
+    let factors = this._getFactors(options);
+    let hashes = [];
+    let hash = data => {
+      return crypto.createHash('sha256').update(data).digest();
+    };
+
+    if (((factors & Factors.PASSWORD) && _.isUndefined(options.password)) ||
+        ((factors & Factors.KEYFILE) && _.isUndefined(options.keyfile))) {
+      return null;
+    }
+
+    if (factors === Factors.PASSWORD) {
+      return options.password;
+    }
+
+    if (factors & Factors.PASSWORD) {
+      hashes.push(hash(options.password));
+    }
+
+    if (factors & Factors.KEYFILE) {
+      hashes.push(hash(this._readKeyfile(options.keyfile)));
+    }
+
+    return hash(Buffer.concat(hashes));
+  }
+
+  /**
+   * Describes the factors that the key is derived from.
+   *
+   * @param {Object} options
+   * @returns {string}
+   * @private
+   */
+  _describeFactors(options) {
+    switch (this._getFactors(options)) {
+      case Factors.KEYFILE:
+        return 'keyfile';
+      case Factors.PASSWORD | Factors.KEYFILE:
+        return 'password or keyfile';
+      default:
+        return 'password';
+    }
+  }
+
+  /**
+   * Reads the contents of the given keyfile.
+   *
+   * @param {string} keyfile
+   * @returns {Buffer}
+   * @throws {NodeCipherError} If the keyfile cannot be read.
+   * @private
+   */
+  _readKeyfile(keyfile) {
+    try {
+      return fs.readFileSync(keyfile);
+    } catch (err) {
+      throw new NodeCipherError('BAD_KEYFILE', `The keyfile "${keyfile}" ` +
+        `could not be read (${err.code}).`);
+    }
+  }
+
+  /**
+   * Creates the error that is produced when a factor that the key is derived
+   * from is missing.
+   *
+   * @param {Object} options
+   * @returns {Error}
+   * @private
+   */
+  _createMissingFactorError(options) {
+    let factors = this._getFactors(options);
+
+    if ((factors & Factors.KEYFILE) && _.isUndefined(options.keyfile)) {
+      return new NodeCipherError('BAD_KEYFILE', 'The key is derived from a ' +
+        'keyfile, so "keyfile" is required.');
+    }
+
+    if (factors & Factors.KEYFILE) {
+      return new NodeCipherError('PASSWORD_REQUIRED', 'The key is derived ' +
+        'from a password as well as a keyfile, so "password" is required.');
+    }
+
+    return new NodeCipherError('PASSWORD_REQUIRED', 'The key is derived ' +
+      'from a password, so "password" is required.');
+  }
+
+  /**
+   * Creates the error that is produced when a key could not be found within
+   * the agent and there is no password to derive it from.
+   *
+   * @returns {Error}
+   * @private
+   */
+  _createKeyNotFoundError() {
+    return new NodeCipherError('KEY_NOT_FOUND', 'The agent does not hold the ' +
+      'key, so a password is required.');
+  }
+
+  /**
+   * Gets the byte length of the trailer that follows the encrypted content.
+   *
+   * @param {Object} options
+   * @returns {number}
+   * @private
+   */
+  _getTrailerLength(options) {
+    return options.authTagLength || options.macLength || 0;
+  }
+
+  /**
+   * Creates a stream that withholds the trailer from the encrypted content.
+   *
+   * @param {Object} options
+   * @returns {TrailerStream}
+   * @private
+   */
+  _createTrailerStream(options) {
+    return new streams.TrailerStream(this._getTrailerLength(options));
+  }
+
+  /**
+   * Gets the trailer that follows the encrypted content once the cipher has
+   * ended. This is either the authentication tag produced by the algorithm or
+   * the digest of the given MAC. Returns an empty buffer if there is neither.
+   *
+   * @param {Object} options
+   * @param {Cipher} cipher
+   * @param {Hmac|null} mac
+   * @returns {Buffer}
+   * @private
+   */
+  _getTrailer(options, cipher, mac) {
+    if (this._isAuthenticated(options)) {
+      return cipher.getAuthTag();
+    }
+
+    if (mac) {
+      return mac.digest();
+    }
+
+    return Buffer.alloc(0);
+  }
+
+  /**
+   * Splits the trailer from the end of the given encrypted content.
+   *
+   * @param {Object} options
+   * @param {Buffer} buf
+   * @returns {Object}
+   * @private
+   */
+  _splitTrailer(options, buf) {
+    let length = this._getTrailerLength(options);
+
+    if (buf.length < length) {
+      throw this._createTruncationError();
+    }
+
+    return {
+      content: buf.slice(0, buf.length - length),
+      trailer: buf.slice(buf.length - length)
+    };
+  }
+
+  /**
+   * Creates the error that is raised when the authentication tag of an
+   * encrypted file could not be verified. If the password was checked against
+   * the verifier within the header, the file must be corrupt. Otherwise, the
+   * password may be incorrect instead.
+   *
+   * @param {Object} options
+   * @returns {NodeCipherError}
+   * @private
+   */
+  _createIntegrityError(options) {
+    if (!_.isUndefined(options.verifier)) {
+      return new NodeCipherError(
+        'CORRUPT_DATA',
+        'The file could not be authenticated. The password is correct, but ' +
+        'the file has been corrupted or tampered with.'
+      );
+    }
+
+    return new NodeCipherError(
+      'BAD_INTEGRITY',
+      'The file could not be authenticated. Either the password is ' +
+      'incorrect or the file has been tampered with.'
+    );
+  }
+
+  /**
+   * Creates the error that is raised when an encrypted file ends before its
+   * trailer.
+   *
+   * @returns {NodeCipherError}
+   * @private
+   */
+  _createTruncationError() {
+    return new NodeCipherError('CORRUPT_DATA', 'The file is truncated.');
+  }
+
+  /**
+   * Reads the password from the source given by the `passwordFrom` option,
+   * unless the password has been provided. Calls back with a copy of the
+   * options that includes the password, so that the options provided are
+   * left untouched. Fails if the source is missing or empty.
+   *
+   * @see _readPasswordSource
+   * @param {Object} options
+   * @param {Function} callback
+   * @private
+   */
+  _resolvePassword(options, callback) {
+    if (!_.isUndefined(options.password) ||
+        _.isUndefined(options.passwordFrom)) {
+      return callback(null, options);
+    }
+
+    this._readPasswordSource(options.passwordFrom, (err, password) => {
+      if (err) {
+        return callback(new ValidationError([
+          { option: 'passwordFrom', message: err.message }
+        ]));
+      }
+
+      callback(null, _.assign({}, options, { password }));
+    });
+  }
+
+  /**
+   * The synchronous version of _resolvePassword().
+   *
+   * @see _readPasswordSourceSync
+   * @param {Object} options
+   * @returns {Object} options
+   * @throws {ValidationError} If the source is missing or empty.
+   * @private
+   */
+  _resolvePasswordSync(options) {
+    let password;
+
+    if (!_.isUndefined(options.password) ||
+        _.isUndefined(options.passwordFrom)) {
+      return options;
+    }
+
+    try {
+      password = this._readPasswordSourceSync(options.passwordFrom);
+    } catch (err) {
+      throw new ValidationError([
+        { option: 'passwordFrom', message: err.message }
+      ]);
+    }
+
+    return _.assign({}, options, { password });
+  }
+
+  /**
+   * Reads a password from the given source, which is either a file, an
+   * environment variable, a file descriptor, or the output of a command. A
+   * single trailing newline is removed, since most sources end with one.
+   *
+   * @see _trimPassword
+   * @param {Object} source
+   * @param {Function} callback
+   * @private
+   */
+  _readPasswordSource(source, callback) {
+    let description = this._describePasswordSource(source);
+
+    let done = _.once((err, password) => {
+      if (err) {
+        return callback(err);
+      }
+
+      try {
+        password = this._trimPassword(password, description);
+      } catch (err) {
+        return callback(err);
+      }
+
+      callback(null, password);
+    });
+
+    if (!_.isUndefined(source.file)) {
+      fs.readFile(source.file, 'utf8', (err, password) => {
+        if (err) {
+          return done(new Error(err.code === 'ENOENT' ?
+            `${description} does not exist.` :
+            `${description} could not be read (${err.code}).`));
+        }
+
+        done(null, password);
+      });
+    } else if (!_.isUndefined(source.env)) {
+      if (_.isUndefined(process.env[source.env])) {
+        return done(new Error(`${description} is not set.`));
+      }
+
+      done(null, process.env[source.env]);
+    } else if (!_.isUndefined(source.fd)) {
+      let fd = parseInt(source.fd, 10);
+      let chunks = [];
+
+      let read = () => {
+        let buf = Buffer.alloc(PASSWORD_CHUNK_SIZE);
+
+        fs.read(fd, buf, 0, buf.length, null, (err, bytesRead) => {
+          if (err) {
+            return done(new Error(err.code === 'EBADF' ?
+              `${description} is not open.` :
+              `${description} could not be read (${err.code}).`));
+          }
+
+          if (bytesRead === 0) {
+            return done(null, Buffer.concat(chunks).toString('utf8'));
+          }
+
+          chunks.push(buf.slice(0, bytesRead));
+          read();
+        });
+      };
+
+      read();
+    } else {
+      let chunks = [];
+
+      // The command inherits stdin and stderr so that it may prompt, for
+      // instance to unlock a key.
+      let child = childProcess.spawn(source.command, {
+        shell: true,
+        stdio: ['inherit', 'pipe', 'inherit']
+      });
+
+      let fail = status => {
+        done(new Error(
+          `The password command "${source.command}" failed with exit code ` +
+          `${status}.`
+        ));
+      };
+
+      child.on('error', () => {
+        fail(null);
+      });
+
+      child.stdout.on('data', chunk => {
+        chunks.push(chunk);
+      });
+
+      child.on('close', status => {
+        if (status !== 0) {
+          return fail(status);
+        }
+
+        done(null, Buffer.concat(chunks).toString('utf8'));
+      });
+    }
+  }
+
+  /**
+   * The synchronous version of _readPasswordSource().
+   *
+   * @see _trimPassword
+   * @param {Object} source
+   * @returns {string} password
+   * @throws {Error} If the source is missing or empty.
+   * @private
+   */
+  _readPasswordSourceSync(source) {
+    let description = this._describePasswordSource(source);
+    let password;
+
+    if (!_.isUndefined(source.file)) {
+      try {
+        password = fs.readFileSync(source.file, 'utf8');
+      } catch (err) {
+        throw new Error(err.code === 'ENOENT' ?
+          `${description} does not exist.` :
+          `${description} could not be read (${err.code}).`);
+      }
+    } else if (!_.isUndefined(source.env)) {
+      password = process.env[source.env];
+
+      if (_.isUndefined(password)) {
+        throw new Error(`${description} is not set.`);
+      }
+    } else if (!_.isUndefined(source.fd)) {
+      let fd = parseInt(source.fd, 10);
+      let buf = Buffer.alloc(PASSWORD_CHUNK_SIZE);
+      let chunks = [];
+      let bytesRead;
+
+      try {
+        while ((bytesRead = fs.readSync(fd, buf, 0, buf.length, null)) > 0) {
+          chunks.push(Buffer.from(buf.slice(0, bytesRead)));
+        }
+      } catch (err) {
+        throw new Error(err.code === 'EBADF' ?
+          `${description} is not open.` :
+          `${description} could not be read (${err.code}).`);
+      }
+
+      password = Buffer.concat(chunks).toString('utf8');
+    } else {
+      // The command inherits stdin and stderr so that it may prompt, for
+      // instance to unlock a key.
+      try {
+        password = childProcess.execSync(source.command, {
+          encoding: 'utf8',
+          stdio: ['inherit', 'pipe', 'inherit']
+        });
+      } catch (err) {
+        throw new Error(
+          `The password command "${source.command}" failed with exit code ` +
+          `${err.status}.`
+        );
+      }
+    }
+
+    return this._trimPassword(password, description);
+  }
+
+  /**
+   * Describes the given password source for use within error messages.
+   *
+   * @param {Object} source
+   * @returns {string}
+   * @private
+   */
+  _describePasswordSource(source) {
+    if (!_.isUndefined(source.file)) {
+      return `The password file "${source.file}"`;
+    } else if (!_.isUndefined(source.env)) {
+      return `The environment variable "${source.env}"`;
+    } else if (!_.isUndefined(source.fd)) {
+      return `File descriptor ${parseInt(source.fd, 10)}`;
+    }
+
+    return `The output of the password command "${source.command}"`;
+  }
+
+  /**
+   * Removes a single trailing newline from a password that was read from a
+   * source, then checks that it is not empty.
+   *
+   * @param {string} password
+   * @param {string} description
+   * @returns {string} password
+   * @throws {Error} If the password is empty.
+   * @private
+   */
+  _trimPassword(password, description) {
+    password = password.replace(/\r?\n$/, '');
+
+    if (!password.length) {
+      throw new Error(`${description} is empty.`);
+    }
+
+    return password;
+  }
+
+  /**
+   * Throws the error within the config of the shared instance, if there is
+   * one, so that it is raised once the instance is used.
+   *
+   * @throws {ConfigError} If the config is invalid.
+   * @private
+   */
+  _checkConfig() {
+    if (!_.isNull(this._configError)) {
+      throw this._configError;
+    }
+  }
+
+  /**
+   * Parse the options provided and fill in any missing options with default
+   * values.
+   *
+   * @param {Object} options
+   * @returns {Object} opts
+   * @throws {ConfigError} If the config is invalid.
+   * @private
+   */
+  _parseOptions(options) {
+    this._checkConfig();
+
+    return _.defaults(options, this._config);
+  }
+
+  /**
+   * Validates that all NodeCipher options follow the proper schema.
+   *
+   * @param {Object} action
+   * @param {Object} options
+   * @returns {Array} errors
+   * @private
+   */
+  _validateOptions(action, options) {
+    return Array.prototype.concat(
+      this._validateRequiredString('input', options.input),
+      this._validateRequiredString('output', options.output),
+      this._validateOptionalSignal('signal', options.signal),
+      this._validateRequiredStringOrArray('include', options.include),
+      this._validateRequiredStringOrArray('exclude', options.exclude),
+      this._validateRequiredString('extension', options.extension),
+      this._validateCipherOptions(action, options)
+    );
+  }
+
+  /**
+   * Validates the options used to pack files into an archive. The input may be
+   * a single file or directory, or an array of them.
+   *
+   * @param {Object} options
+   * @returns {Array} errors
+   * @private
+   */
+  _validatePackOptions(options) {
+    return Array.prototype.concat(
+      this._validateRequiredStringOrArray('input', options.input),
+      this._validateRequiredString('output', options.output),
+      this._validateOptionalSignal('signal', options.signal),
+      this._validateRequiredStringOrArray('include', options.include),
+      this._validateRequiredStringOrArray('exclude', options.exclude),
+      this._validateCipherOptions(NodeCipher.Actions.ENCRYPT, options)
+    );
+  }
+
+  /**
+   * Validates the options used to unpack an archive. The entry is optional.
+   *
+   * @param {Object} options
+   * @returns {Array} errors
+   * @private
+   */
+  _validateUnpackOptions(options) {
+    return Array.prototype.concat(
+      this._validateOptions(NodeCipher.Actions.DECRYPT, options),
+      this._validateOptionalString('entry', options.entry)
+    );
+  }
+
+  /**
+   * Validates the options used to list the files within an archive. The
+   * output is not used.
+   *
+   * @param {Object} options
+   * @returns {Array} errors
+   * @private
+   */
+  _validateListOptions(options) {
+    return Array.prototype.concat(
+      this._validateRequiredString('input', options.input),
+      this._validateCipherOptions(NodeCipher.Actions.DECRYPT, options)
+    );
+  }
+
+  /**
+   * Validates the options used to cipher each file within the manifest. The
+   * manifest must contain at least one file.
+   *
+   * @param {Object} action
+   * @param {Array} requests
+   * @returns {Array} errors
+   * @private
+   */
+  _validateManifest(action, requests) {
+    let errors = [];
+
+    if (!requests.length) {
+      errors.push({
+        option: 'files',
+        message: '"files" must map at least one plaintext file to its ' +
+          'ciphertext file.'
+      });
+    }
+
+    _.each(requests, request => {
+      errors = errors.concat(this._validateOptions(action, request));
+    });
+
+    // The options provided apply to every file, so the same error may be
+    // reported for each of them.
+    return _.uniqBy(errors, 'message');
+  }
+
+  /**
+   * Validates a layer of the config. Unknown options are reported, along with
+   * the closest known option if there is one. Only the options that the layer
+   * defines are validated.
+   *
+   * @param {Object} layer
+   * @returns {Array} errors
+   * @private
+   */
+  _validateConfigLayer(layer) {
+    let known = _.keys(NodeCipher.Defaults).concat('files');
+    let errors = [];
+
+    if (!_.isPlainObject(layer.values)) {
+      return [{ option: 'config', message: 'The config must be an object.' }];
+    }
+
+    _.each(_.difference(_.keys(layer.values), known), key => {
+      errors.push({
+        option: key,
+        message: this._describeUnknownOption(key, known)
+      });
+    });
+
+    // Only the config provided to the constructor is given explicitly.
+    if (layer.source !== 'constructor') {
+      errors = errors.concat(this._validateConfigPasswordSource('passwordFrom',
+        layer.values.passwordFrom));
+    }
+
+    if (layer.rcFile) {
+      errors = errors.concat(this._validateConfigAgent('agent',
+        layer.values.agent));
+    }
+
+    return errors.concat(
+      this._validateConfigValues(layer.values),
+      this._validateManifestConfig(layer.values.files)
+    );
+  }
+
+  /**
+   * Validates the values of the options within the config. Unlike the options
+   * passed to each method, none of them are required. The algorithm and key
+   * derivation function are only required to be strings, since they may be
+   * registered by a plugin after the config has been loaded.
+   *
+   * @param {Object} values
+   * @returns {Array} errors
+   * @private
+   */
+  _validateConfigValues(values) {
+    let errors = Array.prototype.concat(
+      this._validateRequiredString('password', values.password),
+      this._validateRequiredStringOrBuffer('salt', values.salt),
+      this._validateRequiredInteger('iterations', values.iterations),
+      this._validateRequiredInteger('keylen', values.keylen),
+      this._validateRequiredHash('digest', values.digest),
+      this._validateRequiredString('algorithm', values.algorithm),
+      this._validateRequiredString('kdf', values.kdf),
+      this._validateRequiredCost('cost', values.cost),
+      this._validateRequiredInteger('blockSize', values.blockSize),
+      this._validateRequiredInteger('parallelization',
+        values.parallelization),
+      this._validateRequiredStringOrArray('include', values.include),
+      this._validateRequiredStringOrArray('exclude', values.exclude),
+      this._validateRequiredString('extension', values.extension),
+      this._validateRequiredInteger('minPasswordEntropy',
+        values.minPasswordEntropy),
+      this._validateRequiredChoice('weakPasswords', values.weakPasswords,
+        WEAK_PASSWORD_POLICIES),
+      this._validateRequiredInteger('passwordAttempts',
+        values.passwordAttempts),
+      this._validateRequiredString('agent', values.agent),
+      this._validateRequiredString('keyfile', values.keyfile),
+      this._validatePasswordSource('passwordFrom', values.passwordFrom)
+    );
+
+    return _.filter(errors, error => {
+      return !_.isUndefined(values[error.option]);
+    });
+  }
+
+  /**
+   * Validates the `files` manifest within the config. Each plaintext path
+   * must map to a ciphertext path, or an object with an `output` and any
+   * options that apply to that file only.
+   *
+   * @param {mixed} files
+   * @returns {Array} errors
+   * @private
+   */
+  _validateManifestConfig(files) {
+    let known = _.without(_.keys(NodeCipher.Defaults), 'input');
+    let errors = [];
+
+    if (_.isUndefined(files)) {
+      return errors;
+    }
+
+    if (!_.isPlainObject(files)) {
+      return [{
+        option: 'files',
+        message: '"files" must be an object mapping each plaintext path to ' +
+          'its ciphertext path.'
+      }];
+    }
+
+    _.each(files, (value, input) => {
+      let output = _.isPlainObject(value) ? value.output : value;
+
+      if (!_.isString(output)) {
+        errors.push({
+          option: 'files',
+          message: `"files" must map "${input}" to a ciphertext path, or an ` +
+            'object with an "output".'
+        });
+      }
+
+      if (!_.isPlainObject(value)) {
+        return;
+      }
+
+      _.each(_.difference(_.keys(value), known), key => {
+        errors.push({
+          option: 'files',
+          message: `"files" entry "${input}": ` +
+            this._describeUnknownOption(key, known)
+        });
+      });
+
+      _.each(Array.prototype.concat(
+        this._validateConfigValues(_.omit(value, 'output')),
+        this._validateConfigPasswordSource('passwordFrom', value.passwordFrom),
+        this._validateConfigAgent('agent', value.agent)
+      ), error => {
+        errors.push({
+          option: 'files',
+          message: `"files" entry "${input}": ${error.message}`
+        });
+      });
+    });
+
+    return errors;
+  }
+
+  /**
+   * Describes an unknown option, suggesting the known option that it most
+   * likely meant. Case, hyphens, underscores, and a missing or extra suffix
+   * are ignored when looking for the suggestion.
+   *
+   * @param {string} key
+   * @param {Array} known
+   * @returns {string} message
+   * @private
+   */
+  _describeUnknownOption(key, known) {
+    let normalize = name => {
+      return name.toLowerCase().replace(/[-_]/g, '');
+    };
+    let suggestion = _.find(known, name => {
+      let a = normalize(name);
+      let b = normalize(key);
+
+      return a.indexOf(b) === 0 || b.indexOf(a) === 0;
+    });
+    let message = `"${key}" is not a known option.`;
+
+    if (!_.isUndefined(suggestion)) {
+      message += ` Did you mean "${suggestion}"?`;
+    }
+
+    return message;
+  }
+
+  /**
+   * Validates all NodeCipher options except for the input and output, which
+   * are not used when ciphering streams. If the password is not provided, but
+   * a source to read it from is, only the source is validated, since it is
+   * not read until the key is derived. The password is optional if a keyfile
+   * is provided, or if an agent is configured, since the agent may hold the
+   * key. When decrypting, the options that may be recorded within the header
+   * are not validated until the header has been read.
+   *
+   * @see _resolvePassword
+   * @see _applyHeader
+   * @param {Object} action
+   * @param {Object} options
+   * @returns {Array} errors
+   * @private
+   */
+  _validateCipherOptions(action, options) {
+    let errors = [];
+    let optional = _.isUndefined(options.password) &&
+      (!_.isUndefined(options.keyfile) || !_.isUndefined(options.agent));
+
+    if (_.isUndefined(options.password) &&
+        !_.isUndefined(options.passwordFrom)) {
+      errors = this._validatePasswordSource('passwordFrom',
+        options.passwordFrom);
+    } else if (!optional) {
+      errors = this._validateRequiredString('password', options.password);
+    }
+
+    errors = errors.concat(
+      this._validateKeyfile('keyfile', options.keyfile),
+      this._validateOptionalString('agent', options.agent)
+    );
+
+    if (action === NodeCipher.Actions.ENCRYPT) {
+      errors = errors.concat(this._validateHeaderOptions(options));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates the options that may be recorded within the header. When
+   * decrypting, they are only validated once the header has been read, and
+   * only if the header does not provide them.
+   *
+   * @see _applyHeader
+   * @param {Object} options
+   * @returns {Array} errors
+   * @private
+   */
+  _validateHeaderOptions(options) {
+    return Array.prototype.concat(
+      this._validateRequiredStringOrBuffer('salt', options.salt),
+      this._validateRequiredInteger('iterations', options.iterations),
+      this._validateRequiredInteger('keylen', options.keylen),
+      this._validateRequiredHash('digest', options.digest),
+      this._validateRequiredCipher('algorithm', options.algorithm),
+      this._validateRequiredKdf('kdf', options.kdf),
+      this._validateRequiredCost('cost', options.cost),
+      this._validateRequiredInteger('blockSize', options.blockSize),
+      this._validateRequiredInteger('parallelization', options.parallelization)
+    );
+  }
+
+  /**
+   * Validates an option that is required and must be a string.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateRequiredString(key, val) {
+    let errors = [];
+
+    if (_.isUndefined(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" is required.`
+      });
+    } else if (!_.isString(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be a string. Got "${typeof val}"`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is optional, but must be a string if it is
+   * defined.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateOptionalString(key, val) {
+    let errors = [];
+
+    if (!_.isUndefined(val) && !_.isString(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be a string. Got "${typeof val}"`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is required and must be a string or a Buffer.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateRequiredStringOrBuffer(key, val) {
+    let errors = [];
+
+    if (_.isUndefined(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" is required.`
+      });
+    } else if (!_.isString(val) && !Buffer.isBuffer(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be a string or buffer. Got "${typeof val}"`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is required and must be a Buffer.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateRequiredBuffer(key, val) {
+    let errors = [];
+
+    if (_.isUndefined(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" is required.`
+      });
+    } else if (!Buffer.isBuffer(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be a buffer. Got "${typeof val}"`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is optional, but must be an AbortSignal-style
+   * object if it is defined. The signal must either provide
+   * `addEventListener()` or be an EventEmitter.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateOptionalSignal(key, val) {
+    let errors = [];
+
+    if (_.isUndefined(val)) {
+      return errors;
+    }
+
+    if (!_.isObject(val) || !(_.isFunction(val.addEventListener) ||
+        _.isFunction(val.on))) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be an AbortSignal or an EventEmitter.`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is required and must be a string or an array of
+   * strings.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateRequiredStringOrArray(key, val) {
+    let errors = [];
+
+    if (_.isUndefined(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" is required.`
+      });
+    } else if (!_.isString(val) &&
+        !(_.isArray(val) && _.every(val, _.isString))) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be a string or an array of strings.`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is required and must be an integer.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
    * @private
    */
   _validateRequiredInteger(key, val) {
@@ -542,12 +5122,111 @@ class NodeCipher {
         option: key,
         message: `"${key}" is required.`
       });
-    }
-
-    if (!_.isInteger(val)) {
+    } else if (!_.isInteger(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be an integer. Got "${typeof val}"`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is required that must be a string and be a valid
+   * HMAC digest hash.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateRequiredHash(key, val) {
+    let errors = [];
+
+    if (_.isUndefined(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" is required.`
+      });
+    } else if (!_.isString(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be a string. Got "${typeof val}"`
+      });
+    } else if (!_.includes(ALL_HASHES, val)) {
+      errors.push({
+        option: key,
+        message: `"${val}" is not a valid digest hash.`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is required that must be a string and be a valid
+   * cipher algorithm.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateRequiredCipher(key, val) {
+    let errors = [];
+
+    if (_.isUndefined(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" is required.`
+      });
+    } else if (!_.isString(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" must be a string. Got "${typeof val}"`
+      });
+    } else if (!_.includes(this.listAlgorithms(), val)) {
+      errors.push({
+        option: key,
+        message: `"${val}" is not a valid cipher algorithm.`
+      });
+    } else if (UNSUPPORTED_ALGORITHMS.test(val)) {
+      errors.push({
+        option: key,
+        message: `"${val}" is not supported, as CCM mode cannot be streamed.`
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates an option that is required that must be a string and be a
+   * supported key derivation function.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateRequiredKdf(key, val) {
+    let errors = [];
+
+    if (_.isUndefined(val)) {
+      errors.push({
+        option: key,
+        message: `"${key}" is required.`
+      });
+    } else if (!_.isString(val)) {
       errors.push({
         option: key,
-        message: `"${key}" must be an integer. Got "${typeof val}"`
+        message: `"${key}" must be a string. Got "${typeof val}"`
+      });
+    } else if (!_.has(this._kdfs, val)) {
+      errors.push({
+        option: key,
+        message: `"${val}" is not a valid key derivation function.`
       });
     }
 
@@ -555,161 +5234,726 @@ class NodeCipher {
   }
 
   /**
-   * Validates an option that is required that must be a string and be a valid
-   * HMAC digest hash.
+   * Validates an option that is required and must be an integer that is a
+   * power of two greater than one, as is required of the scrypt cost.
    *
    * @param {string} key
    * @param {mixed} val
    * @returns {Array} errors
    * @private
    */
-  _validateRequiredHash(key, val) {
-    let errors = [];
+  _validateRequiredCost(key, val) {
+    let errors = this._validateRequiredInteger(key, val);
 
-    if (_.isUndefined(val)) {
+    if (_.isInteger(val) && (val < 2 || (val & (val - 1)) !== 0)) {
       errors.push({
         option: key,
-        message: `"${key}" is required.`
+        message: `"${key}" must be a power of two greater than one.`
       });
     }
 
-    if (!_.isString(val)) {
+    return errors;
+  }
+
+  /**
+   * Validates an option that is required and must be one of the given
+   * choices.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @param {Array} choices
+   * @returns {Array} errors
+   * @private
+   */
+  _validateRequiredChoice(key, val, choices) {
+    let errors = this._validateRequiredString(key, val);
+
+    if (_.isString(val) && !_.includes(choices, val)) {
       errors.push({
         option: key,
-        message: `"${key}" must be a string. Got "${typeof val}"`
+        message: `"${key}" must be one of "${choices.join('", "')}".`
       });
     }
 
-    if (!_.includes(ALL_HASHES, val)) {
+    return errors;
+  }
+
+  /**
+   * Validates an option that is optional, but must be the path of a file that
+   * is not empty if it is defined.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateKeyfile(key, val) {
+    let errors = this._validateOptionalString(key, val);
+    let stats;
+
+    if (errors.length || _.isUndefined(val)) {
+      return errors;
+    }
+
+    try {
+      stats = fs.statSync(val);
+    } catch (err) {
+      return [{
+        option: key,
+        message: `The keyfile "${val}" does not exist.`
+      }];
+    }
+
+    if (!stats.isFile()) {
+      errors.push({
+        option: key,
+        message: `The keyfile "${val}" is not a file.`
+      });
+    } else if (!stats.size) {
       errors.push({
         option: key,
-        message: `"${val}" is not a valid digest hash.`,
-        name: NodeCipher.Errors.BAD_DIGEST
+        message: `The keyfile "${val}" is empty.`
       });
     }
 
-    return errors;
+    return errors;
+  }
+
+  /**
+   * Validates an option that is optional, but must be a password source if it
+   * is defined. A password source is an object with exactly one of a `file`
+   * path, an `env` variable name, an `fd` number, or a `command` to run.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validatePasswordSource(key, val) {
+    let sources;
+    let source;
+
+    if (_.isUndefined(val)) {
+      return [];
+    }
+
+    sources = _.isPlainObject(val) ?
+      _.intersection(_.keys(val), PASSWORD_SOURCES) :
+      [];
+
+    if (sources.length !== 1) {
+      return [{
+        option: key,
+        message: `"${key}" must be an object with exactly one of ` +
+          `"${PASSWORD_SOURCES.join('", "')}".`
+      }];
+    }
+
+    source = _.first(sources);
+
+    if (source === 'fd') {
+      if (!/^\d+$/.test(String(val.fd))) {
+        return [{
+          option: key,
+          message: `"${key}.fd" must be a file descriptor number.`
+        }];
+      }
+    } else if (!_.isString(val[source]) || !val[source].length) {
+      return [{
+        option: key,
+        message: `"${key}.${source}" must be a non-empty string.`
+      }];
+    }
+
+    return [];
+  }
+
+  /**
+   * Validates a password source that was not given explicitly, which may only
+   * read from one of the CONFIG_PASSWORD_SOURCES. Other sources must be given
+   * to each method or on the command line instead.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateConfigPasswordSource(key, val) {
+    let sources = _.isPlainObject(val) ?
+      _.difference(_.intersection(_.keys(val), PASSWORD_SOURCES),
+        CONFIG_PASSWORD_SOURCES) :
+      [];
+
+    if (!sources.length) {
+      return [];
+    }
+
+    return [{
+      option: key,
+      message: `"${key}.${_.first(sources)}" may only be given explicitly, ` +
+        'to a method, the constructor, or on the command line.'
+    }];
+  }
+
+  /**
+   * Validates that the agent is not set within a `.nodecipherrc` file or the
+   * `files` manifest. Anyone who can commit to the project could otherwise
+   * point NodeCipher at an agent of their own, which would receive the keys.
+   *
+   * @param {string} key
+   * @param {mixed} val
+   * @returns {Array} errors
+   * @private
+   */
+  _validateConfigAgent(key, val) {
+    if (_.isUndefined(val)) {
+      return [];
+    }
+
+    return [{
+      option: key,
+      message: `"${key}" may not be set within a .nodecipherrc file or the ` +
+        `"files" manifest. Use the "${APP_NAME}_${key}" environment ` +
+        'variable instead.'
+    }];
+  }
+
+  /**
+   * Handles read stream errors. The returned closure unpipes the stream then
+   * calls the callback with the error.
+   *
+   * @param {Stream} stream
+   * @param {Function} callback
+   * @returns {Function}
+   * @private
+   */
+  _handleStreamError(stream, callback) {
+    return err => {
+      stream.unpipe();
+
+      return callback(this._nameError(err));
+    };
+  }
+
+  /**
+   * Reports the progress of the given read stream to the operation, and tears
+   * down the read stream if the operation is aborted. Returns the function
+   * that must be called once the streams have finished, which calls the
+   * callback at most once and is ignored once the operation has been aborted.
+   *
+   * @param {Operation} operation
+   * @param {Stream} readStream
+   * @param {Function} callback
+   * @returns {Function}
+   * @private
+   */
+  _trackOperation(operation, readStream, callback) {
+    let done = _.once((err, result) => {
+      operation.removeListener('abort', abort);
+      callback(err, result);
+    });
+
+    let abort = () => {
+      readStream.unpipe();
+      readStream.destroy();
+
+      done(this._createAbortError());
+    };
+
+    readStream.on('data', chunk => {
+      operation.progress(chunk.length);
+    });
+
+    operation.once('abort', abort);
+
+    return (err, result) => {
+      if (!operation.aborted) {
+        done(err, result);
+      }
+    };
+  }
+
+  /**
+   * Creates the error that is produced when an operation is aborted.
+   *
+   * @returns {NodeCipherError}
+   * @private
+   */
+  _createAbortError() {
+    return new NodeCipherError('ABORTED', 'The operation was aborted.');
+  }
+
+  /**
+   * Names an error that occurred while ciphering so that it may be easily
+   * identified by the consumer. The error is turned into a NodeCipherError in
+   * place, since it may have already been emitted. Filesystem errors other
+   * than a missing file keep their own code, such as `EACCES`, so that they
+   * are not mistaken for a failure to decipher.
+   *
+   * @param {Error} err
+   * @returns {NodeCipherError|Error}
+   * @private
+   */
+  _nameError(err) {
+    if (err instanceof NodeCipherError) {
+      return err;
+    }
+
+    switch (err.code) {
+      case 'ENOENT':
+        return NodeCipherError.from(err, 'BAD_FILE');
+      case header.Codes.UNSUPPORTED_VERSION:
+        return NodeCipherError.from(err, 'UNSUPPORTED_FORMAT');
+      case header.Codes.TRUNCATED:
+      case streams.Codes.TRAILER_TRUNCATED:
+        return NodeCipherError.from(err, 'CORRUPT_DATA');
+      case archive.Codes.INVALID:
+      case archive.Codes.TRUNCATED:
+      case archive.Codes.UNSAFE_PATH:
+      case archive.Codes.NO_ENTRY:
+      case archive.Codes.DUPLICATE_PATH:
+        return NodeCipherError.from(err, 'BAD_ARCHIVE');
+    }
+
+    if (!_.isUndefined(err.syscall)) {
+      return err;
+    }
+
+    return NodeCipherError.from(err, 'BAD_DECRYPT');
+  }
+
+  /**
+   * Public methods.
+   *
+   * - encrypt()
+   * - decrypt()
+   * - encryptSync():Object
+   * - decryptSync():Object
+   * - encryptBuffer()
+   * - decryptBuffer()
+   * - encryptBufferSync():Buffer
+   * - decryptBufferSync():Buffer
+   * - encryptString()
+   * - decryptString()
+   * - encryptStringSync():string
+   * - decryptStringSync():string
+   * - createEncryptStream():Stream
+   * - createDecryptStream():Stream
+   * - createOutputStream():Stream
+   * - pack()
+   * - unpack()
+   * - packSync():Object
+   * - unpackSync():Object
+   * - listArchive()
+   * - listArchiveSync():Array
+   * - encryptAll()
+   * - decryptAll()
+   * - encryptAllSync():Array
+   * - decryptAllSync():Array
+   * - listAlgorithms():Array
+   * - listHashes():Array
+   * - listKdfs():Array
+   * - registerKdf()
+   * - registerCipher()
+   * - inspectConfig():Object
+   * - checkPassword():Object
+   * - readPassword():string
+   */
+
+  /**
+   * Public method for encrypting a file using the options provided. Returns an
+   * Operation which emits "progress" events, or a Promise exposing the same
+   * events if no callback is provided.
+   *
+   * @see _encrypt
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Operation|Promise}
+   * @access public
+   */
+  encrypt(options, callback, scope) {
+    return this._encrypt.apply(this, arguments);
+  }
+
+  /**
+   * Public method for decrypting a file using the options provided. Returns an
+   * Operation which emits "progress" events, or a Promise exposing the same
+   * events if no callback is provided.
+   *
+   * @see _decrypt
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Operation|Promise}
+   * @access public
+   */
+  decrypt(options, callback, scope) {
+    return this._decrypt.apply(this, arguments);
+  }
+
+  /**
+   * The synchronous version of encrypt().
+   *
+   * @see _encryptSync
+   * @param {Object} options
+   * @returns {Object}
+   * @access public
+   */
+  encryptSync(options) {
+    return this._encryptSync.apply(this, arguments);
+  }
+
+  /**
+   * The synchronous version of decrypt().
+   *
+   * @see _decryptSync
+   * @param {Object} options
+   * @returns {Object}
+   * @access public
+   */
+  decryptSync(options) {
+    return this._decryptSync.apply(this, arguments);
+  }
+
+  /**
+   * Public method for encrypting a buffer using the options provided. The
+   * `input` and `output` options are not used. The encrypted buffer is passed
+   * to the callback, or resolved if no callback is provided.
+   *
+   * @see _parseBufferRequest
+   * @param {Buffer} buffer
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Promise|undefined}
+   * @access public
+   */
+  encryptBuffer(buffer, options, callback, scope) {
+    let action = NodeCipher.Actions.ENCRYPT;
+
+    return this._respond(callback, scope, done => {
+      this._parseBufferRequest(action, buffer, options, done);
+    });
+  }
+
+  /**
+   * Public method for decrypting a buffer using the options provided. The
+   * `input` and `output` options are not used. The decrypted buffer is passed
+   * to the callback, or resolved if no callback is provided.
+   *
+   * @see _parseBufferRequest
+   * @param {Buffer} buffer
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Promise|undefined}
+   * @access public
+   */
+  decryptBuffer(buffer, options, callback, scope) {
+    let action = NodeCipher.Actions.DECRYPT;
+
+    return this._respond(callback, scope, done => {
+      this._parseBufferRequest(action, buffer, options, done);
+    });
+  }
+
+  /**
+   * The synchronous version of encryptBuffer().
+   *
+   * @see _parseBufferRequestSync
+   * @param {Buffer} buffer
+   * @param {Object} options
+   * @returns {Buffer}
+   * @access public
+   */
+  encryptBufferSync(buffer, options) {
+    let action = NodeCipher.Actions.ENCRYPT;
+
+    return this._parseBufferRequestSync(action, buffer, options);
+  }
+
+  /**
+   * The synchronous version of decryptBuffer().
+   *
+   * @see _parseBufferRequestSync
+   * @param {Buffer} buffer
+   * @param {Object} options
+   * @returns {Buffer}
+   * @access public
+   */
+  decryptBufferSync(buffer, options) {
+    let action = NodeCipher.Actions.DECRYPT;
+
+    return this._parseBufferRequestSync(action, buffer, options);
+  }
+
+  /**
+   * Public method for encrypting a UTF-8 string using the options provided.
+   * The encrypted string is encoded as base64, and is passed to the callback,
+   * or resolved if no callback is provided.
+   *
+   * @see _parseStringRequest
+   * @param {string} string
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Promise|undefined}
+   * @access public
+   */
+  encryptString(string, options, callback, scope) {
+    let action = NodeCipher.Actions.ENCRYPT;
+
+    return this._respond(callback, scope, done => {
+      this._parseStringRequest(action, string, options, done);
+    });
   }
 
   /**
-   * Validates an option that is required that must be a string and be a valid
-   * cipher algorithm.
+   * Public method for decrypting a base64 string produced by encryptString()
+   * using the options provided. The decrypted UTF-8 string is passed to the
+   * callback, or resolved if no callback is provided.
    *
-   * @param {string} key
-   * @param {mixed} val
-   * @returns {Array} errors
-   * @private
+   * @see _parseStringRequest
+   * @param {string} string
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Promise|undefined}
+   * @access public
    */
-  _validateRequiredCipher(key, val) {
-    let errors = [];
-
-    if (_.isUndefined(val)) {
-      errors.push({
-        option: key,
-        message: `"${key}" is required.`
-      });
-    }
+  decryptString(string, options, callback, scope) {
+    let action = NodeCipher.Actions.DECRYPT;
 
-    if (!_.isString(val)) {
-      errors.push({
-        option: key,
-        message: `"${key}" must be a string. Got "${typeof val}"`
-      });
-    }
+    return this._respond(callback, scope, done => {
+      this._parseStringRequest(action, string, options, done);
+    });
+  }
 
-    if (!_.includes(ALL_CIPHERS, val)) {
-      errors.push({
-        option: key,
-        message: `"${val}" is not a valid cipher algorithm.`,
-        name: NodeCipher.Errors.BAD_ALGORITHM
-      });
-    }
+  /**
+   * The synchronous version of encryptString().
+   *
+   * @see _parseStringRequestSync
+   * @param {string} string
+   * @param {Object} options
+   * @returns {string}
+   * @access public
+   */
+  encryptStringSync(string, options) {
+    let action = NodeCipher.Actions.ENCRYPT;
 
-    return errors;
+    return this._parseStringRequestSync(action, string, options);
   }
 
   /**
-   * Handles read stream errors. The returned closure unpipes the stream then
-   * calls the callback with the error.
+   * The synchronous version of decryptString().
    *
-   * @param {Stream} stream
-   * @param {Function} callback
-   * @returns {Function}
-   * @private
+   * @see _parseStringRequestSync
+   * @param {string} string
+   * @param {Object} options
+   * @returns {string}
+   * @access public
    */
-  _handleStreamError(stream, callback) {
-    return function (err) {
-      stream.unpipe();
+  decryptStringSync(string, options) {
+    let action = NodeCipher.Actions.DECRYPT;
 
-      if (err.code === 'ENOENT') {
-        err.name = NodeCipher.Errors.BAD_FILE;
-      } else {
-        err.name = NodeCipher.Errors.BAD_DECRYPT;
-      }
+    return this._parseStringRequestSync(action, string, options);
+  }
 
-      return callback(err);
-    };
+  /**
+   * Creates a transform stream that encrypts everything that is written to it
+   * using the options provided. The `input` and `output` options are not
+   * used. The key is derived before the first chunk is encrypted.
+   *
+   * @see _createCipherStream
+   * @param {Object} options
+   * @returns {Stream}
+   * @access public
+   */
+  createEncryptStream(options) {
+    return this._createCipherStream(NodeCipher.Actions.ENCRYPT, options);
   }
 
   /**
-   * Public methods.
+   * Creates a transform stream that decrypts everything that is written to it
+   * using the options provided. The `output` option is not used. Since the
+   * content is deciphered as it is received, its output is unauthenticated
+   * until the stream ends, and the stream emits an error instead of ending if
+   * the content has been tampered with. If the `input` option names the file
+   * that is written to the stream, the file is authenticated before any of
+   * its content is output instead.
    *
-   * - encrypt()
-   * - decrypt()
-   * - encryptSync():Object
-   * - decryptSync():Object
-   * - listAlgorithms():Array
-   * - listHashes():Array
+   * @see _createCipherStream
+   * @param {Object} options
+   * @returns {Stream}
+   * @access public
    */
+  createDecryptStream(options) {
+    return this._createCipherStream(NodeCipher.Actions.DECRYPT, options);
+  }
 
   /**
-   * Public method for encrypting a file using the options provided.
+   * Creates a writable stream that replaces the given output file atomically,
+   * the same way the file methods do. The output file is only replaced once
+   * the stream has finished, and is left untouched if the stream is destroyed
+   * before then.
    *
-   * @see _encrypt
+   * @see _createOutputStream
+   * @param {string} output
+   * @returns {Stream}
+   * @access public
+   */
+  createOutputStream(output) {
+    return this._createOutputStream(output);
+  }
+
+  /**
+   * Public method for packing files and directories into a single encrypted
+   * archive using the options provided. The archive records the path, mode,
+   * and contents of each file, and is encrypted in its entirety. Returns an
+   * Operation which emits "progress" events, or a Promise exposing the same
+   * events if no callback is provided.
+   *
+   * @see _pack
    * @param {Object} options
    * @param {Function} [callback]
    * @param {Object} [scope]
+   * @returns {Operation|Promise}
    * @access public
    */
-  encrypt(options, callback, scope) {
-    this._encrypt.apply(this, arguments);
+  pack(options, callback, scope) {
+    return this._pack.apply(this, arguments);
   }
 
   /**
-   * Public method for decrypting a file using the options provided.
+   * Public method for unpacking the files within an encrypted archive into the
+   * output directory using the options provided. If the `entry` option is
+   * provided, only that file is extracted. Returns an Operation which
+   * emits "progress" events, or a Promise exposing the same events if no
+   * callback is provided.
    *
-   * @see _decrypt
+   * @see _unpack
    * @param {Object} options
    * @param {Function} [callback]
    * @param {Object} [scope]
+   * @returns {Operation|Promise}
    * @access public
    */
-  decrypt(options, callback, scope) {
-    this._decrypt.apply(this, arguments);
+  unpack(options, callback, scope) {
+    return this._unpack.apply(this, arguments);
   }
 
   /**
-   * The synchronous version of encrypt().
+   * The synchronous version of pack().
    *
-   * @see _encryptSync
+   * @see _packSync
    * @param {Object} options
    * @returns {Object}
    * @access public
    */
-  encryptSync(options) {
-    return this._encryptSync.apply(this, arguments);
+  packSync(options) {
+    return this._packSync.apply(this, arguments);
   }
 
   /**
-   * The synchronous version of decrypt().
+   * The synchronous version of unpack().
    *
-   * @see _decryptSync
+   * @see _unpackSync
    * @param {Object} options
    * @returns {Object}
    * @access public
    */
-  decryptSync(options) {
-    return this._decryptSync.apply(this, arguments);
+  unpackSync(options) {
+    return this._unpackSync.apply(this, arguments);
+  }
+
+  /**
+   * Public method for listing the files within an encrypted archive using the
+   * options provided, without extracting them. Only the index of the archive
+   * is decrypted. The path, size, mode, and modification time of each file is
+   * passed to the callback, or resolved if no callback is provided.
+   *
+   * @see _listArchive
+   * @param {Object} options
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Promise|undefined}
+   * @access public
+   */
+  listArchive(options, callback, scope) {
+    return this._listArchive.apply(this, arguments);
+  }
+
+  /**
+   * The synchronous version of listArchive().
+   *
+   * @see _listArchiveSync
+   * @param {Object} options
+   * @returns {Array}
+   * @access public
+   */
+  listArchiveSync(options) {
+    return this._listArchiveSync.apply(this, arguments);
+  }
+
+  /**
+   * Public method for encrypting every plaintext file within the `files`
+   * manifest into its ciphertext file, one at a time. The options provided
+   * apply to every file. Returns an Operation which emits "progress" events,
+   * or a Promise exposing the same events if no callback is provided.
+   *
+   * @see _cipherAll
+   * @param {Object} [options]
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Operation|Promise}
+   * @access public
+   */
+  encryptAll(options, callback, scope) {
+    return this._cipherAll(NodeCipher.Actions.ENCRYPT, options, callback,
+      scope);
+  }
+
+  /**
+   * Public method for decrypting every ciphertext file within the `files`
+   * manifest into its plaintext file, one at a time. The options provided
+   * apply to every file. Returns an Operation which emits "progress" events,
+   * or a Promise exposing the same events if no callback is provided.
+   *
+   * @see _cipherAll
+   * @param {Object} [options]
+   * @param {Function} [callback]
+   * @param {Object} [scope]
+   * @returns {Operation|Promise}
+   * @access public
+   */
+  decryptAll(options, callback, scope) {
+    return this._cipherAll(NodeCipher.Actions.DECRYPT, options, callback,
+      scope);
+  }
+
+  /**
+   * The synchronous version of encryptAll().
+   *
+   * @see _cipherAllSync
+   * @param {Object} [options]
+   * @returns {Array}
+   * @access public
+   */
+  encryptAllSync(options) {
+    return this._cipherAllSync(NodeCipher.Actions.ENCRYPT, options);
+  }
+
+  /**
+   * The synchronous version of decryptAll().
+   *
+   * @see _cipherAllSync
+   * @param {Object} [options]
+   * @returns {Array}
+   * @access public
+   */
+  decryptAllSync(options) {
+    return this._cipherAllSync(NodeCipher.Actions.DECRYPT, options);
   }
 
   /**
@@ -719,7 +5963,7 @@ class NodeCipher {
    * @access public
    */
   listAlgorithms() {
-    return ALL_CIPHERS;
+    return _.union(ALL_CIPHERS, _.keys(this._ciphers));
   }
 
   /**
@@ -732,24 +5976,191 @@ class NodeCipher {
     return ALL_HASHES;
   }
 
+  /**
+   * Lists all registered key derivation functions.
+   *
+   * @returns {Array}
+   * @access public
+   */
+  listKdfs() {
+    return _.keys(this._kdfs);
+  }
+
+  /**
+   * Registers a key derivation function under the given name, so that it may
+   * be chosen via the `kdf` option. The KDF must provide a `derive(options,
+   * callback)` method and a `deriveSync(options)` method which derive a key
+   * of `options.keylen` bytes from `options.password` and `options.salt`. Any
+   * of the `iterations`, `cost`, `blockSize`, or `parallelization` options
+   * used by the KDF must be listed in its `options` array so that they are
+   * recorded within the header.
+   *
+   * @param {string} name
+   * @param {Object} kdf
+   * @access public
+   */
+  registerKdf(name, kdf) {
+    if (!_.isString(name) || !name.length) {
+      throw new TypeError('The KDF name must be a non-empty string.');
+    }
+
+    if (!_.isFunction(kdf.derive) || !_.isFunction(kdf.deriveSync)) {
+      throw new TypeError(
+        `The "${name}" KDF must provide derive() and deriveSync() methods.`
+      );
+    }
+
+    this._kdfs[name] = _.assign({ options: [] }, kdf);
+  }
+
+  /**
+   * Registers a cipher backend under the given algorithm name, so that it may
+   * be chosen via the `algorithm` option. The backend must provide its
+   * `keyLength` and `ivLength` in bytes, and `createCipher(key, iv)` and
+   * `createDecipher(key, iv)` methods which return objects that behave like
+   * `crypto.Cipher` and `crypto.Decipher`. Backends that produce an
+   * authentication tag must also provide its `authTagLength`, and their
+   * ciphers must implement `setAAD()`, `getAuthTag()`, and `setAuthTag()`.
+   *
+   * @param {string} name
+   * @param {Object} backend
+   * @access public
+   */
+  registerCipher(name, backend) {
+    if (!_.isString(name) || !name.length) {
+      throw new TypeError('The cipher name must be a non-empty string.');
+    }
+
+    if (!_.isInteger(backend.keyLength) || !_.isInteger(backend.ivLength)) {
+      throw new TypeError(
+        `The "${name}" cipher must provide its keyLength and ivLength.`
+      );
+    }
+
+    if (!_.isFunction(backend.createCipher) ||
+        !_.isFunction(backend.createDecipher)) {
+      throw new TypeError(
+        `The "${name}" cipher must provide createCipher() and ` +
+        'createDecipher() methods.'
+      );
+    }
+
+    this._ciphers[name] = backend;
+  }
+
+  /**
+   * Public method for inspecting the effective config. Each option is mapped
+   * to its value and its source, which is either "defaults", the path of a
+   * `.nodecipherrc` file, an environment variable, "command line arguments",
+   * or "constructor".
+   *
+   * @returns {Object}
+   * @throws {ConfigError} If the config is invalid.
+   * @access public
+   */
+  inspectConfig() {
+    this._checkConfig();
+
+    return _.mapValues(this._config, (value, key) => {
+      return { value: _.cloneDeep(value), source: this._sources[key] };
+    });
+  }
+
+  /**
+   * Public method for checking the strength of a password. The entropy of the
+   * password is estimated in bits, and the password is weak if its entropy is
+   * below `minPasswordEntropy`.
+   *
+   * @param {string} password
+   * @param {Object} [options]
+   * @param {number} [options.minPasswordEntropy] - Overrides the config.
+   * @returns {Object}
+   * @throws {ValidationError} If the password or options are invalid.
+   * @access public
+   */
+  checkPassword(password, options) {
+    let opts = this._parseOptions(_.assign({}, options));
+    let err = this._handleErrorsSync(Array.prototype.concat(
+      this._validateRequiredString('password', password),
+      this._validateRequiredInteger('minPasswordEntropy',
+        opts.minPasswordEntropy)
+    ));
+    let entropy;
+
+    if (!_.isUndefined(err)) {
+      throw err;
+    }
+
+    entropy = strength.estimateEntropy(password);
+
+    return {
+      entropy,
+      strength: strength.describeStrength(entropy),
+      weak: entropy < opts.minPasswordEntropy
+    };
+  }
+
+  /**
+   * Public method for reading a password from the given source, the same way
+   * as the `passwordFrom` option. A single trailing newline is removed.
+   *
+   * @param {Object} source - Either a `file` path, an `env` variable name, an
+   *   `fd` number, or a `command` to run.
+   * @returns {string} password
+   * @throws {ValidationError} If the source is invalid, missing, or empty.
+   * @access public
+   */
+  readPassword(source) {
+    let err = this._handleErrorsSync(
+      this._validatePasswordSource('passwordFrom', source)
+    );
+
+    if (!_.isUndefined(err)) {
+      throw err;
+    }
+
+    return this._resolvePasswordSync({ passwordFrom: source }).password;
+  }
+
   /**
    * Public properties.
    *
    * - config:Object
+   * - files:Array
    * - defaults:Object
    * - errors:Object
+   * - codes:Object
    */
 
   /**
    * Gets the NodeCipher instance configuration.
    *
    * @returns {Object}
+   * @throws {ConfigError} If the config is invalid.
    * @access public
    */
   get config() {
+    this._checkConfig();
+
     return this._config;
   }
 
+  /**
+   * Gets the plaintext and ciphertext paths, and the options, of each file
+   * within the `files` manifest.
+   *
+   * @returns {Array}
+   * @throws {ConfigError} If the config is invalid.
+   * @access public
+   */
+  get files() {
+    this._checkConfig();
+
+    return _.map(this._files, file => {
+      return _.cloneDeep(file);
+    });
+  }
+
   /**
    * Gets a clone of the NodeCipher defaults.
    *
@@ -769,6 +6180,16 @@ class NodeCipher {
   get errors() {
     return _.clone(NodeCipher.Errors);
   }
+
+  /**
+   * Gets a clone of the NodeCipher error codes.
+   *
+   * @returns {Object}
+   * @access public
+   */
+  get codes() {
+    return _.clone(NodeCipher.Codes);
+  }
 }
 
 /**
@@ -780,12 +6201,19 @@ class NodeCipher {
 NodeCipher.Actions = {
   ENCRYPT: {
     name: 'encrypt',
-    method: crypto.createCipher,
+    method: crypto.createCipheriv,
+    backendMethod: 'createCipher',
+    inputEncoding: 'utf8',
+    outputEncoding: 'base64',
     debugger: debug('nodecipher:encrypt')
   },
   DECRYPT: {
     name: 'decrypt',
-    method: crypto.createDecipher,
+    method: crypto.createDecipheriv,
+    backendMethod: 'createDecipher',
+    legacyMethod: crypto.createDecipher,
+    inputEncoding: 'base64',
+    outputEncoding: 'utf8',
     debugger: debug('nodecipher:decrypt')
   }
 };
@@ -793,15 +6221,18 @@ NodeCipher.Actions = {
 /**
  * NodeCipher error names.
  *
- * @type {string}
+ * @type {Object}
  * @readonly
  */
-NodeCipher.Errors = {
-  BAD_ALGORITHM: 'Bad Algorithm',
-  BAD_DIGEST: 'Bad Digest',
-  BAD_FILE: 'Bad File',
-  BAD_DECRYPT: 'Bad Decrypt'
-};
+NodeCipher.Errors = ErrorNames;
+
+/**
+ * NodeCipher error codes, keyed the same as the error names.
+ *
+ * @type {Object}
+ * @readonly
+ */
+NodeCipher.Codes = ErrorCodes;
 
 /**
  * Default NodeCipher options.
@@ -821,7 +6252,73 @@ NodeCipher.Defaults = {
   iterations: DEFAULT_ITERATIONS,
 
   /** @type {number} */
-  keylen: DEFAULT_KEYLEN
+  keylen: DEFAULT_KEYLEN,
+
+  kdf: DEFAULT_KDF,
+
+  /** @type {number} */
+  cost: DEFAULT_COST,
+
+  /** @type {number} */
+  blockSize: DEFAULT_BLOCK_SIZE,
+
+  /** @type {number} */
+  parallelization: DEFAULT_PARALLELIZATION,
+
+  /** @type {Array} */
+  include: DEFAULT_INCLUDE,
+
+  /** @type {Array} */
+  exclude: DEFAULT_EXCLUDE,
+
+  extension: DEFAULT_EXTENSION,
+  entry: undefined,
+  passwordFrom: undefined,
+  keyfile: undefined,
+  agent: undefined,
+
+  /** @type {number} */
+  minPasswordEntropy: DEFAULT_MIN_PASSWORD_ENTROPY,
+
+  weakPasswords: DEFAULT_WEAK_PASSWORDS,
+
+  /** @type {number} */
+  passwordAttempts: DEFAULT_PASSWORD_ATTEMPTS
 };
 
-module.exports = new NodeCipher();
+/**
+ * Creates the shared NodeCipher instance. Since it is created as soon as
+ * node-cipher is required, an invalid `.nodecipherrc` file or environment
+ * variable must not prevent it from being required. Instead, the error is
+ * recorded and raised once the instance is used.
+ *
+ * @returns {NodeCipher}
+ * @throws {Error} If the instance could not be created for any other reason.
+ */
+function createSharedInstance() {
+  let instance;
+
+  try {
+    return new NodeCipher();
+  } catch (err) {
+    if (!(err instanceof ConfigError)) {
+      throw err;
+    }
+
+    instance = new NodeCipher({ rc: false });
+    instance._configError = err;
+
+    return instance;
+  }
+}
+
+/**
+ * The shared NodeCipher instance. The class is exposed alongside it so that
+ * separate instances may be created with their own configuration, as are the
+ * error classes.
+ */
+module.exports = createSharedInstance();
+module.exports.NodeCipher = NodeCipher;
+module.exports.NodeCipherError = NodeCipherError;
+module.exports.ValidationError = ValidationError;
+module.exports.ConfigError = ConfigError;
@@ -0,0 +1,154 @@
+/**
+ * The handle that is returned by the asynchronous file methods, which reports
+ * the progress of the operation and allows it to be aborted.
+ *
+ * @module lib/operation
+ * @author Nathan Buchar
+ * @since 7.0.0
+ */
+
+'use strict';
+
+let _ = require('lodash');
+let EventEmitter = require('events');
+
+/**
+ * @const {Array} EMITTER_METHODS
+ * @description The EventEmitter methods that are exposed on Promises that are
+ *   returned in place of an operation.
+ */
+const EMITTER_METHODS = ['on', 'once', 'off', 'removeListener'];
+
+/**
+ * @class Operation
+ * @classdesc Reports the progress of an asynchronous operation via the
+ *   "progress" event, and emits the "abort" event if the AbortSignal-style
+ *   signal that it was given is aborted.
+ * @extends EventEmitter
+ */
+class Operation extends EventEmitter {
+
+  /**
+   * Operation class constructor.
+   *
+   * @param {Object} [signal]
+   */
+  constructor(signal) {
+    super();
+
+    /**
+     * @prop {number} processed
+     * @description The number of bytes that have been processed so far.
+     */
+    this.processed = 0;
+
+    /**
+     * @prop {number} total
+     * @description The total number of bytes that will be processed.
+     */
+    this.total = 0;
+
+    /**
+     * @prop {boolean} aborted
+     * @description Whether the operation has been aborted.
+     */
+    this.aborted = false;
+
+    /**
+     * @prop {Function} _unsubscribe
+     * @description Stops listening to the signal.
+     * @private
+     */
+    this._unsubscribe = _.noop;
+
+    this._subscribe(signal);
+  }
+
+  /**
+   * Listens for the signal to abort. Both DOM-style signals, which provide
+   * `addEventListener()`, and EventEmitters are supported.
+   *
+   * @param {Object} [signal]
+   * @private
+   */
+  _subscribe(signal) {
+    let abort = () => {
+      this._abort();
+    };
+
+    if (_.isUndefined(signal)) {
+      return;
+    }
+
+    if (signal.aborted) {
+      this.aborted = true;
+    } else if (_.isFunction(signal.addEventListener)) {
+      signal.addEventListener('abort', abort);
+      this._unsubscribe = () => {
+        signal.removeEventListener('abort', abort);
+      };
+    } else {
+      signal.on('abort', abort);
+      this._unsubscribe = () => {
+        signal.removeListener('abort', abort);
+      };
+    }
+  }
+
+  /**
+   * Marks the operation as aborted and emits the "abort" event.
+   *
+   * @private
+   */
+  _abort() {
+    if (!this.aborted) {
+      this.aborted = true;
+      this.emit('abort');
+    }
+  }
+
+  /**
+   * Records that the given number of bytes have been processed and emits the
+   * "progress" event.
+   *
+   * @param {number} bytes
+   */
+  progress(bytes) {
+    this.processed += bytes;
+
+    this.emit('progress', {
+      processed: this.processed,
+      total: this.total
+    });
+  }
+
+  /**
+   * Stops listening to the signal once the operation has finished.
+   */
+  release() {
+    this._unsubscribe();
+    this._unsubscribe = _.noop;
+  }
+
+  /**
+   * Exposes the EventEmitter methods of the operation on the given Promise, so
+   * that the progress of the operation may be observed while it is awaited.
+   * The methods return the Promise so that they may be chained.
+   *
+   * @param {Promise} promise
+   * @returns {Promise}
+   */
+  decorate(promise) {
+    _.each(EMITTER_METHODS, method => {
+      promise[method] = (...args) => {
+        this[method](...args);
+
+        return promise;
+      };
+    });
+
+    return promise;
+  }
+}
+
+module.exports = Operation;
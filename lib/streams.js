@@ -0,0 +1,755 @@
+/**
+ * Stream helpers used when ciphering, unpacking archives, and replacing output
+ * files.
+ *
+ * @module lib/streams
+ * @author Nathan Buchar
+ * @since 7.0.0
+ */
+
+'use strict';
+
+let _ = require('lodash');
+let stream = require('stream');
+
+let archive = require('./archive');
+let header = require('./header');
+
+/**
+ * Stream error codes.
+ *
+ * @type {Object}
+ * @readonly
+ */
+const Codes = {
+  TRAILER_TRUNCATED: 'ERR_TRAILER_TRUNCATED'
+};
+
+/**
+ * @class TrailerStream
+ * @classdesc A transform stream that passes through all but the last `length`
+ *   bytes that are written to it. Once the stream has ended, the withheld
+ *   bytes are emitted via the "trailer" event before the stream flushes.
+ * @extends stream.Transform
+ */
+class TrailerStream extends stream.Transform {
+
+  /**
+   * TrailerStream class constructor.
+   *
+   * @param {number} length
+   */
+  constructor(length) {
+    super();
+
+    /**
+     * @prop {number} _length
+     * @private
+     */
+    this._length = length;
+
+    /**
+     * @prop {Buffer} _trailer
+     * @private
+     */
+    this._trailer = Buffer.alloc(0);
+  }
+
+  /**
+   * Pushes everything except for the last `length` bytes seen so far.
+   *
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {Function} callback
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    let buf = Buffer.concat([this._trailer, chunk]);
+    let end = buf.length - this._length;
+
+    if (end > 0) {
+      this.push(buf.slice(0, end));
+      this._trailer = buf.slice(end);
+    } else {
+      this._trailer = buf;
+    }
+
+    callback();
+  }
+
+  /**
+   * Emits the withheld trailer, or an error if the stream ended before enough
+   * bytes were written to it.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _flush(callback) {
+    if (this._trailer.length < this._length) {
+      let err = new Error('The input ended before its trailer.');
+
+      err.code = Codes.TRAILER_TRUNCATED;
+
+      return callback(err);
+    }
+
+    this.emit('trailer', this._trailer);
+
+    callback();
+  }
+}
+
+/**
+ * @class EncryptStream
+ * @classdesc A transform stream that encrypts everything that is written to
+ *   it. The cipher is prepared lazily, before the first chunk is transformed,
+ *   by calling `init(callback)`. The callback must be given a cipher state
+ *   with the header to output first, an `update(chunk)` method, and a
+ *   `final()` method which returns the remaining output and the trailer.
+ * @extends stream.Transform
+ */
+class EncryptStream extends stream.Transform {
+
+  /**
+   * EncryptStream class constructor.
+   *
+   * @param {Function} init
+   */
+  constructor(init) {
+    super();
+
+    /**
+     * @prop {Function} _init
+     * @private
+     */
+    this._init = init;
+
+    /**
+     * @prop {Object} _state
+     * @private
+     */
+    this._state = null;
+  }
+
+  /**
+   * Prepares the cipher state and outputs the header, if it has not been
+   * prepared already. If it cannot be prepared, the stream is destroyed with
+   * the error instead, so that the error is only emitted once.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _prepare(callback) {
+    if (!_.isNull(this._state)) {
+      return callback(null);
+    }
+
+    this._init((err, state) => {
+      if (err) {
+        return this.destroy(err);
+      }
+
+      this._state = state;
+      this.push(state.head);
+
+      callback(null);
+    });
+  }
+
+  /**
+   * Encrypts the given chunk.
+   *
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {Function} callback
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    this._prepare(err => {
+      if (err) {
+        return callback(err);
+      }
+
+      try {
+        this.push(this._state.update(chunk));
+      } catch (err) {
+        return callback(err);
+      }
+
+      callback();
+    });
+  }
+
+  /**
+   * Outputs the remaining encrypted content and the trailer.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _flush(callback) {
+    this._prepare(err => {
+      if (err) {
+        return callback(err);
+      }
+
+      try {
+        this.push(this._state.final());
+      } catch (err) {
+        return callback(err);
+      }
+
+      callback();
+    });
+  }
+}
+
+/**
+ * @class DecryptStream
+ * @classdesc A transform stream that decrypts everything that is written to
+ *   it. Input is buffered until its header has been read, then the decipher is
+ *   prepared by calling `init(decoded, callback)`, where `decoded` is the
+ *   decoded header, or `null` if the input does not begin with one. The
+ *   callback must be given a decipher state with the `trailerLength`, an
+ *   `update(chunk)` method, and a `final(trailer)` method which verifies the
+ *   trailer and returns the remaining output.
+ * @extends stream.Transform
+ */
+class DecryptStream extends stream.Transform {
+
+  /**
+   * DecryptStream class constructor.
+   *
+   * @param {Function} init
+   */
+  constructor(init) {
+    super();
+
+    /**
+     * @prop {Function} _init
+     * @private
+     */
+    this._init = init;
+
+    /**
+     * @prop {Object} _state
+     * @private
+     */
+    this._state = null;
+
+    /**
+     * @prop {Buffer} _pending
+     * @description The input that has been withheld, either because the
+     *   header has not been read yet or because it may be part of the trailer.
+     * @private
+     */
+    this._pending = Buffer.alloc(0);
+  }
+
+  /**
+   * Reads the header from the pending input and prepares the decipher state
+   * once enough input is available. The header is only read before the input
+   * has ended if enough of it has been written. If the state cannot be
+   * prepared, the stream is destroyed with the error instead, so that the
+   * error is only emitted once.
+   *
+   * @param {boolean} ended
+   * @param {Function} callback
+   * @private
+   */
+  _prepare(ended, callback) {
+    let decoded = null;
+    let length;
+
+    if (!_.isNull(this._state)) {
+      return callback(null);
+    }
+
+    try {
+      if (!ended && this._pending.length < header.PRELUDE_LENGTH) {
+        return callback(null);
+      }
+
+      length = header.getLength(this._pending);
+
+      if (!_.isNull(length)) {
+        if (!ended && this._pending.length < length) {
+          return callback(null);
+        }
+
+        decoded = header.decode(this._pending);
+      }
+    } catch (err) {
+      return this.destroy(err);
+    }
+
+    this._init(decoded, (err, state) => {
+      if (err) {
+        return this.destroy(err);
+      }
+
+      if (!_.isNull(decoded)) {
+        this._pending = this._pending.slice(decoded.length);
+      }
+
+      this._state = state;
+
+      callback(null);
+    });
+  }
+
+  /**
+   * Deciphers all of the pending input except for the trailer.
+   *
+   * @private
+   */
+  _update() {
+    let end = this._pending.length - this._state.trailerLength;
+
+    if (end > 0) {
+      this.push(this._state.update(this._pending.slice(0, end)));
+      this._pending = this._pending.slice(end);
+    }
+  }
+
+  /**
+   * Decrypts the given chunk.
+   *
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {Function} callback
+   * @private
+   */
+  _transform(chunk, encoding, callback) {
+    this._pending = Buffer.concat([this._pending, chunk]);
+
+    this._prepare(false, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!_.isNull(this._state)) {
+        try {
+          this._update();
+        } catch (err) {
+          return callback(err);
+        }
+      }
+
+      callback();
+    });
+  }
+
+  /**
+   * Verifies the trailer and outputs the remaining decrypted content.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _flush(callback) {
+    this._prepare(true, err => {
+      if (err) {
+        return callback(err);
+      }
+
+      try {
+        this._update();
+
+        if (this._pending.length < this._state.trailerLength) {
+          let err = new Error('The input ended before its trailer.');
+
+          err.code = Codes.TRAILER_TRUNCATED;
+
+          throw err;
+        }
+
+        this.push(this._state.final(this._pending));
+      } catch (err) {
+        return callback(err);
+      }
+
+      callback();
+    });
+  }
+}
+
+/**
+ * @class UnpackStream
+ * @classdesc A writable stream that splits the archive written to it into the
+ *   contents of each of its files. Once the index has been read, each entry
+ *   is opened in turn by calling `open(entry, callback)`, which must be given
+ *   the writable stream that its contents are written to, or `null` to skip
+ *   it. Each of these streams is ended once its contents have been written,
+ *   and the stream finishes once every one of them has finished.
+ * @extends stream.Writable
+ */
+class UnpackStream extends stream.Writable {
+
+  /**
+   * UnpackStream class constructor.
+   *
+   * @param {Function} open
+   */
+  constructor(open) {
+    super();
+
+    /**
+     * @prop {Function} _open
+     * @private
+     */
+    this._open = open;
+
+    /**
+     * @prop {Buffer} _pending
+     * @description The input that has been withheld until the index can be
+     *   read.
+     * @private
+     */
+    this._pending = Buffer.alloc(0);
+
+    /**
+     * @prop {Array|null} _entries
+     * @private
+     */
+    this._entries = null;
+
+    /**
+     * @prop {number} _current
+     * @description The index of the entry whose contents are being written.
+     * @private
+     */
+    this._current = 0;
+
+    /**
+     * @prop {Stream|null|undefined} _output
+     * @description The stream that the contents of the current entry are
+     *   written to, or `undefined` if it has not been opened yet.
+     * @private
+     */
+    this._output = undefined;
+
+    /**
+     * @prop {number} _written
+     * @private
+     */
+    this._written = 0;
+  }
+
+  /**
+   * Reads the index from the pending input once enough of it is available,
+   * then writes the rest of the input to the entries.
+   *
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {Function} callback
+   * @private
+   */
+  _write(chunk, encoding, callback) {
+    if (_.isNull(this._entries)) {
+      this._pending = Buffer.concat([this._pending, chunk]);
+
+      try {
+        if (this._pending.length < archive.PRELUDE_LENGTH ||
+            this._pending.length < archive.getIndexLength(this._pending)) {
+          return callback();
+        }
+
+        let index = archive.decodeIndex(this._pending);
+
+        chunk = this._pending.slice(index.length);
+
+        this._entries = index.entries;
+        this._pending = null;
+      } catch (err) {
+        return callback(err);
+      }
+    }
+
+    this._consume(chunk, callback);
+  }
+
+  /**
+   * Fails if the input ended before the index or the contents of every entry.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _final(callback) {
+    if (_.isNull(this._entries)) {
+      try {
+        archive.decodeIndex(this._pending);
+      } catch (err) {
+        return callback(err);
+      }
+    }
+
+    // Empty entries at the end of the archive are only opened once the input
+    // has ended.
+    this._consume(Buffer.alloc(0), err => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (this._current < this._entries.length) {
+        err = new Error('The archive is truncated.');
+        err.code = archive.Codes.TRUNCATED;
+
+        return callback(err);
+      }
+
+      callback();
+    });
+  }
+
+  /**
+   * Writes the given chunk to the current entry, opening it first if need be.
+   * Whatever follows the contents of the current entry is written to the
+   * next. Anything following the last entry is ignored.
+   *
+   * @param {Buffer} chunk
+   * @param {Function} callback
+   * @private
+   */
+  _consume(chunk, callback) {
+    let entry = this._entries[this._current];
+    let length;
+
+    if (_.isUndefined(entry)) {
+      return callback();
+    }
+
+    if (_.isUndefined(this._output)) {
+      return this._openEntry(entry, err => {
+        if (err) {
+          return callback(err);
+        }
+
+        this._consume(chunk, callback);
+      });
+    }
+
+    length = Math.min(entry.size - this._written, chunk.length);
+    this._written += length;
+
+    this._writeEntry(chunk.slice(0, length), () => {
+      if (this._written < entry.size) {
+        return callback();
+      }
+
+      this._endEntry(() => {
+        this._current++;
+        this._output = undefined;
+        this._written = 0;
+
+        this._consume(chunk.slice(length), callback);
+      });
+    });
+  }
+
+  /**
+   * Opens the stream for the given entry. Errors of the stream destroy this
+   * stream.
+   *
+   * @param {Object} entry
+   * @param {Function} callback
+   * @private
+   */
+  _openEntry(entry, callback) {
+    this._open(entry, (err, output) => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (!_.isNull(output)) {
+        output.on('error', err => {
+          this.destroy(err);
+        });
+      }
+
+      this._output = output;
+
+      callback();
+    });
+  }
+
+  /**
+   * Writes the given contents to the current entry, waiting for it to drain
+   * if need be.
+   *
+   * @param {Buffer} buf
+   * @param {Function} callback
+   * @private
+   */
+  _writeEntry(buf, callback) {
+    if (_.isNull(this._output) || buf.length === 0 ||
+        this._output.write(buf)) {
+      return callback();
+    }
+
+    this._output.once('drain', callback);
+  }
+
+  /**
+   * Ends the current entry and waits for it to finish.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _endEntry(callback) {
+    if (_.isNull(this._output)) {
+      return callback();
+    }
+
+    this._output.once('finish', callback);
+    this._output.end();
+  }
+}
+
+/**
+ * @class OutputStream
+ * @classdesc A writable stream that replaces a file atomically. The target is
+ *   opened lazily, before the first chunk is written, by calling
+ *   `open(callback)`. The callback must be given a target with the
+ *   `writeStream` that the output is written to, a `commit(callback)` method
+ *   which moves the output into place once it has been written, and a
+ *   `discard(callback)` method which removes it. The stream only finishes once
+ *   the output has been committed, and discards the output if it is destroyed
+ *   before then.
+ * @extends stream.Writable
+ */
+class OutputStream extends stream.Writable {
+
+  /**
+   * OutputStream class constructor.
+   *
+   * @param {Function} open
+   */
+  constructor(open) {
+    super();
+
+    /**
+     * @prop {Function} _open
+     * @private
+     */
+    this._open = open;
+
+    /**
+     * @prop {Object|null} _target
+     * @description The target that the output is written to, or `null` if it
+     *   has not been opened yet or has already been committed.
+     * @private
+     */
+    this._target = null;
+
+    /**
+     * @prop {boolean} _opened
+     * @private
+     */
+    this._opened = false;
+  }
+
+  /**
+   * Opens the target, if it has not been opened already. Errors of its write
+   * stream destroy this stream.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _prepare(callback) {
+    if (this._opened) {
+      return callback(null);
+    }
+
+    this._open((err, target) => {
+      if (err) {
+        return callback(err);
+      }
+
+      this._opened = true;
+      this._target = target;
+
+      // The target may have been opened after the stream was destroyed.
+      if (this.destroyed) {
+        return this._destroy(null, _.noop);
+      }
+
+      target.writeStream.on('error', err => {
+        this.destroy(err);
+      });
+
+      callback(null);
+    });
+  }
+
+  /**
+   * Writes the given chunk to the target, waiting for it to drain if need be.
+   *
+   * @param {Buffer} chunk
+   * @param {string} encoding
+   * @param {Function} callback
+   * @private
+   */
+  _write(chunk, encoding, callback) {
+    this._prepare(err => {
+      if (err) {
+        return callback(err);
+      }
+
+      if (this._target.writeStream.write(chunk)) {
+        return callback();
+      }
+
+      this._target.writeStream.once('drain', callback);
+    });
+  }
+
+  /**
+   * Ends the write stream of the target, then commits the output.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _final(callback) {
+    this._prepare(err => {
+      let target = this._target;
+
+      if (err) {
+        return callback(err);
+      }
+
+      target.writeStream.end(() => {
+        this._target = null;
+        target.commit(callback);
+      });
+    });
+  }
+
+  /**
+   * Discards the output if it has not been committed.
+   *
+   * @param {Error|null} err
+   * @param {Function} callback
+   * @private
+   */
+  _destroy(err, callback) {
+    let target = this._target;
+
+    if (_.isNull(target)) {
+      return callback(err);
+    }
+
+    this._target = null;
+
+    target.discard(() => {
+      callback(err);
+    });
+  }
+}
+
+module.exports = {
+  Codes,
+  TrailerStream,
+  EncryptStream,
+  DecryptStream,
+  UnpackStream,
+  OutputStream
+};
@@ -0,0 +1,110 @@
+/**
+ * Estimates the strength of passwords. The estimate is the number of bits of
+ * entropy that a password would have if each of its characters were chosen at
+ * random from the character classes that it uses. Characters that repeat the
+ * previous character, or that continue a run such as "abc" or "321", are not
+ * counted, since they add little to the strength of the password.
+ *
+ * This is only a rough estimate. A password made of dictionary words is
+ * weaker than its estimate suggests.
+ *
+ * @module lib/strength
+ * @author Nathan Buchar
+ * @since 7.0.0
+ */
+
+'use strict';
+
+let _ = require('lodash');
+
+/**
+ * @const {Array} CHARACTER_CLASSES
+ * @description The character classes that a password may use, and the number
+ *   of characters within each. The last class holds every character that is
+ *   not printable ASCII.
+ */
+const CHARACTER_CLASSES = [
+  { pattern: /[a-z]/, size: 26 },
+  { pattern: /[A-Z]/, size: 26 },
+  { pattern: /[0-9]/, size: 10 },
+  { pattern: /[ -\/:-@\[-`{-~]/, size: 33 },
+  { pattern: /[^ -~]/, size: 100 }
+];
+
+/**
+ * @const {Array} STRENGTHS
+ * @description The strength of a password, by the minimum number of bits of
+ *   entropy that it must have.
+ */
+const STRENGTHS = [
+  { entropy: 128, name: 'very strong' },
+  { entropy: 60, name: 'strong' },
+  { entropy: 36, name: 'reasonable' },
+  { entropy: 28, name: 'weak' },
+  { entropy: 0, name: 'very weak' }
+];
+
+/**
+ * Counts the characters of the given password that add to its strength.
+ *
+ * @param {Array} chars
+ * @returns {number}
+ */
+function countEffectiveCharacters(chars) {
+  let count = 0;
+  let delta;
+
+  _.each(chars, (char, i) => {
+    let previous = delta;
+
+    if (i > 0) {
+      delta = char.codePointAt(0) - chars[i - 1].codePointAt(0);
+
+      if (delta === 0 || (Math.abs(delta) === 1 && delta === previous)) {
+        return;
+      }
+    }
+
+    count++;
+  });
+
+  return count;
+}
+
+/**
+ * Estimates the entropy of the given password, in bits.
+ *
+ * @param {string} password
+ * @returns {number}
+ */
+function estimateEntropy(password) {
+  let chars = Array.from(password);
+  let pool = _.sumBy(CHARACTER_CLASSES, charClass => {
+    return _.some(chars, char => {
+      return charClass.pattern.test(char);
+    }) ? charClass.size : 0;
+  });
+
+  if (!pool) {
+    return 0;
+  }
+
+  return Math.floor(countEffectiveCharacters(chars) * Math.log2(pool));
+}
+
+/**
+ * Describes the strength of a password with the given entropy.
+ *
+ * @param {number} entropy
+ * @returns {string}
+ */
+function describeStrength(entropy) {
+  return _.find(STRENGTHS, strength => {
+    return entropy >= strength.entropy;
+  }).name;
+}
+
+module.exports = {
+  estimateEntropy,
+  describeStrength
+};
@@ -10,12 +10,15 @@
 let _ = require('lodash');
 let chai = require('chai');
 let crypto = require('crypto');
+let EventEmitter = require('events');
 let fs = require('fs-extra');
 let path = require('path');
 let randomstring = require('randomstring');
 let tmp = require('tmp');
 
 let nodecipher = require('../');
+let Agent = require('../lib/agent').Agent;
+let header = require('../lib/header');
 
 /**
  * Chai assertion shorthands.
@@ -42,6 +45,82 @@ function makeRandomFileSync() {
   });
 }
 
+/**
+ * Encrypts the source file into the destination file the way that versions of
+ * node-cipher prior to the header format did, using the default options.
+ *
+ * @param {string} src
+ * @param {string} dest
+ * @param {string} password
+ */
+function makeLegacyFileSync(src, dest, password) {
+  let defaults = nodecipher.defaults;
+  let key = crypto.pbkdf2Sync(
+    password,
+    defaults.salt,
+    defaults.iterations,
+    defaults.keylen,
+    defaults.digest
+  );
+  let cipher = crypto.createCipher(defaults.algorithm, key.toString('hex'));
+
+  fs.writeFileSync(dest, Buffer.concat([
+    cipher.update(fs.readFileSync(src)),
+    cipher.final()
+  ]));
+}
+
+/**
+ * Lists the temporary output files that have been left within our `test/tmp`
+ * directory.
+ *
+ * @returns {Array}
+ */
+function listTempOutputSync() {
+  return _.filter(fs.readdirSync('test/.tmp'), function (file) {
+    return /^\..*\.tmp$/.test(file);
+  });
+}
+
+/**
+ * Creates a directory within our `test/tmp` directory containing a tree of
+ * files, each of which contains the random content.
+ *
+ * @returns {string} dir
+ */
+function makeRandomTreeSync() {
+  let dir = tmp.dirSync({
+    dir: 'test/.tmp',
+    prefix: 'nodecipher-'
+  }).name;
+
+  _.each(['a.json', 'b.txt', 'c/d.json', 'c/e/f.txt'], function (file) {
+    fs.outputFileSync(path.join(dir, file), content);
+  });
+
+  return dir;
+}
+
+/**
+ * Lists the paths of all files within the given directory, relative to it.
+ *
+ * @param {string} dir
+ * @returns {Array}
+ */
+function listTreeSync(dir) {
+  return _.flatMap(fs.readdirSync(dir), function (name) {
+    let file = path.join(dir, name);
+
+    if (fs.statSync(file).isDirectory()) {
+      return _.map(listTreeSync(file), function (child) {
+        return name + '/' + child;
+      });
+    }
+
+    return [name];
+  }).sort();
+}
+
 /**
  * Creates the `tmp` temporary directory sandbox for testing.
  */
@@ -290,6 +369,7 @@ describe('Options', function () {
    * Test specs for options.algorithm.
    *
    * - should fail if not valid
+   * - should fail if in CCM mode
    * - should fail if not a string
    */
   describe('algorithm', function () {
@@ -307,6 +387,19 @@ describe('Options', function () {
       });
     });
 
+    it('should fail if in CCM mode', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'aes-128-ccm'
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.toString()).to.contain('"aes-128-ccm" is not supported');
+        done();
+      });
+    });
+
     it('should fail if not a string', function (done) {
       nodecipher.encrypt({
         input: files[0].name,
@@ -320,6 +413,113 @@ describe('Options', function () {
       });
     });
   });
+
+  /**
+   * Test specs for options.kdf.
+   *
+   * - should fail if not valid
+   */
+  describe('kdf', function () {
+
+    it('should fail if not valid', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        kdf: 'bcrypt'
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.BAD_KDF);
+        expect(err.toString()).to.contain('"bcrypt" is not a valid key derivation function.');
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for options.include.
+   *
+   * - should fail if not a string or an array of strings
+   */
+  describe('include', function () {
+
+    it('should fail if not a string or an array of strings', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        include: [1]
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.toString()).to.contain('"include" must be a string or an array of strings.');
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for options.exclude.
+   *
+   * - should fail if not a string or an array of strings
+   */
+  describe('exclude', function () {
+
+    it('should fail if not a string or an array of strings', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        exclude: {}
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.toString()).to.contain('"exclude" must be a string or an array of strings.');
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for options.extension.
+   *
+   * - should fail if not a string
+   */
+  describe('extension', function () {
+
+    it('should fail if not a string', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        extension: 1
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.toString()).to.contain('"extension" must be a string.');
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for options.cost.
+   *
+   * - should fail if not a power of two
+   */
+  describe('cost', function () {
+
+    it('should fail if not a power of two', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        kdf: 'scrypt',
+        cost: 1000
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.toString()).to.contain('"cost" must be a power of two greater than one.');
+        done();
+      });
+    });
+  });
 });
 
 describe('Methods', function () {
@@ -334,6 +534,17 @@ describe('Methods', function () {
    * - should apply a null scope to the callback if none is specified
    * - should apply the scope to the callback if specified
    * - should fail if the input does not exist
+   * - should return a Promise if no callback is specified
+   * - should reject the Promise with a named error
+   * - should return an operation if a callback is specified
+   * - should emit progress events
+   * - should emit progress events on the Promise
+   * - should fail if the signal has already been aborted
+   * - should leave the output untouched if aborted
+   * - should succeed encrypting a file in place
+   * - should encrypt each file within a directory
+   * - should only encrypt the files that match the include and exclude globs
+   * - should emit progress events for a directory
    */
   describe('encrypt()', function () {
 
@@ -417,6 +628,207 @@ describe('Methods', function () {
         done();
       });
     });
+
+    it('should return a Promise if no callback is specified', function () {
+      let promise = nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      expect(promise).to.be.an.instanceof(Promise);
+
+      return promise.then(function (opts) {
+        expect(opts.input).to.equal(files[0].name);
+        expect(opts.output).to.equal(files[1].name);
+      });
+    });
+
+    it('should reject the Promise with a named error', function () {
+      return nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'foobar'
+      }).then(function () {
+        throw new Error('Expected encrypt() to reject.');
+      }, function (err) {
+        expect(err.name).to.equal(nodecipher.errors.BAD_ALGORITHM);
+      });
+    });
+
+    it('should return an operation if a callback is specified', function (done) {
+      let operation = nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        done();
+      });
+
+      expect(operation).to.be.an.instanceof(EventEmitter);
+      expect(operation).to.not.be.an.instanceof(Promise);
+    });
+
+    it('should emit progress events', function (done) {
+      let events = [];
+
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        expect(events).to.have.length.above(0);
+        expect(_.last(events).processed).to.equal(content.length);
+        expect(_.last(events).total).to.equal(content.length);
+        done();
+      }).on('progress', function (progress) {
+        events.push(progress);
+      });
+    });
+
+    it('should emit progress events on the Promise', function () {
+      let events = [];
+
+      return nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      }).on('progress', function (progress) {
+        events.push(progress);
+      }).then(function () {
+        expect(_.last(events).processed).to.equal(content.length);
+      });
+    });
+
+    it('should fail if the signal has already been aborted', function (done) {
+      let signal = new EventEmitter();
+
+      signal.aborted = true;
+
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        signal: signal
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.ABORTED);
+        expect(fs.existsSync(files[1].name)).to.be.true;
+        done();
+      });
+    });
+
+    it('should leave the output untouched if aborted', function (done) {
+      let signal = new EventEmitter();
+
+      signal.aborted = false;
+      fs.writeFileSync(files[1].name, 'existing');
+
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        signal: signal
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.ABORTED);
+        expect(fs.readFileSync(files[1].name, 'utf8')).to.equal('existing');
+        expect(listTempOutputSync()).to.have.length(0);
+        done();
+      }).on('progress', function () {
+        signal.aborted = true;
+        signal.emit('abort');
+      });
+    });
+
+    it('should succeed encrypting a file in place', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[0].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+
+        nodecipher.decryptSync({
+          input: files[0].name,
+          output: files[1].name,
+          password: 'alakazam'
+        });
+
+        expect(fs.readFileSync(files[1].name, 'utf8')).to.equal(content);
+        expect(listTempOutputSync()).to.have.length(0);
+        done();
+      });
+    });
+
+    it('should encrypt each file within a directory', function (done) {
+      let input = makeRandomTreeSync();
+      let output = input + '-out';
+
+      nodecipher.encrypt({
+        input,
+        output,
+        password: 'alakazam',
+        extension: '.enc'
+      }, function (err, opts) {
+        should.not.exist(err);
+        should.exist(opts);
+        expect(listTreeSync(output)).to.deep.equal([
+          'a.json.enc',
+          'b.txt.enc',
+          'c/d.json.enc',
+          'c/e/f.txt.enc'
+        ]);
+
+        nodecipher.decryptSync({
+          input: path.join(output, 'c/e/f.txt.enc'),
+          output: files[1].name,
+          password: 'alakazam'
+        });
+
+        expect(fs.readFileSync(files[1].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should only encrypt the files that match the include and exclude globs', function (done) {
+      let input = makeRandomTreeSync();
+      let output = input + '-out';
+
+      nodecipher.encrypt({
+        input,
+        output,
+        password: 'alakazam',
+        include: '*.json',
+        exclude: ['c/**']
+      }, function (err) {
+        should.not.exist(err);
+        expect(listTreeSync(output)).to.deep.equal(['a.json']);
+        done();
+      });
+    });
+
+    it('should emit progress events for a directory', function (done) {
+      let input = makeRandomTreeSync();
+      let events = [];
+
+      nodecipher.encrypt({
+        input,
+        output: input + '-out',
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        expect(events).to.have.length.above(0);
+        expect(_.last(events).total).to.equal(content.length * 4);
+        expect(_.last(events).processed).to.equal(content.length * 4);
+        done();
+      }).on('progress', function (progress) {
+        events.push(progress);
+      });
+    });
   });
 
   /**
@@ -424,7 +836,11 @@ describe('Methods', function () {
    *
    * - should succeed using the default algorithm
    * - should succeed using a custom algorithm
+   * - should prefix the output with the header
+   * - should produce a different output each time
    * - should fail if the input does not exist
+   * - should encrypt each file within a directory
+   * - should not encrypt the output directory into itself
    */
   describe('encryptSync()', function () {
 
@@ -453,25 +869,56 @@ describe('Methods', function () {
       }
     });
 
-    it('should fail if the input does not exist', function () {
-      try {
-        nodecipher.encryptSync({
-          input: 'notarealfile.txt',
-          output: files[1].name,
-          password: 'alakazam'
-        });
-      } catch (err) {
-        should.exist(err);
-      }
-    });
+    it('should prefix the output with the header', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
 
-    it('should return the final options Object', function () {
-      try {
-        let opts = nodecipher.encryptSync({
-          input: files[0].name,
-          output: files[1].name,
-          password: 'alakazam'
-        });
+      let data = fs.readFileSync(files[1].name);
+
+      expect(data.slice(0, 10).toString()).to.equal('NODECIPHER');
+    });
+
+    it('should produce a different output each time', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[2].name,
+        password: 'alakazam'
+      });
+
+      let first = fs.readFileSync(files[1].name);
+      let second = fs.readFileSync(files[2].name);
+
+      expect(first.equals(second)).to.equal(false);
+    });
+
+    it('should fail if the input does not exist', function () {
+      try {
+        nodecipher.encryptSync({
+          input: 'notarealfile.txt',
+          output: files[1].name,
+          password: 'alakazam'
+        });
+      } catch (err) {
+        should.exist(err);
+      }
+    });
+
+    it('should return the final options Object', function () {
+      try {
+        let opts = nodecipher.encryptSync({
+          input: files[0].name,
+          output: files[1].name,
+          password: 'alakazam'
+        });
 
         should.exist(opts);
         expect(opts).to.be.an('object');
@@ -483,6 +930,48 @@ describe('Methods', function () {
         should.not.exist(err);
       }
     });
+
+    it('should encrypt each file within a directory', function () {
+      let input = makeRandomTreeSync();
+      let output = input + '-out';
+
+      nodecipher.encryptSync({
+        input,
+        output,
+        password: 'alakazam',
+        extension: '.enc'
+      });
+
+      expect(listTreeSync(output)).to.deep.equal([
+        'a.json.enc',
+        'b.txt.enc',
+        'c/d.json.enc',
+        'c/e/f.txt.enc'
+      ]);
+    });
+
+    it('should not encrypt the output directory into itself', function () {
+      let input = makeRandomTreeSync();
+
+      nodecipher.encryptSync({
+        input,
+        output: path.join(input, 'out'),
+        password: 'alakazam'
+      });
+
+      nodecipher.encryptSync({
+        input,
+        output: path.join(input, 'out'),
+        password: 'alakazam'
+      });
+
+      expect(listTreeSync(path.join(input, 'out'))).to.deep.equal([
+        'a.json',
+        'b.txt',
+        'c/d.json',
+        'c/e/f.txt'
+      ]);
+    });
   });
 
   /**
@@ -498,8 +987,28 @@ describe('Methods', function () {
    * - should apply a null scope to the callback if none is specified
    * - should apply the scope to the callback if specified
    * - should fail when using the wrong password
-   * - should fail when using the wrong algorithm
+   * - should prefer the options recorded within the header
+   * - should not validate the options recorded within the header
+   * - should validate the options used for a file without a header
+   * - should succeed decrypting a file without a header
+   * - should succeed using scrypt
+   * - should succeed using an authenticated algorithm
+   * - should fail if an authenticated file has been tampered with
+   * - should fail without writing if the file has been tampered with
+   * - should fail if the header version is not supported
+   * - should fail if the file has been truncated
+   * - should fail if the header has been truncated
    * - should fail if the input does not exist
+   * - should keep the code of a filesystem error
+   * - should return a Promise if no callback is specified
+   * - should reject the Promise with a named error
+   * - should emit progress events while verifying and deciphering
+   * - should keep the existing output if aborted while verifying
+   * - should leave the output untouched if the authentication tag is invalid
+   * - should succeed decrypting a file in place
+   * - should keep the mode of an existing output
+   * - should create a new output that only its owner may access
+   * - should decrypt each file within a directory
    */
   describe('decrypt()', function () {
 
@@ -733,219 +1242,459 @@ describe('Methods', function () {
       });
     });
 
-    it('should fail when using the wrong algorithm', function (done) {
+    it('should prefer the options recorded within the header', function (done) {
       nodecipher.decrypt({
         input: files[1].name,
         output: files[2].name,
         password: 'alakazam',
-        algorithm: 'aes-128-cbc'
+        algorithm: 'aes-128-cbc',
+        salt: 'abracadabra',
+        iterations: 1001
       }, function (err, opts) {
-        should.exist(err);
+        should.not.exist(err);
+
+        fs.readFile(files[2].name, 'utf8', function (err, data) {
+          should.not.exist(err);
+          expect(data).to.equal(content);
+          done();
+        });
+      });
+    });
+
+    it('should not validate the options recorded within the header', function (done) {
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam',
+        algorithm: 'not-an-algorithm',
+        digest: 'not-a-digest'
+      }, function (err) {
+        should.not.exist(err);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
         done();
       });
     });
 
-    it('should fail if the input does not exist', function (done) {
+    it('should validate the options used for a file without a header', function (done) {
+      makeLegacyFileSync(files[0].name, files[1].name, 'alakazam');
+
       nodecipher.decrypt({
-        input: 'notarealfile.txt',
+        input: files[1].name,
         output: files[2].name,
-        password: 'alakazam'
-      }, function (err, opts) {
-        should.exist(err);
+        password: 'alakazam',
+        algorithm: 'not-an-algorithm'
+      }, function (err) {
+        expect(err).to.be.an.instanceof(nodecipher.ValidationError);
+        expect(err.name).to.equal(nodecipher.errors.BAD_ALGORITHM);
         done();
       });
     });
 
-    it('should return the final options Object as part of the callback', function (done) {
+    it('should succeed decrypting a file without a header', function (done) {
+      makeLegacyFileSync(files[0].name, files[1].name, 'alakazam');
+
       nodecipher.decrypt({
         input: files[1].name,
         output: files[2].name,
         password: 'alakazam'
       }, function (err, opts) {
         should.not.exist(err);
-        should.exist(opts);
-        expect(opts).to.be.an('object');
-        expect(opts.input).to.equal(files[1].name);
-        expect(opts.output).to.equal(files[2].name);
-        expect(opts.password).to.equal('alakazam');
-        expect(opts.salt).to.equal(nodecipher.config.salt);
-        done();
+
+        fs.readFile(files[2].name, 'utf8', function (err, data) {
+          should.not.exist(err);
+          expect(data).to.equal(content);
+          done();
+        });
       });
     });
-  });
-
-  /**
-   * Test specs for decryptSync().
-   *
-   * - should succeed using the default algorithm
-   * - should succeed using a custom algorithm
-   * - should succeed using a custom salt
-   * - should succeed using custom key iterations
-   * - should succeed using a custom keylen
-   * - should succeed using a custom digest
-   * - should fail when using the wrong password
-   * - should fail when using the wrong algorithm
-   * - should fail if the input does not exist
-   */
-  describe('decryptSync()', function () {
 
-    /**
-     * Creates the encrypted file that we will test our decrypt methods on.
-     */
-    beforeEach('create the encrypted file', function () {
-      nodecipher.encryptSync({
+    it('should succeed using scrypt', function (done) {
+      nodecipher.encrypt({
         input: files[0].name,
         output: files[1].name,
-        password: 'alakazam'
-      });
-    });
+        password: 'alakazam',
+        kdf: 'scrypt',
+        cost: 1024
+      }, function (err, opts) {
+        should.not.exist(err);
 
-    it('should succeed using the default algorithm', function (done) {
-      try {
-        nodecipher.decryptSync({
+        nodecipher.decrypt({
           input: files[1].name,
           output: files[2].name,
           password: 'alakazam'
-        });
-      } catch (err) {
-        should.not.exist(err);
-      }
+        }, function (err, opts) {
+          should.not.exist(err);
 
-      fs.readFile(files[2].name, 'utf8', function (err, data) {
-        should.not.exist(err);
-        expect(data).to.equal(content);
-        done();
+          fs.readFile(files[2].name, 'utf8', function (err, data) {
+            should.not.exist(err);
+            expect(data).to.equal(content);
+            done();
+          });
+        });
       });
     });
 
-    it('should succeed using a custom algorithm', function (done) {
-
-      // Overwrite the encrypted file using a custom algorithm.
-      nodecipher.encryptSync({
+    it('should succeed using an authenticated algorithm', function (done) {
+      nodecipher.encrypt({
         input: files[0].name,
         output: files[1].name,
         password: 'alakazam',
-        algorithm: 'aes-128-cbc'
-      });
+        algorithm: 'aes-256-gcm'
+      }, function (err, opts) {
+        should.not.exist(err);
 
-      try {
-        nodecipher.decryptSync({
+        nodecipher.decrypt({
           input: files[1].name,
           output: files[2].name,
-          password: 'alakazam',
-          algorithm: 'aes-128-cbc'
-        });
-      } catch (err) {
-        should.not.exist(err);
-      }
+          password: 'alakazam'
+        }, function (err, opts) {
+          should.not.exist(err);
 
-      fs.readFile(files[2].name, 'utf8', function (err, data) {
-        should.not.exist(err);
-        expect(data).to.equal(content);
-        done();
+          fs.readFile(files[2].name, 'utf8', function (err, data) {
+            should.not.exist(err);
+            expect(data).to.equal(content);
+            done();
+          });
+        });
       });
     });
 
-    it('should succeed using a custom salt', function (done) {
-
-      // Overwrite the encrypted file using a custom algorithm.
+    it('should fail if an authenticated file has been tampered with', function (done) {
       nodecipher.encryptSync({
         input: files[0].name,
         output: files[1].name,
         password: 'alakazam',
-        salt: 'abracadabra'
+        algorithm: 'chacha20-poly1305'
       });
 
-      try {
-        nodecipher.decryptSync({
-          input: files[1].name,
-          output: files[2].name,
-          password: 'alakazam',
-          salt: 'abracadabra'
-        });
-      } catch (err) {
-        should.not.exist(err);
-      }
+      let data = fs.readFileSync(files[1].name);
 
-      fs.readFile(files[2].name, 'utf8', function (err, data) {
-        should.not.exist(err);
-        expect(data).to.equal(content);
+      data[data.length - 20] ^= 1;
+      fs.writeFileSync(files[1].name, data);
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
         done();
       });
     });
 
-    it('should succeed using custom key iterations', function (done) {
-
-      // Overwrite the encrypted file using a custom algorithm.
-      nodecipher.encryptSync({
-        input: files[0].name,
-        output: files[1].name,
-        password: 'alakazam',
-        iterations: 1001
-      });
+    it('should fail without writing if the file has been tampered with', function (done) {
+      let data = fs.readFileSync(files[1].name);
 
-      try {
-        nodecipher.decryptSync({
-          input: files[1].name,
-          output: files[2].name,
-          password: 'alakazam',
-          iterations: 1001
-        });
-      } catch (err) {
-        should.not.exist(err);
-      }
+      data[data.length - 30] ^= 1;
+      fs.writeFileSync(files[1].name, data);
 
-      fs.readFile(files[2].name, 'utf8', function (err, data) {
-        should.not.exist(err);
-        expect(data).to.equal(content);
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('');
         done();
       });
     });
 
-    it('should succeed using a custom keylen', function (done) {
+    it('should fail if the header version is not supported', function (done) {
+      let data = fs.readFileSync(files[1].name);
 
-      // Overwrite the encrypted file using a custom algorithm.
-      nodecipher.encryptSync({
-        input: files[0].name,
-        output: files[1].name,
-        password: 'alakazam',
-        keylen: 256
+      data[10] = 0xff;
+      fs.writeFileSync(files[1].name, data);
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.UNSUPPORTED_FORMAT);
+        done();
       });
+    });
 
-      try {
-        nodecipher.decryptSync({
-          input: files[1].name,
-          output: files[2].name,
-          password: 'alakazam',
-          keylen: 256
-        });
-      } catch (err) {
-        should.not.exist(err);
-      }
+    it('should fail if the file has been truncated', function (done) {
+      let data = fs.readFileSync(files[1].name);
 
-      fs.readFile(files[2].name, 'utf8', function (err, data) {
-        should.not.exist(err);
-        expect(data).to.equal(content);
+      fs.writeFileSync(files[1].name, data.slice(0, data.length - 8));
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.code).to.equal(nodecipher.codes.CORRUPT_DATA);
         done();
       });
     });
 
-    it('should succeed using a custom digest', function (done) {
+    it('should fail if the header has been truncated', function (done) {
+      let data = fs.readFileSync(files[1].name);
 
-      // Overwrite the encrypted file using a custom algorithm.
-      nodecipher.encryptSync({
-        input: files[0].name,
-        output: files[1].name,
-        password: 'alakazam',
-        digest: 'sha256'
-      });
+      fs.writeFileSync(files[1].name, data.slice(0, 20));
 
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err, opts) {
+        should.exist(err);
+        expect(err.code).to.equal(nodecipher.codes.CORRUPT_DATA);
+        done();
+      });
+    });
+
+    it('should fail if the input does not exist', function (done) {
+      nodecipher.decrypt({
+        input: 'notarealfile.txt',
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err, opts) {
+        should.exist(err);
+        done();
+      });
+    });
+
+    it('should keep the code of a filesystem error', function (done) {
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: path.join(files[2].name, 'output.txt'),
+        password: 'alakazam'
+      }, function (err) {
+        should.exist(err);
+        should.exist(err.syscall);
+        expect(err.code).to.not.equal(nodecipher.codes.BAD_DECRYPT);
+        done();
+      });
+    });
+
+    it('should return the final options Object as part of the callback', function (done) {
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err, opts) {
+        should.not.exist(err);
+        should.exist(opts);
+        expect(opts).to.be.an('object');
+        expect(opts.input).to.equal(files[1].name);
+        expect(opts.output).to.equal(files[2].name);
+        expect(opts.password).to.equal('alakazam');
+        expect(opts.salt).to.equal(nodecipher.config.salt);
+        done();
+      });
+    });
+
+    it('should return a Promise if no callback is specified', function () {
+      return nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }).then(function (opts) {
+        expect(opts.input).to.equal(files[1].name);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+      });
+    });
+
+    it('should reject the Promise with a named error', function () {
+      return nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'wrongpass'
+      }).then(function () {
+        throw new Error('Expected decrypt() to reject.');
+      }, function (err) {
+        expect(err.name).to.equal(nodecipher.errors.WRONG_PASSWORD);
+      });
+    });
+
+    it('should emit progress events while verifying and deciphering', function (done) {
+      let events = [];
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        expect(events).to.have.length(2);
+        expect(events[1].processed).to.equal(events[1].total);
+        done();
+      }).on('progress', function (progress) {
+        events.push(progress);
+      });
+    });
+
+    it('should keep the existing output if aborted while verifying', function (done) {
+      let signal = new EventEmitter();
+
+      signal.aborted = false;
+      fs.writeFileSync(files[2].name, 'existing');
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam',
+        signal: signal
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.ABORTED);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('existing');
+        done();
+      }).on('progress', function () {
+        signal.aborted = true;
+        signal.emit('abort');
+      });
+    });
+
+    it('should leave the output untouched if the authentication tag is invalid', function (done) {
+      let data;
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'aes-256-gcm'
+      });
+
+      data = fs.readFileSync(files[1].name);
+      data[data.length - 1] ^= 0xff;
+      fs.writeFileSync(files[1].name, data);
+      fs.writeFileSync(files[2].name, 'existing');
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('existing');
+        expect(listTempOutputSync()).to.have.length(0);
+        done();
+      });
+    });
+
+    it('should succeed decrypting a file in place', function (done) {
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[1].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        expect(fs.readFileSync(files[1].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should keep the mode of an existing output', function (done) {
+      fs.chmodSync(files[2].name, 0o640);
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        expect(fs.statSync(files[2].name).mode & 0o777).to.equal(0o640);
+        done();
+      });
+    });
+
+    it('should create a new output that only its owner may access', function (done) {
+      let output = path.join(makeRandomTreeSync(), 'new.txt');
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        expect(fs.statSync(output).mode & 0o777).to.equal(0o600);
+        done();
+      });
+    });
+
+    it('should decrypt each file within a directory', function (done) {
+      let input = makeRandomTreeSync();
+
+      nodecipher.encryptSync({
+        input,
+        output: input + '-enc',
+        password: 'alakazam',
+        extension: '.enc'
+      });
+
+      // Files without the extension are skipped when decrypting.
+      fs.writeFileSync(path.join(input + '-enc', 'README'), content);
+
+      nodecipher.decrypt({
+        input: input + '-enc',
+        output: input + '-dec',
+        password: 'alakazam',
+        extension: '.enc'
+      }, function (err) {
+        should.not.exist(err);
+        expect(listTreeSync(input + '-dec')).to.deep.equal(listTreeSync(input));
+        expect(fs.readFileSync(path.join(input + '-dec', 'c/d.json'), 'utf8'))
+          .to.equal(content);
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for decryptSync().
+   *
+   * - should succeed using the default algorithm
+   * - should succeed using a custom algorithm
+   * - should succeed using a custom salt
+   * - should succeed using custom key iterations
+   * - should succeed using a custom keylen
+   * - should succeed using a custom digest
+   * - should fail when using the wrong password
+   * - should prefer the options recorded within the header
+   * - should not validate the options recorded within the header
+   * - should validate the options used for a file without a header
+   * - should succeed decrypting a file without a header
+   * - should succeed using scrypt
+   * - should succeed using an authenticated algorithm
+   * - should fail if an authenticated file has been tampered with
+   * - should fail without writing if the file has been tampered with
+   * - should fail without writing if the MAC has been removed
+   * - should fail if an authenticated algorithm has been replaced
+   * - should fail if the input does not exist
+   * - should return the final options Object
+   * - should succeed decrypting a file in place
+   * - should keep the mode of an existing output
+   * - should create a new output that only its owner may access
+   * - should decrypt each file within a directory
+   */
+  describe('decryptSync()', function () {
+
+    /**
+     * Creates the encrypted file that we will test our decrypt methods on.
+     */
+    beforeEach('create the encrypted file', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+    });
+
+    it('should succeed using the default algorithm', function (done) {
       try {
         nodecipher.decryptSync({
           input: files[1].name,
           output: files[2].name,
-          password: 'alakazam',
-          digest: 'sha256'
+          password: 'alakazam'
         });
       } catch (err) {
         should.not.exist(err);
@@ -958,90 +1707,2880 @@ describe('Methods', function () {
       });
     });
 
-    it('should fail when using the wrong password', function () {
+    it('should succeed using a custom algorithm', function (done) {
+
+      // Overwrite the encrypted file using a custom algorithm.
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'aes-128-cbc'
+      });
+
       try {
         nodecipher.decryptSync({
           input: files[1].name,
           output: files[2].name,
-          password: 'not-alakazam'
+          password: 'alakazam',
+          algorithm: 'aes-128-cbc'
         });
       } catch (err) {
-        should.exist(err);
+        should.not.exist(err);
       }
+
+      fs.readFile(files[2].name, 'utf8', function (err, data) {
+        should.not.exist(err);
+        expect(data).to.equal(content);
+        done();
+      });
     });
 
-    it('should fail when using the wrong algorithm', function () {
+    it('should succeed using a custom salt', function (done) {
+
+      // Overwrite the encrypted file using a custom algorithm.
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        salt: 'abracadabra'
+      });
+
       try {
         nodecipher.decryptSync({
           input: files[1].name,
           output: files[2].name,
           password: 'alakazam',
-          algorithm: 'aes-128-cbc'
+          salt: 'abracadabra'
         });
       } catch (err) {
-        should.exist(err);
+        should.not.exist(err);
       }
+
+      fs.readFile(files[2].name, 'utf8', function (err, data) {
+        should.not.exist(err);
+        expect(data).to.equal(content);
+        done();
+      });
     });
 
-    it('should fail if the input does not exist', function () {
+    it('should succeed using custom key iterations', function (done) {
+
+      // Overwrite the encrypted file using a custom algorithm.
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        iterations: 1001
+      });
+
       try {
         nodecipher.decryptSync({
-          input: 'notarealfile.txt',
+          input: files[1].name,
           output: files[2].name,
-          password: 'alakazam'
+          password: 'alakazam',
+          iterations: 1001
         });
       } catch (err) {
-        should.exist(err);
+        should.not.exist(err);
       }
+
+      fs.readFile(files[2].name, 'utf8', function (err, data) {
+        should.not.exist(err);
+        expect(data).to.equal(content);
+        done();
+      });
     });
 
-    it('should return the final options Object', function () {
+    it('should succeed using a custom keylen', function (done) {
+
+      // Overwrite the encrypted file using a custom algorithm.
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        keylen: 256
+      });
+
       try {
-        let opts = nodecipher.decryptSync({
+        nodecipher.decryptSync({
           input: files[1].name,
           output: files[2].name,
-          password: 'alakazam'
+          password: 'alakazam',
+          keylen: 256
         });
-
-        should.exist(opts);
-        expect(opts).to.be.an('object');
-        expect(opts.input).to.equal(files[1].name);
-        expect(opts.output).to.equal(files[2].name);
-        expect(opts.password).to.equal('alakazam');
-        expect(opts.salt).to.equal(nodecipher.config.salt);
       } catch (err) {
         should.not.exist(err);
       }
+
+      fs.readFile(files[2].name, 'utf8', function (err, data) {
+        should.not.exist(err);
+        expect(data).to.equal(content);
+        done();
+      });
+    });
+
+    it('should succeed using a custom digest', function (done) {
+
+      // Overwrite the encrypted file using a custom algorithm.
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        digest: 'sha256'
+      });
+
+      try {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam',
+          digest: 'sha256'
+        });
+      } catch (err) {
+        should.not.exist(err);
+      }
+
+      fs.readFile(files[2].name, 'utf8', function (err, data) {
+        should.not.exist(err);
+        expect(data).to.equal(content);
+        done();
+      });
+    });
+
+    it('should fail when using the wrong password', function () {
+      try {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'not-alakazam'
+        });
+      } catch (err) {
+        should.exist(err);
+      }
+    });
+
+    it('should prefer the options recorded within the header', function () {
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam',
+        algorithm: 'aes-128-cbc',
+        salt: 'abracadabra',
+        iterations: 1001
+      });
+
+      expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+    });
+
+    it('should not validate the options recorded within the header', function () {
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam',
+        algorithm: 'not-an-algorithm',
+        digest: 'not-a-digest'
+      });
+
+      expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+    });
+
+    it('should validate the options used for a file without a header', function () {
+      makeLegacyFileSync(files[0].name, files[1].name, 'alakazam');
+
+      expect(function () {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam',
+          algorithm: 'not-an-algorithm'
+        });
+      }).to.throw(nodecipher.ValidationError);
+    });
+
+    it('should succeed decrypting a file without a header', function () {
+      makeLegacyFileSync(files[0].name, files[1].name, 'alakazam');
+
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      });
+
+      expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+    });
+
+    it('should succeed using scrypt', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        kdf: 'scrypt',
+        cost: 1024,
+        blockSize: 4
+      });
+
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      });
+
+      expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+    });
+
+    it('should succeed using an authenticated algorithm', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'chacha20-poly1305'
+      });
+
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      });
+
+      expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+    });
+
+    it('should fail if an authenticated file has been tampered with', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'aes-128-gcm'
+      });
+
+      let data = fs.readFileSync(files[1].name);
+
+      data[data.length - 1] ^= 1;
+      fs.writeFileSync(files[1].name, data);
+
+      try {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+      } catch (err) {
+        return expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+      }
+
+      throw new Error('Expected decryptSync() to throw.');
+    });
+
+    it('should fail without writing if the file has been tampered with', function () {
+      let data = fs.readFileSync(files[1].name);
+
+      data[data.length - 30] ^= 1;
+      fs.writeFileSync(files[1].name, data);
+
+      try {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('');
+        return;
+      }
+
+      throw new Error('Expected decryptSync() to throw.');
+    });
+
+    it('should fail without writing if the MAC has been removed', function () {
+      let data = fs.readFileSync(files[1].name);
+      let decoded = header.decode(data);
+      let body = data.slice(decoded.length, -decoded.params.macLength);
+
+      body[0] ^= 1;
+
+      fs.writeFileSync(files[1].name, Buffer.concat([
+        header.encode(_.omit(decoded.params, 'macLength')),
+        body
+      ]));
+
+      try {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('');
+        return;
+      }
+
+      throw new Error('Expected decryptSync() to throw.');
+    });
+
+    it('should fail if an authenticated algorithm has been replaced', function () {
+      let data;
+      let decoded;
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'aes-256-gcm'
+      });
+
+      data = fs.readFileSync(files[1].name);
+      decoded = header.decode(data);
+
+      fs.writeFileSync(files[1].name, Buffer.concat([
+        header.encode(_.assign(decoded.params, {
+          algorithm: 'aes-256-ctr'
+        })),
+        data.slice(decoded.length)
+      ]));
+
+      try {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('');
+        return;
+      }
+
+      throw new Error('Expected decryptSync() to throw.');
+    });
+
+    it('should fail if the input does not exist', function () {
+      try {
+        nodecipher.decryptSync({
+          input: 'notarealfile.txt',
+          output: files[2].name,
+          password: 'alakazam'
+        });
+      } catch (err) {
+        should.exist(err);
+      }
+    });
+
+    it('should return the final options Object', function () {
+      try {
+        let opts = nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+
+        should.exist(opts);
+        expect(opts).to.be.an('object');
+        expect(opts.input).to.equal(files[1].name);
+        expect(opts.output).to.equal(files[2].name);
+        expect(opts.password).to.equal('alakazam');
+        expect(opts.salt).to.equal(nodecipher.config.salt);
+      } catch (err) {
+        should.not.exist(err);
+      }
+    });
+
+    it('should succeed decrypting a file in place', function () {
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      expect(fs.readFileSync(files[1].name, 'utf8')).to.equal(content);
+      expect(listTempOutputSync()).to.have.length(0);
+    });
+
+    it('should keep the mode of an existing output', function () {
+      fs.chmodSync(files[2].name, 0o640);
+
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      });
+
+      expect(fs.statSync(files[2].name).mode & 0o777).to.equal(0o640);
+    });
+
+    it('should create a new output that only its owner may access', function () {
+      let output = path.join(makeRandomTreeSync(), 'new.txt');
+
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output,
+        password: 'alakazam'
+      });
+
+      expect(fs.statSync(output).mode & 0o777).to.equal(0o600);
+    });
+
+    it('should decrypt each file within a directory', function () {
+      let input = makeRandomTreeSync();
+
+      nodecipher.encryptSync({
+        input,
+        output: input,
+        password: 'alakazam',
+        extension: '.enc',
+        exclude: '*.txt'
+      });
+
+      nodecipher.decryptSync({
+        input,
+        output: input + '-dec',
+        password: 'alakazam',
+        extension: '.enc'
+      });
+
+      expect(listTreeSync(input + '-dec')).to.deep.equal([
+        'a.json',
+        'c/d.json'
+      ]);
+    });
+  });
+
+  /**
+   * Test specs for encryptBuffer().
+   *
+   * - should succeed using the default algorithm
+   * - should fail if the buffer is not a buffer
+   */
+  describe('encryptBuffer()', function () {
+
+    it('should succeed using the default algorithm', function (done) {
+      let buffer = Buffer.from(content);
+
+      nodecipher.encryptBuffer(buffer, {
+        password: 'alakazam'
+      }, function (err, result) {
+        should.not.exist(err);
+        expect(Buffer.isBuffer(result)).to.be.true;
+        expect(result.slice(0, 10).toString()).to.equal('NODECIPHER');
+        expect(nodecipher.decryptBufferSync(result, {
+          password: 'alakazam'
+        }).toString()).to.equal(content);
+        done();
+      });
+    });
+
+    it('should fail if the buffer is not a buffer', function (done) {
+      nodecipher.encryptBuffer(content, {
+        password: 'alakazam'
+      }, function (err, result) {
+        should.exist(err);
+        should.not.exist(result);
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for decryptBuffer().
+   *
+   * - should succeed using the default algorithm
+   * - should fail when using the wrong password
+   */
+  describe('decryptBuffer()', function () {
+
+    it('should succeed using the default algorithm', function (done) {
+      let buffer = nodecipher.encryptBufferSync(Buffer.from(content), {
+        password: 'alakazam'
+      });
+
+      nodecipher.decryptBuffer(buffer, {
+        password: 'alakazam'
+      }, function (err, result) {
+        should.not.exist(err);
+        expect(result.toString()).to.equal(content);
+        done();
+      });
+    });
+
+    it('should fail when using the wrong password', function (done) {
+      let buffer = nodecipher.encryptBufferSync(Buffer.from(content), {
+        password: 'alakazam'
+      });
+
+      nodecipher.decryptBuffer(buffer, {
+        password: 'wrongpass'
+      }, function (err, result) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.WRONG_PASSWORD);
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for encryptBufferSync().
+   *
+   * - should succeed using an authenticated algorithm
+   * - should produce output that decrypt() can read
+   */
+  describe('encryptBufferSync()', function () {
+
+    it('should succeed using an authenticated algorithm', function () {
+      let buffer = nodecipher.encryptBufferSync(Buffer.from(content), {
+        password: 'alakazam',
+        algorithm: 'aes-256-gcm'
+      });
+
+      expect(nodecipher.decryptBufferSync(buffer, {
+        password: 'alakazam'
+      }).toString()).to.equal(content);
+    });
+
+    it('should produce output that decrypt() can read', function (done) {
+      fs.writeFileSync(files[1].name, nodecipher.encryptBufferSync(
+        Buffer.from(content), { password: 'alakazam' }
+      ));
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for decryptBufferSync().
+   *
+   * - should succeed reading the output of encryptSync()
+   * - should fail if the buffer has been tampered with
+   */
+  describe('decryptBufferSync()', function () {
+
+    it('should succeed reading the output of encryptSync()', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      expect(nodecipher.decryptBufferSync(fs.readFileSync(files[1].name), {
+        password: 'alakazam'
+      }).toString()).to.equal(content);
+    });
+
+    it('should fail if the buffer has been tampered with', function () {
+      let buffer = nodecipher.encryptBufferSync(Buffer.from(content), {
+        password: 'alakazam'
+      });
+
+      buffer[buffer.length - 1] ^= 0xff;
+
+      try {
+        nodecipher.decryptBufferSync(buffer, { password: 'alakazam' });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        return;
+      }
+
+      throw new Error('Expected decryptBufferSync() to throw.');
+    });
+  });
+
+  /**
+   * Test specs for encryptString().
+   *
+   * - should succeed using the default algorithm
+   * - should fail if the string is not a string
+   * - should return a Promise if no callback is specified
+   */
+  describe('encryptString()', function () {
+
+    it('should succeed using the default algorithm', function (done) {
+      nodecipher.encryptString(content, {
+        password: 'alakazam'
+      }, function (err, result) {
+        should.not.exist(err);
+        expect(result).to.be.a('string');
+        expect(Buffer.from(result, 'base64').slice(0, 10).toString())
+          .to.equal('NODECIPHER');
+        done();
+      });
+    });
+
+    it('should fail if the string is not a string', function (done) {
+      nodecipher.encryptString(Buffer.from(content), {
+        password: 'alakazam'
+      }, function (err, result) {
+        should.exist(err);
+        should.not.exist(result);
+        done();
+      });
+    });
+
+    it('should return a Promise if no callback is specified', function () {
+      return nodecipher.encryptString(content, {
+        password: 'alakazam'
+      }).then(function (result) {
+        expect(nodecipher.decryptStringSync(result, {
+          password: 'alakazam'
+        })).to.equal(content);
+      });
+    });
+  });
+
+  /**
+   * Test specs for decryptString().
+   *
+   * - should succeed using the default algorithm
+   * - should apply the scope to the callback if specified
+   */
+  describe('decryptString()', function () {
+
+    it('should succeed using the default algorithm', function (done) {
+      let string = nodecipher.encryptStringSync('ünïcödé ' + content, {
+        password: 'alakazam'
+      });
+
+      nodecipher.decryptString(string, {
+        password: 'alakazam'
+      }, function (err, result) {
+        should.not.exist(err);
+        expect(result).to.equal('ünïcödé ' + content);
+        done();
+      });
+    });
+
+    it('should apply the scope to the callback if specified', function (done) {
+      let string = nodecipher.encryptStringSync(content, {
+        password: 'alakazam'
+      });
+
+      nodecipher.decryptString(string, {
+        password: 'alakazam'
+      }, function (err, result) {
+        expect(this).to.equal(nodecipher);
+        done();
+      }, nodecipher);
+    });
+  });
+
+  /**
+   * Test specs for encryptStringSync().
+   *
+   * - should produce a different string each time
+   */
+  describe('encryptStringSync()', function () {
+
+    it('should produce a different string each time', function () {
+      let options = { password: 'alakazam' };
+
+      expect(nodecipher.encryptStringSync(content, _.clone(options)))
+        .to.not.equal(nodecipher.encryptStringSync(content, _.clone(options)));
+    });
+  });
+
+  /**
+   * Test specs for decryptStringSync().
+   *
+   * - should succeed using scrypt
+   * - should fail when using the wrong password
+   */
+  describe('decryptStringSync()', function () {
+
+    it('should succeed using scrypt', function () {
+      let string = nodecipher.encryptStringSync(content, {
+        password: 'alakazam',
+        kdf: 'scrypt',
+        cost: 1024
+      });
+
+      expect(nodecipher.decryptStringSync(string, {
+        password: 'alakazam'
+      })).to.equal(content);
+    });
+
+    it('should fail when using the wrong password', function () {
+      let string = nodecipher.encryptStringSync(content, {
+        password: 'alakazam'
+      });
+
+      try {
+        nodecipher.decryptStringSync(string, { password: 'wrongpass' });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.WRONG_PASSWORD);
+        return;
+      }
+
+      throw new Error('Expected decryptStringSync() to throw.');
+    });
+  });
+
+  /**
+   * Test specs for createEncryptStream().
+   *
+   * - should succeed using the default algorithm
+   * - should succeed using an authenticated algorithm
+   * - should succeed without any content
+   * - should fail if the options are invalid
+   */
+  describe('createEncryptStream()', function () {
+
+    it('should succeed using the default algorithm', function (done) {
+      let encryptStream = nodecipher.createEncryptStream({
+        password: 'alakazam'
+      });
+
+      fs.createReadStream(files[0].name)
+        .pipe(encryptStream)
+        .pipe(fs.createWriteStream(files[1].name))
+        .on('finish', function () {
+          nodecipher.decryptSync({
+            input: files[1].name,
+            output: files[2].name,
+            password: 'alakazam'
+          });
+
+          expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+          done();
+        });
+    });
+
+    it('should succeed using an authenticated algorithm', function (done) {
+      let encryptStream = nodecipher.createEncryptStream({
+        password: 'alakazam',
+        algorithm: 'aes-256-gcm'
+      });
+
+      fs.createReadStream(files[0].name)
+        .pipe(encryptStream)
+        .pipe(fs.createWriteStream(files[1].name))
+        .on('finish', function () {
+          nodecipher.decryptSync({
+            input: files[1].name,
+            output: files[2].name,
+            password: 'alakazam'
+          });
+
+          expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+          done();
+        });
+    });
+
+    it('should succeed without any content', function (done) {
+      let encryptStream = nodecipher.createEncryptStream({
+        password: 'alakazam'
+      });
+
+      encryptStream
+        .pipe(fs.createWriteStream(files[1].name))
+        .on('finish', function () {
+          nodecipher.decryptSync({
+            input: files[1].name,
+            output: files[2].name,
+            password: 'alakazam'
+          });
+
+          expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('');
+          done();
+        });
+
+      encryptStream.end();
+    });
+
+    it('should fail if the options are invalid', function () {
+      expect(() => {
+        nodecipher.createEncryptStream({
+          password: 'alakazam',
+          algorithm: 'foobar'
+        });
+      }).to.throw(Error);
+    });
+  });
+
+  /**
+   * Test specs for createDecryptStream().
+   *
+   * - should succeed using the default algorithm
+   * - should succeed using an authenticated algorithm
+   * - should succeed decrypting a file without a header
+   * - should succeed piping from an encrypt stream
+   * - should fail when using the wrong password
+   * - should only emit one error when several chunks are written
+   * - should fail if the content has been tampered with
+   * - should fail if the MAC has been removed
+   * - should fail before any output if the input file has been tampered with
+   * - should fail before any output if an authenticated input file has been
+   *   tampered with
+   */
+  describe('createDecryptStream()', function () {
+
+    /**
+     * Pipes the first encrypted file through a decrypt stream into the last
+     * file.
+     *
+     * @param {Object} options
+     * @param {Function} callback
+     */
+    function pipeDecrypt(options, callback) {
+      let decryptStream = nodecipher.createDecryptStream(options);
+
+      fs.createReadStream(files[1].name)
+        .pipe(decryptStream)
+        .on('error', callback)
+        .pipe(fs.createWriteStream(files[2].name))
+        .on('finish', function () {
+          callback(null);
+        });
+    }
+
+    it('should succeed using the default algorithm', function (done) {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      pipeDecrypt({ password: 'alakazam' }, function (err) {
+        should.not.exist(err);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should succeed using an authenticated algorithm', function (done) {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'chacha20-poly1305'
+      });
+
+      pipeDecrypt({ password: 'alakazam' }, function (err) {
+        should.not.exist(err);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should succeed decrypting a file without a header', function (done) {
+      makeLegacyFileSync(files[0].name, files[1].name, 'alakazam');
+
+      pipeDecrypt({ password: 'alakazam' }, function (err) {
+        should.not.exist(err);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should succeed piping from an encrypt stream', function (done) {
+      let encryptStream = nodecipher.createEncryptStream({
+        password: 'alakazam'
+      });
+      let decryptStream = nodecipher.createDecryptStream({
+        password: 'alakazam'
+      });
+      let chunks = [];
+
+      encryptStream
+        .pipe(decryptStream)
+        .on('data', function (chunk) {
+          chunks.push(chunk);
+        })
+        .on('end', function () {
+          expect(Buffer.concat(chunks).toString()).to.equal(content + content);
+          done();
+        });
+
+      encryptStream.write(content);
+      encryptStream.end(content);
+    });
+
+    it('should fail when using the wrong password', function (done) {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      pipeDecrypt({ password: 'wrongpass' }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.WRONG_PASSWORD);
+        done();
+      });
+    });
+
+    it('should only emit one error when several chunks are written', function (done) {
+      let decryptStream = nodecipher.createDecryptStream({
+        password: 'wrongpass'
+      });
+      let errors = [];
+      let data;
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      data = fs.readFileSync(files[1].name);
+
+      decryptStream.on('error', function (err) {
+        errors.push(err);
+      });
+
+      // The header is only read once the last chunk has been written.
+      decryptStream.write(data.slice(0, 4));
+      decryptStream.write(data.slice(4, 8));
+      decryptStream.end(data.slice(8));
+
+      setTimeout(function () {
+        expect(errors).to.have.length(1);
+        expect(errors[0].name).to.equal(nodecipher.errors.WRONG_PASSWORD);
+        done();
+      }, 200);
+    });
+
+    it('should fail if the content has been tampered with', function (done) {
+      let data;
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'aes-256-gcm'
+      });
+
+      data = fs.readFileSync(files[1].name);
+      data[data.length - 20] ^= 0xff;
+      fs.writeFileSync(files[1].name, data);
+
+      pipeDecrypt({ password: 'alakazam' }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        done();
+      });
+    });
+
+    it('should fail if the MAC has been removed', function (done) {
+      let data;
+      let decoded;
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      data = fs.readFileSync(files[1].name);
+      decoded = header.decode(data);
+
+      fs.writeFileSync(files[1].name, Buffer.concat([
+        header.encode(_.omit(decoded.params, 'macLength')),
+        data.slice(decoded.length, -decoded.params.macLength)
+      ]));
+
+      pipeDecrypt({ password: 'alakazam' }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        done();
+      });
+    });
+
+    /**
+     * Tampers with the first encrypted file, then decrypts it through a decrypt
+     * stream that is given its path, and expects it to fail without any
+     * output.
+     *
+     * @param {Object} options
+     * @param {Function} done
+     */
+    function expectTamperedInput(options, done) {
+      let chunks = [];
+      let data;
+
+      nodecipher.encryptSync(_.assign({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      }, options));
+
+      data = fs.readFileSync(files[1].name);
+      data[data.length - 40] ^= 0xff;
+      fs.writeFileSync(files[1].name, data);
+
+      fs.createReadStream(files[1].name)
+        .pipe(nodecipher.createDecryptStream({
+          input: files[1].name,
+          password: 'alakazam'
+        }))
+        .on('data', function (chunk) {
+          chunks.push(chunk);
+        })
+        .on('error', function (err) {
+          expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+          expect(chunks).to.have.length(0);
+          done();
+        });
+    }
+
+    it('should fail before any output if the input file has been tampered with', function (done) {
+      expectTamperedInput({}, done);
+    });
+
+    it('should fail before any output if an authenticated input file has been tampered with', function (done) {
+      expectTamperedInput({ algorithm: 'aes-256-gcm' }, done);
+    });
+  });
+
+  /**
+   * Test specs for createOutputStream().
+   *
+   * - should only replace the output once the stream has finished
+   * - should leave the output untouched if the stream is destroyed
+   * - should fail if the output is not a string
+   */
+  describe('createOutputStream()', function () {
+
+    it('should only replace the output once the stream has finished', function (done) {
+      let outputStream;
+
+      fs.writeFileSync(files[2].name, 'existing');
+      outputStream = nodecipher.createOutputStream(files[2].name);
+
+      outputStream.write(content, function () {
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('existing');
+        outputStream.end();
+      });
+
+      outputStream.on('finish', function () {
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        expect(listTempOutputSync()).to.have.length(0);
+        done();
+      });
+    });
+
+    it('should leave the output untouched if the stream is destroyed', function (done) {
+      let outputStream;
+
+      fs.writeFileSync(files[2].name, 'existing');
+      outputStream = nodecipher.createOutputStream(files[2].name);
+
+      outputStream.write(content, function () {
+        outputStream.destroy();
+      });
+
+      outputStream.on('close', function () {
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('existing');
+        expect(listTempOutputSync()).to.have.length(0);
+        done();
+      });
+    });
+
+    it('should fail if the output is not a string', function () {
+      expect(function () {
+        nodecipher.createOutputStream(42);
+      }).to.throw(nodecipher.ValidationError);
+    });
+  });
+
+  /**
+   * Test specs for pack().
+   *
+   * - should pack files and directories into a single archive
+   * - should not expose the names of the packed files
+   * - should return a Promise if no callback is specified
+   * - should fail if the input does not exist
+   * - should fail if different files would be recorded under the same path
+   * - should not leave any files behind if it fails
+   */
+  describe('pack()', function () {
+
+    it('should pack files and directories into a single archive', function (done) {
+      let input = makeRandomTreeSync();
+
+      nodecipher.pack({
+        input: [input, files[0].name],
+        output: files[1].name,
+        password: 'alakazam'
+      }, function (err, opts) {
+        should.not.exist(err);
+        should.exist(opts);
+
+        nodecipher.unpackSync({
+          input: files[1].name,
+          output: input + '-out',
+          password: 'alakazam'
+        });
+
+        expect(listTreeSync(path.join(input + '-out', input)))
+          .to.deep.equal(listTreeSync(input));
+        expect(fs.readFileSync(path.join(input + '-out', files[0].name), 'utf8'))
+          .to.equal(content);
+        expect(listTempOutputSync()).to.have.length(0);
+        done();
+      });
+    });
+
+    it('should not expose the names of the packed files', function (done) {
+      let input = makeRandomTreeSync();
+
+      nodecipher.pack({
+        input,
+        output: files[1].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.not.exist(err);
+        expect(fs.readFileSync(files[1].name, 'latin1')).to.not.contain('a.json');
+        done();
+      });
+    });
+
+    it('should return a Promise if no callback is specified', function () {
+      return nodecipher.pack({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      }).then(function (opts) {
+        should.exist(opts);
+      });
+    });
+
+    it('should fail if the input does not exist', function (done) {
+      nodecipher.pack({
+        input: [files[0].name, 'notarealfile.txt'],
+        output: files[1].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.BAD_FILE);
+        done();
+      });
+    });
+
+    it('should fail if different files would be recorded under the same path', function (done) {
+      let dir = path.resolve(makeRandomTreeSync());
+      let output = path.resolve(files[1].name);
+      let cwd = process.cwd();
+
+      fs.outputFileSync(path.join(dir, 'c/a.json'), 'other');
+      process.chdir(path.join(dir, 'c'));
+
+      nodecipher.pack({
+        input: ['a.json', '../a.json'],
+        output,
+        password: 'alakazam'
+      }, function (err) {
+        process.chdir(cwd);
+
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.BAD_ARCHIVE);
+        expect(err.message).to.contain('"a.json" and "../a.json"');
+        expect(fs.readFileSync(output, 'utf8')).to.equal('');
+        done();
+      });
+    });
+
+    it('should not leave any files behind if it fails', function (done) {
+      nodecipher.pack({
+        input: makeRandomTreeSync(),
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'notarealalgorithm'
+      }, function (err) {
+        should.exist(err);
+        expect(fs.readFileSync(files[1].name, 'utf8')).to.equal('');
+        expect(listTempOutputSync()).to.have.length(0);
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for unpack().
+   *
+   * - should restore the paths, modes, and contents of the packed files
+   * - should only extract the given entry
+   * - should fail when using the wrong password
+   * - should fail without extracting if the archive has been tampered with
+   * - should fail if the file is not an archive
+   */
+  describe('unpack()', function () {
+
+    it('should restore the paths, modes, and contents of the packed files', function (done) {
+      let input = makeRandomTreeSync();
+      let mtime = new Date(2016, 0, 1);
+
+      fs.chmodSync(path.join(input, 'a.json'), 0o600);
+      fs.utimesSync(path.join(input, 'b.txt'), mtime, mtime);
+
+      nodecipher.packSync({
+        input,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.unpack({
+        input: files[1].name,
+        output: input + '-out',
+        password: 'alakazam'
+      }, function (err) {
+        let output = path.join(input + '-out', input);
+
+        should.not.exist(err);
+        expect(listTreeSync(output)).to.deep.equal(listTreeSync(input));
+        expect(fs.readFileSync(path.join(output, 'c/e/f.txt'), 'utf8'))
+          .to.equal(content);
+        expect(fs.statSync(path.join(output, 'a.json')).mode & 0o777)
+          .to.equal(0o600);
+        expect(fs.statSync(path.join(output, 'b.txt')).mtime.getTime())
+          .to.equal(mtime.getTime());
+        done();
+      });
+    });
+
+    it('should only extract the given entry', function (done) {
+      let input = makeRandomTreeSync();
+
+      nodecipher.packSync({
+        input,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.unpack({
+        input: files[1].name,
+        output: input + '-out',
+        password: 'alakazam',
+        entry: path.join(input, 'c/e/f.txt')
+      }, function (err) {
+        let output = path.join(input + '-out', input);
+
+        should.not.exist(err);
+        expect(listTreeSync(output)).to.deep.equal(['c/e/f.txt']);
+        expect(fs.readFileSync(path.join(output, 'c/e/f.txt'), 'utf8'))
+          .to.equal(content);
+        done();
+      });
+    });
+
+    it('should fail when using the wrong password', function (done) {
+      let input = makeRandomTreeSync();
+
+      nodecipher.packSync({
+        input,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.unpack({
+        input: files[1].name,
+        output: input + '-out',
+        password: 'abracadabra'
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.WRONG_PASSWORD);
+        expect(fs.existsSync(input + '-out')).to.be.false;
+        done();
+      });
+    });
+
+    it('should fail without extracting if the archive has been tampered with', function (done) {
+      let input = makeRandomTreeSync();
+      let data;
+
+      nodecipher.packSync({
+        input,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      data = fs.readFileSync(files[1].name);
+      data[data.length - 40] ^= 1;
+      fs.writeFileSync(files[1].name, data);
+
+      nodecipher.unpack({
+        input: files[1].name,
+        output: input + '-out',
+        password: 'alakazam'
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        if (fs.existsSync(input + '-out')) {
+          expect(listTreeSync(input + '-out')).to.have.length(0);
+        }
+        done();
+      });
+    });
+
+    it('should fail if the file is not an archive', function (done) {
+      let output = files[2].name + '-out';
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.unpack({
+        input: files[1].name,
+        output,
+        password: 'alakazam'
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.BAD_ARCHIVE);
+        expect(fs.existsSync(output)).to.be.false;
+        expect(listTempOutputSync()).to.have.length(0);
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for packSync().
+   *
+   * - should pack files and directories into a single archive
+   * - should only pack the files that match the include and exclude globs
+   * - should fail if different files would be recorded under the same path
+   */
+  describe('packSync()', function () {
+
+    it('should pack files and directories into a single archive', function () {
+      let input = makeRandomTreeSync();
+
+      nodecipher.packSync({
+        input: [input, files[0].name],
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.unpackSync({
+        input: files[1].name,
+        output: input + '-out',
+        password: 'alakazam'
+      });
+
+      expect(listTreeSync(path.join(input + '-out', input)))
+        .to.deep.equal(listTreeSync(input));
+      expect(fs.readFileSync(path.join(input + '-out', files[0].name), 'utf8'))
+        .to.equal(content);
+    });
+
+    it('should only pack the files that match the include and exclude globs', function () {
+      let input = makeRandomTreeSync();
+
+      nodecipher.packSync({
+        input,
+        output: files[1].name,
+        password: 'alakazam',
+        include: '*.json',
+        exclude: 'c/**'
+      });
+
+      nodecipher.unpackSync({
+        input: files[1].name,
+        output: input + '-out',
+        password: 'alakazam'
+      });
+
+      expect(listTreeSync(path.join(input + '-out', input)))
+        .to.deep.equal(['a.json']);
+    });
+
+    it('should fail if different files would be recorded under the same path', function () {
+      let dir = path.resolve(makeRandomTreeSync());
+      let output = path.resolve(files[1].name);
+      let cwd = process.cwd();
+
+      fs.outputFileSync(path.join(dir, 'c/a.json'), 'other');
+
+      try {
+        process.chdir(path.join(dir, 'c'));
+        nodecipher.packSync({
+          input: ['a.json', '../a.json'],
+          output,
+          password: 'alakazam'
+        });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.BAD_ARCHIVE);
+        expect(err.message).to.contain('"a.json" and "../a.json"');
+        return;
+      } finally {
+        process.chdir(cwd);
+      }
+
+      throw new Error('Expected packSync() to throw.');
+    });
+  });
+
+  /**
+   * Test specs for unpackSync().
+   *
+   * - should restore the paths and contents of the packed files
+   * - should fail if the archive does not contain the given entry
+   * - should fail if the archive contains an unsafe path
+   */
+  describe('unpackSync()', function () {
+
+    it('should restore the paths and contents of the packed files', function () {
+      let input = makeRandomTreeSync();
+
+      nodecipher.packSync({
+        input,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.unpackSync({
+        input: files[1].name,
+        output: input + '-out',
+        password: 'alakazam'
+      });
+
+      expect(fs.readFileSync(path.join(input + '-out', input, 'c/d.json'), 'utf8'))
+        .to.equal(content);
+    });
+
+    it('should fail if the archive does not contain the given entry', function () {
+      let input = makeRandomTreeSync();
+
+      nodecipher.packSync({
+        input,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      try {
+        nodecipher.unpackSync({
+          input: files[1].name,
+          output: input + '-out',
+          password: 'alakazam',
+          entry: 'missing.txt'
+        });
+      } catch (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.BAD_ARCHIVE);
+        expect(fs.existsSync(input + '-out')).to.be.false;
+        return;
+      }
+
+      throw new Error('Expected unpackSync() to throw.');
+    });
+
+    it('should fail if the archive contains an unsafe path', function () {
+      let index = Buffer.from(JSON.stringify([
+        { path: '../escaped.txt', mode: 420, size: content.length }
+      ]));
+      let prelude = Buffer.alloc(14);
+
+      Buffer.from('NCARCHIVE').copy(prelude, 0);
+      prelude.writeUInt8(1, 9);
+      prelude.writeUInt32BE(index.length, 10);
+
+      fs.writeFileSync(files[1].name, nodecipher.encryptBufferSync(
+        Buffer.concat([prelude, index, Buffer.from(content)]),
+        { password: 'alakazam' }
+      ));
+
+      try {
+        nodecipher.unpackSync({
+          input: files[1].name,
+          output: 'test/.tmp/unpacked',
+          password: 'alakazam'
+        });
+      } catch (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.BAD_ARCHIVE);
+        expect(fs.existsSync('test/.tmp/escaped.txt')).to.be.false;
+        return;
+      }
+
+      throw new Error('Expected unpackSync() to throw.');
+    });
+  });
+
+  /**
+   * Test specs for listArchive().
+   *
+   * - should list the files within the archive
+   * - should fail if the file is not an archive
+   * - should fail if the input does not exist
+   */
+  describe('listArchive()', function () {
+
+    it('should list the files within the archive', function (done) {
+      let input = makeRandomTreeSync();
+      let mtime = new Date(2016, 0, 1);
+
+      fs.utimesSync(path.join(input, 'a.json'), mtime, mtime);
+
+      nodecipher.packSync({
+        input,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.listArchive({
+        input: files[1].name,
+        password: 'alakazam'
+      }, function (err, entries) {
+        let entry = _.find(entries, { path: path.join(input, 'a.json') });
+
+        should.not.exist(err);
+        expect(_.map(entries, 'path').sort()).to.deep.equal(
+          _.map(listTreeSync(input), file => {
+            return path.join(input, file);
+          })
+        );
+        expect(entry.size).to.equal(content.length);
+        expect(entry.mtime.getTime()).to.equal(mtime.getTime());
+        done();
+      });
+    });
+
+    it('should fail if the file is not an archive', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      return nodecipher.listArchive({
+        input: files[1].name,
+        password: 'alakazam'
+      }).then(() => {
+        throw new Error('Expected listArchive() to reject.');
+      }, err => {
+        expect(err.name).to.equal(nodecipher.errors.BAD_ARCHIVE);
+      });
+    });
+
+    it('should fail if the input does not exist', function (done) {
+      nodecipher.listArchive({
+        input: 'test/.tmp/missing.enc',
+        password: 'alakazam'
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.BAD_FILE);
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for listArchiveSync().
+   *
+   * - should list the files within the archive
+   * - should fail when using the wrong password
+   */
+  describe('listArchiveSync()', function () {
+
+    it('should list the files within the archive', function () {
+      let input = makeRandomTreeSync();
+      let entries;
+
+      nodecipher.packSync({
+        input: [input, files[0].name],
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      entries = nodecipher.listArchiveSync({
+        input: files[1].name,
+        password: 'alakazam'
+      });
+
+      expect(entries).to.have.length(5);
+      expect(_.map(entries, 'size')).to.deep.equal(
+        _.times(5, _.constant(content.length))
+      );
+      expect(entries[0].mtime).to.be.an.instanceof(Date);
+    });
+
+    it('should fail when using the wrong password', function () {
+      nodecipher.packSync({
+        input: makeRandomTreeSync(),
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      try {
+        nodecipher.listArchiveSync({
+          input: files[1].name,
+          password: 'abracadabra'
+        });
+      } catch (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.WRONG_PASSWORD);
+        return;
+      }
+
+      throw new Error('Expected listArchiveSync() to throw.');
+    });
+  });
+
+  /**
+   * Test specs for encryptAll().
+   *
+   * - should encrypt every file within the manifest
+   * - should fail if the manifest is empty
+   */
+  describe('encryptAll()', function () {
+
+    it('should encrypt every file within the manifest', function (done) {
+      let instance = new nodecipher.NodeCipher({
+        rc: false,
+        config: {
+          files: {
+            [files[0].name]: files[1].name,
+            [files[2].name]: {
+              output: files[2].name + '.enc',
+              algorithm: 'aes-256-gcm'
+            }
+          }
+        }
+      });
+
+      fs.writeFileSync(files[2].name, content);
+
+      instance.encryptAll({ password: 'alakazam' }, function (err, requests) {
+        should.not.exist(err);
+        expect(requests).to.have.length(2);
+        expect(requests[1].algorithm).to.equal('aes-256-gcm');
+
+        nodecipher.decryptSync({
+          input: files[2].name + '.enc',
+          output: files[2].name,
+          password: 'alakazam'
+        });
+
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should fail if the manifest is empty', function () {
+      let instance = new nodecipher.NodeCipher({ rc: false });
+
+      return instance.encryptAll({ password: 'alakazam' }).then(() => {
+        throw new Error('Expected encryptAll() to reject.');
+      }, err => {
+        expect(err.message).to.contain('"files"');
+      });
+    });
+  });
+
+  /**
+   * Test specs for decryptAll().
+   *
+   * - should decrypt every file within the manifest
+   */
+  describe('decryptAll()', function () {
+
+    it('should decrypt every file within the manifest', function () {
+      let instance = new nodecipher.NodeCipher({
+        rc: false,
+        config: {
+          files: {
+            [files[2].name]: files[1].name
+          }
+        }
+      });
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      return instance.decryptAll({ password: 'alakazam' }).then(() => {
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+      });
+    });
+  });
+
+  /**
+   * Test specs for encryptAllSync() and decryptAllSync().
+   *
+   * - should encrypt and decrypt every file within the manifest
+   * - should fail if the options provided are invalid
+   */
+  describe('encryptAllSync() and decryptAllSync()', function () {
+
+    it('should encrypt and decrypt every file within the manifest', function () {
+      let instance = new nodecipher.NodeCipher({
+        rc: false,
+        config: {
+          files: {
+            [files[0].name]: files[1].name
+          }
+        }
+      });
+
+      instance.encryptAllSync({ password: 'alakazam' });
+      fs.removeSync(files[0].name);
+      instance.decryptAllSync({ password: 'alakazam' });
+
+      expect(fs.readFileSync(files[0].name, 'utf8')).to.equal(content);
+    });
+
+    it('should fail if the options provided are invalid', function () {
+      let instance = new nodecipher.NodeCipher({
+        rc: false,
+        config: {
+          files: {
+            [files[0].name]: files[1].name
+          }
+        }
+      });
+
+      try {
+        instance.encryptAllSync({ password: 'alakazam', iterations: 'many' });
+      } catch (err) {
+        should.exist(err);
+        expect(err.message).to.contain('"iterations"');
+        return;
+      }
+
+      throw new Error('Expected encryptAllSync() to throw.');
+    });
+  });
+
+  /**
+   * Test specs for registerKdf().
+   *
+   * - should succeed using a registered KDF
+   * - should list the registered KDF
+   * - should fail if the KDF does not provide derive methods
+   */
+  describe('registerKdf()', function () {
+
+    let calls = 0;
+
+    before('register the KDF', function () {
+      nodecipher.registerKdf('test-kdf', {
+        options: ['iterations'],
+        derive(options, callback) {
+          calls++;
+          crypto.pbkdf2(options.password, options.salt, options.iterations,
+            options.keylen, 'sha256', callback);
+        },
+        deriveSync(options) {
+          calls++;
+          return crypto.pbkdf2Sync(options.password, options.salt,
+            options.iterations, options.keylen, 'sha256');
+        }
+      });
+    });
+
+    it('should succeed using a registered KDF', function (done) {
+      calls = 0;
+
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        kdf: 'test-kdf'
+      }, function (err, opts) {
+        should.not.exist(err);
+
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+
+        expect(calls).to.equal(2);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should list the registered KDF', function () {
+      expect(nodecipher.listKdfs()).to.include('pbkdf2');
+      expect(nodecipher.listKdfs()).to.include('test-kdf');
+    });
+
+    it('should fail if the KDF does not provide derive methods', function () {
+      expect(() => {
+        nodecipher.registerKdf('test-bad-kdf', {});
+      }).to.throw(TypeError);
+    });
+  });
+
+  /**
+   * Test specs for registerCipher().
+   *
+   * - should succeed using a registered cipher
+   * - should succeed using a registered authenticated cipher
+   * - should list the registered cipher
+   * - should fail if the cipher does not provide its lengths
+   */
+  describe('registerCipher()', function () {
+
+    let calls = 0;
+
+    before('register the ciphers', function () {
+      nodecipher.registerCipher('test-cipher', {
+        keyLength: 32,
+        ivLength: 16,
+        createCipher(key, iv) {
+          calls++;
+          return crypto.createCipheriv('aes-256-ctr', key, iv);
+        },
+        createDecipher(key, iv) {
+          calls++;
+          return crypto.createDecipheriv('aes-256-ctr', key, iv);
+        }
+      });
+
+      nodecipher.registerCipher('test-aead-cipher', {
+        keyLength: 32,
+        ivLength: 12,
+        authTagLength: 16,
+        createCipher(key, iv) {
+          return crypto.createCipheriv('aes-256-gcm', key, iv);
+        },
+        createDecipher(key, iv) {
+          return crypto.createDecipheriv('aes-256-gcm', key, iv);
+        }
+      });
+    });
+
+    it('should succeed using a registered cipher', function (done) {
+      calls = 0;
+
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'test-cipher'
+      }, function (err, opts) {
+        should.not.exist(err);
+
+        nodecipher.decrypt({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        }, function (err, opts) {
+          should.not.exist(err);
+          expect(calls).to.equal(2);
+
+          fs.readFile(files[2].name, 'utf8', function (err, data) {
+            should.not.exist(err);
+            expect(data).to.equal(content);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should succeed using a registered authenticated cipher', function () {
+      let data;
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'test-aead-cipher'
+      });
+
+      data = fs.readFileSync(files[1].name);
+      data[data.length - 1] ^= 0xff;
+      fs.writeFileSync(files[1].name, data);
+
+      try {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.CORRUPT_DATA);
+        return;
+      }
+
+      throw new Error('Expected decryptSync() to throw.');
+    });
+
+    it('should list the registered cipher', function () {
+      expect(nodecipher.listAlgorithms()).to.include('test-cipher');
+    });
+
+    it('should fail if the cipher does not provide its lengths', function () {
+      expect(() => {
+        nodecipher.registerCipher('test-bad-cipher', {
+          createCipher: _.noop,
+          createDecipher: _.noop
+        });
+      }).to.throw(TypeError);
+    });
+  });
+
+  /**
+   * Test specs for listAlgorithms().
+   *
+   * - should return an array of valid algorithms
+   */
+  describe('listAlgorithms()', function () {
+
+    it('should return an array of valid algorithms', function () {
+      let algorithms = nodecipher.listAlgorithms();
+
+      expect(algorithms).to.be.an('array');
+      expect(_.difference(crypto.getCiphers(), algorithms)).to.have.length(0);
+    });
+  });
+
+  /**
+   * Test specs for listHashes().
+   *
+   * - should return an array of valid algorithms
+   */
+  describe('listHashes()', function () {
+
+    it('should return an array of valid algorithms', function () {
+      let algorithms = nodecipher.listHashes();
+
+      expect(algorithms).to.be.an('array');
+      expect(_.difference(algorithms, crypto.getHashes())).to.have.length(0);
+    });
+  });
+
+  /**
+   * Test specs for errors.
+   *
+   * - should list every invalid option at once
+   * - should report invalid options identically when synchronous
+   * - should give every error a stable code
+   */
+  describe('errors', function () {
+
+    let invalidOptions;
+
+    beforeEach('define the invalid options', function () {
+      invalidOptions = {
+        input: files[0].name,
+        output: files[1].name,
+        algorithm: 'foobar',
+        iterations: 'many'
+      };
+    });
+
+    it('should list every invalid option at once', function (done) {
+      nodecipher.encrypt(invalidOptions, function (err) {
+        expect(err).to.be.an.instanceof(nodecipher.ValidationError);
+        expect(err).to.be.an.instanceof(nodecipher.NodeCipherError);
+        expect(err.name).to.equal(nodecipher.errors.BAD_PASSWORD);
+        expect(err.code).to.equal(nodecipher.codes.BAD_PASSWORD);
+        expect(_.map(err.errors, 'code')).to.deep.equal([
+          nodecipher.codes.BAD_PASSWORD,
+          nodecipher.codes.BAD_OPTION,
+          nodecipher.codes.BAD_ALGORITHM
+        ]);
+        expect(err.message).to.contain('3 options are invalid.');
+        expect(err.message).to.contain('"foobar" is not a valid cipher algorithm.');
+        done();
+      });
+    });
+
+    it('should report invalid options identically when synchronous', function (done) {
+      nodecipher.encrypt(invalidOptions, function (asyncErr) {
+        try {
+          nodecipher.encryptSync(invalidOptions);
+        } catch (err) {
+          expect(err).to.be.an.instanceof(nodecipher.ValidationError);
+          expect(_.pick(err, ['name', 'code', 'message', 'errors']))
+            .to.deep.equal(_.pick(asyncErr, ['name', 'code', 'message', 'errors']));
+          return done();
+        }
+
+        done(new Error('Expected encryptSync() to throw.'));
+      });
+    });
+
+    it('should give every error a stable code', function (done) {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        algorithm: 'aes-256-gcm'
+      });
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'abracadabra'
+      }, function (err) {
+        expect(err).to.be.an.instanceof(nodecipher.NodeCipherError);
+        expect(err.code).to.equal(nodecipher.codes.WRONG_PASSWORD);
+
+        nodecipher.decrypt({
+          input: 'test/.tmp/missing.enc',
+          output: files[2].name,
+          password: 'alakazam'
+        }, function (err) {
+          expect(err).to.be.an.instanceof(nodecipher.NodeCipherError);
+          expect(err.name).to.equal(nodecipher.errors.BAD_FILE);
+          expect(err.code).to.equal(nodecipher.codes.BAD_FILE);
+          done();
+        });
+      });
+    });
+  });
+
+  /**
+   * Test specs for inspectConfig().
+   *
+   * - should report the value and source of each option
+   * - should convert numeric strings from environment variables
+   */
+  describe('inspectConfig()', function () {
+
+    it('should report the value and source of each option', function () {
+      let instance = new nodecipher.NodeCipher({
+        rc: false,
+        config: { salt: 'alakazam' }
+      });
+      let config = instance.inspectConfig();
+
+      expect(config.salt).to.deep.equal({
+        value: 'alakazam',
+        source: 'constructor'
+      });
+      expect(config.iterations).to.deep.equal({
+        value: nodecipher.defaults.iterations,
+        source: 'defaults'
+      });
+    });
+
+    it('should convert numeric strings from environment variables', function () {
+      let instance;
+
+      process.env.NODECIPHER_iterations = '5000';
+
+      try {
+        instance = new nodecipher.NodeCipher();
+      } finally {
+        delete process.env.NODECIPHER_iterations;
+      }
+
+      expect(instance.inspectConfig().iterations).to.deep.equal({
+        value: 5000,
+        source: 'environment variable "NODECIPHER_iterations"'
+      });
+    });
+  });
+
+  /**
+   * Test specs for checkPassword().
+   *
+   * - should estimate the entropy of the password
+   * - should not count repeated or sequential characters
+   * - should report passwords below the minimum entropy as weak
+   * - should use the minimum entropy of the instance
+   * - should fail if the password is not a string
+   */
+  describe('checkPassword()', function () {
+
+    it('should estimate the entropy of the password', function () {
+      let result = nodecipher.checkPassword('Tr0ub4dor&3');
+
+      expect(result.entropy).to.equal(72);
+      expect(result.strength).to.equal('strong');
+      expect(result.weak).to.be.false;
+    });
+
+    it('should not count repeated or sequential characters', function () {
+      expect(nodecipher.checkPassword('aaaaaaaa').entropy)
+        .to.equal(nodecipher.checkPassword('a').entropy);
+      expect(nodecipher.checkPassword('abcdefgh').entropy)
+        .to.equal(nodecipher.checkPassword('ab').entropy);
+    });
+
+    it('should report passwords below the minimum entropy as weak', function () {
+      let result = nodecipher.checkPassword('alakazam', {
+        minPasswordEntropy: 64
+      });
+
+      expect(result.strength).to.equal('reasonable');
+      expect(result.weak).to.be.true;
+      expect(nodecipher.checkPassword('abc123').weak).to.be.true;
+    });
+
+    it('should use the minimum entropy of the instance', function () {
+      let instance = new nodecipher.NodeCipher({
+        rc: false,
+        config: { minPasswordEntropy: 0 }
+      });
+
+      expect(instance.checkPassword('abc123').weak).to.be.false;
+    });
+
+    it('should fail if the password is not a string', function () {
+      expect(function () {
+        nodecipher.checkPassword(12345);
+      }).to.throw(nodecipher.ValidationError);
+    });
+  });
+
+  /**
+   * Test specs for keyfiles.
+   *
+   * - should encrypt and decrypt using a keyfile alone
+   * - should encrypt and decrypt using a keyfile and a password
+   * - should require every factor that the key is derived from
+   * - should fail if the keyfile is wrong
+   * - should fail if the keyfile does not exist or is empty
+   * - should not require a keyfile if the file was encrypted without one
+   */
+  describe('keyfile', function () {
+
+    let keyfile;
+
+    beforeEach('create the keyfile', function () {
+      keyfile = makeRandomFileSync();
+      fs.writeFileSync(keyfile.name, crypto.randomBytes(64));
+    });
+
+    afterEach('remove the keyfile', function () {
+      keyfile.removeCallback();
+    });
+
+    it('should encrypt and decrypt using a keyfile alone', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        keyfile: keyfile.name
+      }, function (err) {
+        should.not.exist(err);
+
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          keyfile: keyfile.name
+        });
+
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should encrypt and decrypt using a keyfile and a password', function (done) {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        keyfile: keyfile.name
+      });
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam',
+        keyfile: keyfile.name
+      }, function (err) {
+        should.not.exist(err);
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should require every factor that the key is derived from', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        keyfile: keyfile.name
+      });
+
+      try {
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          keyfile: keyfile.name
+        });
+      } catch (err) {
+        expect(err.code).to.equal(nodecipher.codes.PASSWORD_REQUIRED);
+
+        try {
+          nodecipher.decryptSync({
+            input: files[1].name,
+            output: files[2].name,
+            password: 'alakazam'
+          });
+        } catch (err) {
+          expect(err.code).to.equal(nodecipher.codes.BAD_KEYFILE);
+          return;
+        }
+      }
+
+      throw new Error('Expected decryptSync() to throw.');
+    });
+
+    it('should fail if the keyfile is wrong', function (done) {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        keyfile: keyfile.name
+      });
+
+      fs.writeFileSync(keyfile.name, crypto.randomBytes(64));
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam',
+        keyfile: keyfile.name
+      }, function (err) {
+        should.exist(err);
+        expect(err.code).to.equal(nodecipher.codes.WRONG_PASSWORD);
+        expect(err.message).to.equal('The password or keyfile is incorrect.');
+        done();
+      });
+    });
+
+    it('should fail if the keyfile does not exist or is empty', function () {
+      fs.writeFileSync(keyfile.name, '');
+
+      _.each([keyfile.name, 'test/.tmp/does-not-exist.key'], name => {
+        expect(function () {
+          nodecipher.encryptSync({
+            input: files[0].name,
+            output: files[1].name,
+            keyfile: name
+          });
+        }).to.throw(nodecipher.ValidationError, `The keyfile "${name}"`);
+      });
+    });
+
+    it('should not require a keyfile if the file was encrypted without one', function () {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.decryptSync({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam',
+        keyfile: keyfile.name
+      });
+
+      expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
     });
   });
 
   /**
-   * Test specs for listAlgorithms().
+   * Test specs for the agent.
    *
-   * - should return an array of valid algorithms
+   * - should hold the keys that are derived
+   * - should find the key without a password using the verifier
+   * - should fail without a password if the agent does not hold the key
+   * - should derive the key if the agent cannot be reached
+   * - should forget keys once their timeout has elapsed
+   * - should create the socket so that only the current user may connect
    */
-  describe('listAlgorithms()', function () {
+  describe('agent', function () {
 
-    it('should return an array of valid algorithms', function () {
-      let algorithms = nodecipher.listAlgorithms();
+    let socket = 'test/.tmp/agent.sock';
+    let agent;
+    let calls;
 
-      expect(algorithms).to.be.an('array');
-      expect(_.difference(algorithms, crypto.getCiphers())).to.have.length(0);
+    before('register the KDF', function () {
+      nodecipher.registerKdf('agent-kdf', {
+        options: ['iterations', 'digest'],
+        derive(options, callback) {
+          calls++;
+          crypto.pbkdf2(options.password, options.salt, options.iterations,
+            options.keylen, options.digest, callback);
+        },
+        deriveSync(options) {
+          calls++;
+          return crypto.pbkdf2Sync(options.password, options.salt,
+            options.iterations, options.keylen, options.digest);
+        }
+      });
+    });
+
+    beforeEach('start the agent', function (done) {
+      calls = 0;
+      agent = new Agent({ timeout: 500 });
+      agent.listen(socket, done);
+    });
+
+    afterEach('stop the agent', function (done) {
+      agent.close(done);
+    });
+
+    /**
+     * Encrypts the source file using the agent.
+     *
+     * @param {Function} callback
+     */
+    function encryptWithAgent(callback) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        kdf: 'agent-kdf',
+        agent: socket
+      }, callback);
+    }
+
+    it('should hold the keys that are derived', function (done) {
+      encryptWithAgent(function (err) {
+        should.not.exist(err);
+
+        nodecipher.decrypt({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam',
+          agent: socket
+        }, function (err) {
+          should.not.exist(err);
+          expect(calls).to.equal(1);
+          expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+          done();
+        });
+      });
+    });
+
+    it('should find the key without a password using the verifier', function (done) {
+      encryptWithAgent(function (err) {
+        should.not.exist(err);
+
+        nodecipher.decrypt({
+          input: files[1].name,
+          output: files[2].name,
+          agent: socket
+        }, function (err) {
+          should.not.exist(err);
+          expect(calls).to.equal(1);
+          expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+          done();
+        });
+      });
+    });
+
+    it('should fail without a password if the agent does not hold the key', function (done) {
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        agent: socket
+      }, function (err) {
+        should.exist(err);
+        expect(err.code).to.equal(nodecipher.codes.KEY_NOT_FOUND);
+        done();
+      });
+    });
+
+    it('should derive the key if the agent cannot be reached', function (done) {
+      nodecipher.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam',
+        agent: 'test/.tmp/missing.sock'
+      }, function (err) {
+        should.not.exist(err);
+
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should forget keys once their timeout has elapsed', function (done) {
+      encryptWithAgent(function (err) {
+        should.not.exist(err);
+
+        setTimeout(function () {
+          nodecipher.decrypt({
+            input: files[1].name,
+            output: files[2].name,
+            agent: socket
+          }, function (err) {
+            should.exist(err);
+            expect(err.code).to.equal(nodecipher.codes.KEY_NOT_FOUND);
+            done();
+          });
+        }, 700);
+      });
+    });
+
+    it('should create the socket so that only the current user may connect', function (done) {
+      let other = new Agent();
+      let otherSocket = 'test/.tmp/other.sock';
+      let umask = process.umask(0);
+
+      other.listen(otherSocket, function (err) {
+        process.umask(umask);
+
+        should.not.exist(err);
+        expect(fs.statSync(otherSocket).mode & 0o777).to.equal(0o600);
+        other.close(done);
+      });
+
+      expect(process.umask()).to.equal(0);
     });
   });
 
   /**
-   * Test specs for listHashes().
+   * Test specs for readPassword().
    *
-   * - should return an array of valid algorithms
+   * - should read the password from a file
+   * - should read the password from an environment variable
+   * - should read the password from the output of a command
+   * - should fail if the source is missing
+   * - should fail if the source is empty
+   * - should fail if the source is invalid
+   * - should encrypt and decrypt using a password source
+   * - should read the password source asynchronously without changing the options
    */
-  describe('listHashes()', function () {
+  describe('readPassword()', function () {
 
-    it('should return an array of valid algorithms', function () {
-      let algorithms = nodecipher.listHashes();
+    afterEach(function () {
+      delete process.env.CIPHER_TEST_PASSWORD;
+    });
 
-      expect(algorithms).to.be.an('array');
-      expect(_.difference(algorithms, crypto.getHashes())).to.have.length(0);
+    it('should read the password from a file', function () {
+      fs.writeFileSync(files[0].name, 'alakazam\n');
+
+      expect(nodecipher.readPassword({ file: files[0].name }))
+        .to.equal('alakazam');
+    });
+
+    it('should read the password from an environment variable', function () {
+      process.env.CIPHER_TEST_PASSWORD = 'alakazam';
+
+      expect(nodecipher.readPassword({ env: 'CIPHER_TEST_PASSWORD' }))
+        .to.equal('alakazam');
+    });
+
+    it('should read the password from the output of a command', function () {
+      expect(nodecipher.readPassword({ command: 'echo alakazam' }))
+        .to.equal('alakazam');
+    });
+
+    it('should fail if the source is missing', function () {
+      let sources = [
+        { file: 'test/.tmp/does-not-exist.txt' },
+        { env: 'CIPHER_TEST_PASSWORD' },
+        { command: 'exit 3' }
+      ];
+      let messages = [
+        'The password file "test/.tmp/does-not-exist.txt" does not exist.',
+        'The environment variable "CIPHER_TEST_PASSWORD" is not set.',
+        'The password command "exit 3" failed with exit code 3.'
+      ];
+
+      _.each(sources, (source, i) => {
+        expect(function () {
+          nodecipher.readPassword(source);
+        }).to.throw(nodecipher.ValidationError, messages[i]);
+      });
+    });
+
+    it('should fail if the source is empty', function () {
+      fs.writeFileSync(files[0].name, '\n');
+      process.env.CIPHER_TEST_PASSWORD = '';
+
+      expect(function () {
+        nodecipher.readPassword({ file: files[0].name });
+      }).to.throw(nodecipher.ValidationError, 'is empty.');
+
+      expect(function () {
+        nodecipher.readPassword({ env: 'CIPHER_TEST_PASSWORD' });
+      }).to.throw(nodecipher.ValidationError, 'is empty.');
+    });
+
+    it('should fail if the source is invalid', function () {
+      let sources = [{}, { file: 'a', env: 'B' }, { fd: 'three' }, 'a'];
+
+      _.each(sources, source => {
+        try {
+          nodecipher.readPassword(source);
+        } catch (err) {
+          expect(err).to.be.an.instanceof(nodecipher.ValidationError);
+          expect(err.code).to.equal(nodecipher.codes.BAD_PASSWORD);
+          return;
+        }
+
+        throw new Error('Expected readPassword() to fail.');
+      });
+    });
+
+    it('should encrypt and decrypt using a password source', function (done) {
+      process.env.CIPHER_TEST_PASSWORD = 'alakazam';
+
+      nodecipher.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        passwordFrom: { env: 'CIPHER_TEST_PASSWORD' }
+      });
+
+      nodecipher.decrypt({
+        input: files[1].name,
+        output: files[2].name,
+        password: 'alakazam'
+      }, function (err) {
+        if (err) return done(err);
+
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should read the password source asynchronously without changing the options', function (done) {
+      let options = {
+        input: files[0].name,
+        output: files[1].name,
+        passwordFrom: { command: 'echo alakazam' }
+      };
+
+      nodecipher.encrypt(options, function (err) {
+        if (err) return done(err);
+
+        expect(options.password).to.be.undefined;
+        expect(nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        })).to.be.an('object');
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for the NodeCipher class.
+   *
+   * - should use the config provided to the constructor
+   * - should not share config or registered KDFs between instances
+   * - should not load the rc file if it is disabled
+   * - should resolve the manifest relative to the rc file
+   * - should report unknown options along with their source
+   * - should report every invalid value along with its source
+   * - should report invalid files within the manifest
+   * - should report an invalid weak password policy
+   * - should report an invalid number of password attempts
+   * - should not fail to be required if the config is invalid
+   * - should only read the password from an environment variable within the rc file
+   * - should only read the password from an environment variable within the manifest
+   * - should not load the agent from the rc file or the manifest
+   */
+  describe('NodeCipher', function () {
+
+    let NodeCipher = nodecipher.NodeCipher;
+
+    it('should use the config provided to the constructor', function () {
+      let instance = new NodeCipher({ config: { salt: 'alakazam' } });
+      let opts = instance.encryptSync({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      });
+
+      expect(instance.config.salt).to.equal('alakazam');
+      expect(opts.salt).to.equal('alakazam');
+      expect(nodecipher.config.salt).to.not.equal('alakazam');
+    });
+
+    it('should not share config or registered KDFs between instances', function () {
+      let a = new NodeCipher({ config: { iterations: 10 } });
+      let b = new NodeCipher();
+
+      a.registerKdf('instance-kdf', {
+        derive: _.noop,
+        deriveSync: _.noop
+      });
+
+      expect(a.listKdfs()).to.include('instance-kdf');
+      expect(b.listKdfs()).to.not.include('instance-kdf');
+      expect(nodecipher.listKdfs()).to.not.include('instance-kdf');
+      expect(b.config.iterations).to.equal(nodecipher.defaults.iterations);
+    });
+
+    it('should not load the rc file if it is disabled', function () {
+      let cwd = process.cwd();
+      let dir = tmp.dirSync({ dir: 'test/.tmp', prefix: 'nodecipher-' }).name;
+      let withRc;
+      let withoutRc;
+
+      fs.writeFileSync(path.join(dir, '.nodecipherrc'), JSON.stringify({
+        salt: 'abracadabra'
+      }));
+
+      try {
+        process.chdir(dir);
+        withRc = new NodeCipher();
+        withoutRc = new NodeCipher({ rc: false });
+      } finally {
+        process.chdir(cwd);
+      }
+
+      expect(withRc.config.salt).to.equal('abracadabra');
+      expect(withoutRc.config.salt).to.equal(nodecipher.defaults.salt);
+    });
+
+    it('should resolve the manifest relative to the rc file', function () {
+      let cwd = process.cwd();
+      let dir = tmp.dirSync({ dir: 'test/.tmp', prefix: 'nodecipher-' }).name;
+      let instance;
+
+      fs.mkdirsSync(path.join(dir, 'sub'));
+      fs.writeFileSync(path.join(dir, '.nodecipherrc'), JSON.stringify({
+        files: {
+          'secrets.json': 'secrets.json.enc'
+        }
+      }));
+
+      try {
+        process.chdir(path.join(dir, 'sub'));
+        instance = new NodeCipher();
+      } finally {
+        process.chdir(cwd);
+      }
+
+      expect(instance.files).to.deep.equal([{
+        input: path.join('..', 'secrets.json'),
+        output: path.join('..', 'secrets.json.enc'),
+        options: {},
+        source: path.resolve(dir, '.nodecipherrc')
+      }]);
+    });
+
+    it('should report unknown options along with their source', function () {
+      let cwd = process.cwd();
+      let dir = tmp.dirSync({ dir: 'test/.tmp', prefix: 'nodecipher-' }).name;
+      let rcPath = path.resolve(dir, '.nodecipherrc');
+
+      fs.writeFileSync(rcPath, JSON.stringify({ iteration: 5000 }));
+
+      try {
+        process.chdir(dir);
+        new NodeCipher();
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.BAD_CONFIG);
+        expect(err.errors).to.have.length(1);
+        expect(err.errors[0].option).to.equal('iteration');
+        expect(err.errors[0].source).to.equal(rcPath);
+        expect(err.message).to.contain('Did you mean "iterations"?');
+        return;
+      } finally {
+        process.chdir(cwd);
+      }
+
+      throw new Error('Expected the constructor to throw.');
+    });
+
+    it('should report every invalid value along with its source', function () {
+      process.env.nodecipher_iterations = 'many';
+
+      try {
+        new NodeCipher({ config: { keylen: 'long' } });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.BAD_CONFIG);
+        expect(_.map(err.errors, 'option')).to.deep.equal([
+          'iterations',
+          'keylen'
+        ]);
+        expect(_.map(err.errors, 'source')).to.deep.equal([
+          'environment variable "nodecipher_iterations"',
+          'constructor'
+        ]);
+        return;
+      } finally {
+        delete process.env.nodecipher_iterations;
+      }
+
+      throw new Error('Expected the constructor to throw.');
+    });
+
+    it('should report invalid files within the manifest', function () {
+      try {
+        new NodeCipher({
+          rc: false,
+          config: {
+            files: {
+              'secrets.json': { algorithm: 'aes-256-gcm' }
+            }
+          }
+        });
+      } catch (err) {
+        expect(err.name).to.equal(nodecipher.errors.BAD_CONFIG);
+        expect(err.message).to.contain('"secrets.json"');
+        return;
+      }
+
+      throw new Error('Expected the constructor to throw.');
+    });
+
+    it('should report an invalid weak password policy', function () {
+      try {
+        new NodeCipher({ rc: false, config: { weakPasswords: 'ignore' } });
+      } catch (err) {
+        expect(err.code).to.equal(nodecipher.codes.BAD_CONFIG);
+        expect(err.message).to.contain('"weakPasswords" must be one of');
+        return;
+      }
+
+      throw new Error('Expected the constructor to throw.');
+    });
+
+    it('should report an invalid number of password attempts', function () {
+      try {
+        new NodeCipher({ rc: false, config: { passwordAttempts: 'many' } });
+      } catch (err) {
+        expect(err.code).to.equal(nodecipher.codes.BAD_CONFIG);
+        expect(err.message).to.contain('"passwordAttempts" must be an integer');
+        return;
+      }
+
+      throw new Error('Expected the constructor to throw.');
+    });
+
+    it('should not fail to be required if the config is invalid', function (done) {
+      let id = require.resolve('../lib/nodecipher');
+      let cached = require.cache[id];
+      let instance;
+
+      process.env.nodecipher_foo = '1';
+      delete require.cache[id];
+
+      try {
+        instance = require('../lib/nodecipher');
+      } finally {
+        delete process.env.nodecipher_foo;
+        require.cache[id] = cached;
+      }
+
+      expect(function () {
+        instance.encryptSync({
+          input: files[0].name,
+          output: files[1].name,
+          password: 'alakazam'
+        });
+      }).to.throw(instance.ConfigError, /"foo"/);
+
+      instance.encrypt({
+        input: files[0].name,
+        output: files[1].name,
+        password: 'alakazam'
+      }, function (err) {
+        should.exist(err);
+        expect(err.name).to.equal(nodecipher.errors.BAD_CONFIG);
+        expect(fs.readFileSync(files[1].name, 'utf8')).to.equal('');
+        done();
+      });
+    });
+
+    it('should only read the password from an environment variable within the rc file', function () {
+      let cwd = process.cwd();
+      let dir = tmp.dirSync({ dir: 'test/.tmp', prefix: 'nodecipher-' }).name;
+      let rcPath = path.resolve(dir, '.nodecipherrc');
+      let instance;
+
+      fs.writeFileSync(rcPath, JSON.stringify({
+        passwordFrom: { command: 'echo alakazam' }
+      }));
+
+      try {
+        process.chdir(dir);
+
+        expect(function () {
+          new NodeCipher();
+        }).to.throw(nodecipher.ConfigError, '"passwordFrom.command"');
+
+        fs.writeFileSync(rcPath, JSON.stringify({
+          passwordFrom: { env: 'CIPHER_TEST_PASSWORD' }
+        }));
+
+        instance = new NodeCipher();
+      } finally {
+        process.chdir(cwd);
+      }
+
+      expect(instance.config.passwordFrom)
+        .to.deep.equal({ env: 'CIPHER_TEST_PASSWORD' });
+      expect(new NodeCipher({
+        rc: false,
+        config: { passwordFrom: { command: 'echo alakazam' } }
+      }).config.passwordFrom).to.deep.equal({ command: 'echo alakazam' });
+    });
+
+    it('should only read the password from an environment variable within the manifest', function () {
+      expect(function () {
+        new NodeCipher({
+          rc: false,
+          config: {
+            files: {
+              'secrets.json': {
+                output: 'secrets.json.enc',
+                passwordFrom: { file: 'password.txt' }
+              }
+            }
+          }
+        });
+      }).to.throw(nodecipher.ConfigError, '"passwordFrom.file"');
+    });
+
+    it('should not load the agent from the rc file or the manifest', function () {
+      let cwd = process.cwd();
+      let dir = tmp.dirSync({ dir: 'test/.tmp', prefix: 'nodecipher-' }).name;
+      let rcPath = path.resolve(dir, '.nodecipherrc');
+      let instance;
+
+      fs.writeFileSync(rcPath, JSON.stringify({ agent: '/tmp/agent.sock' }));
+
+      try {
+        process.chdir(dir);
+
+        expect(function () {
+          new NodeCipher();
+        }).to.throw(nodecipher.ConfigError, 'nodecipher_agent');
+
+        fs.removeSync(rcPath);
+        process.env.nodecipher_agent = '/tmp/agent.sock';
+        instance = new NodeCipher();
+      } finally {
+        delete process.env.nodecipher_agent;
+        process.chdir(cwd);
+      }
+
+      expect(instance.config.agent).to.equal('/tmp/agent.sock');
+      expect(function () {
+        new NodeCipher({
+          rc: false,
+          config: {
+            files: {
+              'secrets.json': {
+                output: 'secrets.json.enc',
+                agent: '/tmp/agent.sock'
+              }
+            }
+          }
+        });
+      }).to.throw(nodecipher.ConfigError, '"agent" may not be set');
     });
   });
 });
@@ -12,8 +12,10 @@ require('shelljs/global');
 
 let _ = require('lodash');
 let chai = require('chai');
+let childProcess = require('child_process');
 let crypto = require('crypto');
 let fs = require('fs-extra');
+let path = require('path');
 let randomstring = require('randomstring');
 let tmp = require('tmp');
 
@@ -28,6 +30,45 @@ let bin = Package.bin.nodecipher;
 let expect = chai.expect;
 let should = chai.should();
 
+/**
+ * Runs the command within a pseudo terminal via `script`, so that it prompts
+ * for the password, then enters each of the given passwords in turn. Every
+ * prompt after the first must follow a wrong password. The `prompted`
+ * function is called before each password is entered.
+ *
+ * @param {string} cmd
+ * @param {Array} passwords
+ * @param {Function} prompted
+ * @param {Function} callback
+ */
+function execWithPasswords(cmd, passwords, prompted, callback) {
+  let child = childProcess.spawn('script', ['-qec', cmd, '/dev/null']);
+  let output = '';
+  let answered = 0;
+  let from = 0;
+
+  child.stdout.on('data', function (chunk) {
+    let rest;
+
+    output += chunk;
+    rest = output.slice(from);
+
+    if (answered === passwords.length ||
+        !(answered === 0 ? /Enter the password/ :
+          /Please try again[\s\S]*Enter the password/).test(rest)) {
+      return;
+    }
+
+    prompted(answered);
+    from = output.length;
+    child.stdin.write(passwords[answered++] + '\r');
+  });
+
+  child.on('close', function (code) {
+    callback(code, output);
+  });
+}
+
 describe('Flags', function () {
 
   this.timeout(5000);
@@ -124,6 +165,52 @@ describe('Flags', function () {
       });
     });
   });
+
+  /**
+   * Test specs for require.
+   *
+   * - should accept --require
+   */
+  describe('require', function () {
+
+    it('should accept --require', function (done) {
+      let cmd = bin + ' --require ./test/fixtures/plugin.js --algorithms';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(0);
+        expect(output.split('\n')).to.include('test-plugin-cipher');
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for kdfs.
+   *
+   * - should accept --kdfs
+   * - should accept -K
+   */
+  describe('kdfs', function () {
+
+    it('should accept --kdfs', function (done) {
+      let cmd = bin + ' --kdfs';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(output.split('\n')).to.include('pbkdf2');
+        done();
+      });
+    });
+
+    it('should accept -K', function (done) {
+      let cmd = bin + ' -K';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(output.split('\n')).to.include('pbkdf2');
+        done();
+      });
+    });
+  });
+
   /**
    * Test specs for hashes.
    *
@@ -240,6 +327,15 @@ describe('Commands', function () {
    * - should succeed using a custom keylen
    * - should succeed using a custom digest
    * - should succeed using a custom algorithm
+   * - should read the input from stdin
+   * - should encrypt each file within a directory
+   * - should list every invalid option
+   * - should warn about weak passwords
+   * - should refuse weak passwords if the config refuses them
+   * - should read the password from a file
+   * - should read the password from an environment variable
+   * - should fail if the password source is missing
+   * - should encrypt and decrypt using a keyfile without a password
    */
   describe('encrypt', function () {
 
@@ -337,6 +433,186 @@ describe('Commands', function () {
         done();
       });
     });
+
+    it('should read the input from stdin', function (done) {
+      let cmd = 'cat ' + files[0].name + ' | ' + bin + ' encrypt' +
+        ' -' +
+        ' ' + files[1].name +
+        ' -p alakazam';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(0);
+        expect(output).to.contain('Success');
+
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should encrypt each file within a directory', function (done) {
+      let input = tmp.dirSync({ dir: 'test/.tmp' }).name;
+      let dest = input + '-out';
+      let cmd = bin + ' encrypt' +
+        ' ' + input +
+        ' ' + dest +
+        ' -p alakazam' +
+        ' -e .enc' +
+        ' --include "*.json"' +
+        ' --exclude "b/**"';
+
+      fs.outputFileSync(input + '/a.json', content);
+      fs.outputFileSync(input + '/a.txt', content);
+      fs.outputFileSync(input + '/b/c.json', content);
+      fs.outputFileSync(input + '/d/e.json', content);
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(0);
+        expect(output).to.contain('Success');
+        expect(fs.readdirSync(dest)).to.deep.equal(['a.json.enc', 'd']);
+        expect(fs.readdirSync(dest + '/d')).to.deep.equal(['e.json.enc']);
+        done();
+      });
+    });
+
+    it('should list every invalid option', function (done) {
+      let cmd = bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' -p alakazam' +
+        ' -a foobar' +
+        ' -d barbaz';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(1);
+        expect(output).to.contain(nodecipher.errors.BAD_DIGEST);
+        expect(output).to.contain('2 options are invalid.');
+        expect(output).to.contain('"foobar" is not a valid cipher algorithm.');
+        expect(output).to.contain('"barbaz" is not a valid digest hash.');
+        expect(output).to.contain('--algorithms');
+        expect(output).to.contain('--hashes');
+        done();
+      });
+    });
+
+    it('should warn about weak passwords', function (done) {
+      let cmd = bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' -p abc123';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(0);
+        expect(output).to.contain('Warning: The password is very weak');
+        expect(output).to.contain('Success');
+        done();
+      });
+    });
+
+    it('should refuse weak passwords if the config refuses them', function (done) {
+      let dir = tmp.dirSync({ dir: 'test/.tmp', prefix: 'nodecipher-' }).name;
+      let cmd = 'cd ' + dir + ' && ' + path.resolve(bin) + ' encrypt' +
+        ' ' + path.resolve(files[0].name) +
+        ' out.enc' +
+        ' -p abc123';
+
+      fs.writeFileSync(path.join(dir, '.nodecipherrc'), JSON.stringify({
+        weakPasswords: 'refuse'
+      }));
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(1);
+        expect(output).to.contain(nodecipher.errors.BAD_PASSWORD);
+        expect(output).to.contain('minPasswordEntropy');
+        expect(fs.existsSync(path.join(dir, 'out.enc'))).to.be.false;
+        done();
+      });
+    });
+
+    it('should read the password from a file', function (done) {
+      let cmd = bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' --password-file ' + files[2].name;
+
+      fs.writeFileSync(files[2].name, 'alakazam\n');
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(0);
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should read the password from an environment variable', function (done) {
+      let cmd = 'CIPHER_TEST_PASSWORD=alakazam ' + bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' --password-env CIPHER_TEST_PASSWORD';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(0);
+        nodecipher.decryptSync({
+          input: files[1].name,
+          output: files[2].name,
+          password: 'alakazam'
+        });
+        expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should fail if the password source is missing', function (done) {
+      let cmd = bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' --password-file test/.tmp/does-not-exist.txt';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(1);
+        expect(output).to.contain(nodecipher.errors.BAD_PASSWORD);
+        expect(output).to.contain(
+          'The password file "test/.tmp/does-not-exist.txt" does not exist.'
+        );
+        done();
+      });
+    });
+
+    it('should encrypt and decrypt using a keyfile without a password', function (done) {
+      let cmd = bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' --keyfile ' + files[2].name +
+        ' < /dev/null';
+
+      fs.writeFileSync(files[2].name, crypto.randomBytes(64));
+
+      exec(cmd, { silent: true }, function (code) {
+        expect(code).to.equal(0);
+
+        cmd = bin + ' decrypt' +
+          ' ' + files[1].name +
+          ' ' + files[0].name +
+          ' --keyfile ' + files[2].name +
+          ' < /dev/null';
+
+        exec(cmd, { silent: true }, function (code) {
+          expect(code).to.equal(0);
+          expect(fs.readFileSync(files[0].name, 'utf8')).to.equal(content);
+          done();
+        });
+      });
+    });
   });
 
   /**
@@ -349,12 +625,18 @@ describe('Commands', function () {
    * - should succeed using a custom digest
    * - should succeed using a custom algorithm
    * - should fail when using the wrong password
-   * - should fail when using the wrong salt
-   * - should fail when using the wrong number of iterations
-   * - should fail when using the wrong keylen
-   * - should fail when using the wrong digest
-   * - should fail when using the wrong algorithm
+   * - should succeed using scrypt
+   * - should prefer the options recorded within the header
+   * - should fail when using the wrong salt without a header
    * - should fail if the input file does not exist
+   * - should write the output to stdout
+   * - should write messages to stderr when writing the output to stdout
+   * - should not write a tampered file to stdout
+   * - should leave the output file untouched when reading stdin fails
+   * - should leave the output file untouched when stdin has been tampered with
+   * - should prompt again after a wrong password
+   * - should not prompt again after a filesystem error
+   * - should fail once every password attempt is wrong
    */
   describe('decrypt', function () {
 
@@ -543,103 +825,575 @@ describe('Commands', function () {
       exec(cmd, { silent: true }, function (code, output) {
         expect(output).to.be.a('string');
         expect(output).to.have.length.above(0);
-        expect(output).to.contain(nodecipher.errors.BAD_DECRYPT);
+        expect(output).to.contain(nodecipher.errors.WRONG_PASSWORD);
         expect(output).to.contain('password');
         done();
       });
     });
 
-    it('should fail when using the wrong salt', function (done) {
+    it('should succeed using scrypt', function (done) {
+      let encryptCmd = bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' -p alakazam' +
+        ' -k scrypt' +
+        ' --cost 1024';
+      let cmd = bin + ' decrypt' +
+        ' ' + files[1].name +
+        ' ' + files[2].name +
+        ' -p alakazam';
+
+      // Overwrite the encrypted file using scrypt.
+      exec(encryptCmd, { silent: true }, function (code, output) {
+        expect(output).to.contain('Success');
+
+        exec(cmd, { silent: true }, function (code, output) {
+          expect(output).to.contain('Success');
+
+          fs.readFile(files[2].name, 'utf8', function (err, data) {
+            should.not.exist(err);
+            expect(data).to.equal(content);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should succeed using a cipher registered by a plugin', function (done) {
+      let encryptCmd = bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' -p alakazam' +
+        ' -a test-plugin-cipher' +
+        ' --require ./test/fixtures/plugin.js';
+      let cmd = bin + ' decrypt' +
+        ' ' + files[1].name +
+        ' ' + files[2].name +
+        ' -p alakazam' +
+        ' --require ./test/fixtures/plugin.js';
+
+      // Overwrite the encrypted file using the plugin cipher.
+      exec(encryptCmd, { silent: true }, function (code, output) {
+        expect(output).to.contain('Success');
+
+        exec(cmd, { silent: true }, function (code, output) {
+          expect(output).to.contain('Success');
+
+          fs.readFile(files[2].name, 'utf8', function (err, data) {
+            should.not.exist(err);
+            expect(data).to.equal(content);
+            done();
+          });
+        });
+      });
+    });
+
+    it('should prefer the options recorded within the header', function (done) {
       let cmd = bin + ' decrypt' +
         ' ' + files[1].name +
         ' ' + files[2].name +
         ' -p alakazam ' +
-        ' -s wrongsalt';
+        ' -s wrongsalt' +
+        ' -i 1001' +
+        ' -l 256' +
+        ' -d sha256' +
+        ' -a aes-128-cbc';
 
       exec(cmd, { silent: true }, function (code, output) {
         expect(output).to.be.a('string');
-        expect(output).to.have.length.above(0);
-        expect(output).to.contain(nodecipher.errors.BAD_DECRYPT);
-        expect(output).to.contain('salt');
-        done();
+        expect(output).to.contain('Success');
+
+        fs.readFile(files[2].name, 'utf8', function (err, data) {
+          should.not.exist(err);
+          expect(data).to.equal(content);
+          done();
+        });
       });
     });
 
-    it('should fail when using the wrong number of iterations', function (done) {
+    it('should fail when using the wrong salt without a header', function (done) {
       let cmd = bin + ' decrypt' +
         ' ' + files[1].name +
         ' ' + files[2].name +
         ' -p alakazam ' +
-        ' -i 1001';
+        ' -s wrongsalt';
+
+      // Overwrite the encrypted file with one that has no header.
+      let defaults = nodecipher.defaults;
+      let key = crypto.pbkdf2Sync(
+        'alakazam',
+        defaults.salt,
+        defaults.iterations,
+        defaults.keylen,
+        defaults.digest
+      );
+      let cipher = crypto.createCipher(defaults.algorithm, key.toString('hex'));
+
+      fs.writeFileSync(files[1].name, Buffer.concat([
+        cipher.update(content),
+        cipher.final()
+      ]));
 
       exec(cmd, { silent: true }, function (code, output) {
         expect(output).to.be.a('string');
         expect(output).to.have.length.above(0);
         expect(output).to.contain(nodecipher.errors.BAD_DECRYPT);
-        expect(output).to.contain('iterations');
+        expect(output).to.contain('salt');
         done();
       });
     });
 
-    it('should fail when using the wrong keylen', function (done) {
-      let cmd = bin + ' decrypt' +
-        ' ' + files[1].name +
+    it('should fail if the input file does not exist', function (done) {
+      let cmd = bin + ' decrypt ' +
+        ' ' + 'notarealfile.txt' +
         ' ' + files[2].name +
-        ' -p alakazam ' +
-        ' -l 256';
+        ' -p alakazam';
 
       exec(cmd, { silent: true }, function (code, output) {
         expect(output).to.be.a('string');
         expect(output).to.have.length.above(0);
-        expect(output).to.contain(nodecipher.errors.BAD_DECRYPT);
-        expect(output).to.contain('keylen');
+        expect(output).to.contain(nodecipher.errors.BAD_FILE);
+        expect(output).to.contain('does not exist');
         done();
       });
     });
 
-    it('should fail when using the wrong digest', function (done) {
+    it('should write the output to stdout', function (done) {
       let cmd = bin + ' decrypt' +
         ' ' + files[1].name +
-        ' ' + files[2].name +
-        ' -p alakazam ' +
-        ' -d sha256';
+        ' -' +
+        ' -p alakazam' +
+        ' 2>/dev/null';
 
       exec(cmd, { silent: true }, function (code, output) {
-        expect(output).to.be.a('string');
-        expect(output).to.have.length.above(0);
-        expect(output).to.contain(nodecipher.errors.BAD_DECRYPT);
-        expect(output).to.contain('digest');
+        expect(code).to.equal(0);
+        expect(output).to.equal(content);
         done();
       });
     });
 
-    it('should fail when using the wrong algorithm', function (done) {
+    it('should write messages to stderr when writing the output to stdout',
+      function (done) {
+        let cmd = bin + ' decrypt' +
+          ' ' + files[1].name +
+          ' -' +
+          ' -p abracadabra' +
+          ' 2>&1 >/dev/null';
+
+        exec(cmd, { silent: true }, function (code, output) {
+          expect(code).to.equal(1);
+          expect(output).to.contain('For security reasons');
+          expect(output).to.contain(nodecipher.errors.WRONG_PASSWORD);
+          done();
+        });
+      }
+    );
+
+    it('should not write a tampered file to stdout', function (done) {
       let cmd = bin + ' decrypt' +
         ' ' + files[1].name +
-        ' ' + files[2].name +
-        ' -p alakazam ' +
-        ' -a aes-128-cbc';
+        ' -' +
+        ' -p alakazam' +
+        ' 2>/dev/null';
+      let data = fs.readFileSync(files[1].name);
+
+      data[data.length - 40] ^= 0xff;
+      fs.writeFileSync(files[1].name, data);
 
       exec(cmd, { silent: true }, function (code, output) {
-        expect(output).to.be.a('string');
-        expect(output).to.have.length.above(0);
-        expect(output).to.contain(nodecipher.errors.BAD_DECRYPT);
-        expect(output).to.contain('algorithm');
+        expect(code).to.equal(1);
+        expect(output).to.equal('');
         done();
       });
     });
 
-    it('should fail if the input file does not exist', function (done) {
-      let cmd = bin + ' decrypt ' +
-        ' ' + 'notarealfile.txt' +
-        ' ' + files[2].name +
+    it('should leave the output file untouched when reading stdin fails',
+      function (done) {
+        let cmd = 'cat ' + files[1].name + ' | ' + bin + ' decrypt' +
+          ' -' +
+          ' ' + files[2].name +
+          ' -p abracadabra';
+
+        fs.writeFileSync(files[2].name, 'existing');
+
+        exec(cmd, { silent: true }, function (code, output) {
+          expect(code).to.equal(1);
+          expect(output).to.contain(nodecipher.errors.WRONG_PASSWORD);
+          expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('existing');
+          expect(_.filter(fs.readdirSync(path.dirname(files[2].name)), name => {
+            return _.startsWith(name, '.' + path.basename(files[2].name));
+          })).to.be.empty;
+          done();
+        });
+      }
+    );
+
+    it('should leave the output file untouched when stdin has been tampered with',
+      function (done) {
+        let cmd = 'cat ' + files[1].name + ' | ' + bin + ' decrypt' +
+          ' -' +
+          ' ' + files[2].name +
+          ' -p alakazam';
+        let data = fs.readFileSync(files[1].name);
+
+        data[data.length - 1] ^= 0xff;
+        fs.writeFileSync(files[1].name, data);
+        fs.writeFileSync(files[2].name, 'existing');
+
+        exec(cmd, { silent: true }, function (code, output) {
+          expect(code).to.equal(1);
+          expect(output).to.contain(nodecipher.errors.CORRUPT_DATA);
+          expect(fs.readFileSync(files[2].name, 'utf8')).to.equal('existing');
+          expect(_.filter(fs.readdirSync(path.dirname(files[2].name)), name => {
+            return _.startsWith(name, '.' + path.basename(files[2].name));
+          })).to.be.empty;
+          done();
+        });
+      }
+    );
+
+    it('should prompt again after a wrong password', function (done) {
+      let output = files[2].name + '-out';
+      let cmd = path.resolve(bin) + ' decrypt' +
+        ' ' + files[1].name +
+        ' ' + output;
+
+      execWithPasswords(cmd, ['abracadabra', 'alakazam'], function () {
+        expect(fs.existsSync(output)).to.be.false;
+      }, function (code, stdout) {
+        expect(code).to.equal(0);
+        expect(stdout).to.contain('The password is incorrect. Please try ' +
+          'again (2 attempts remaining).');
+        expect(stdout).to.contain('Success');
+        expect(fs.readFileSync(output, 'utf8')).to.equal(content);
+        done();
+      });
+    });
+
+    it('should not prompt again after a filesystem error', function (done) {
+      let cmd = path.resolve(bin) + ' decrypt' +
+        ' ' + files[1].name +
+        ' ' + path.join(files[2].name, 'output.txt');
+      let passwords = ['alakazam', 'alakazam', 'alakazam'];
+
+      execWithPasswords(cmd, passwords, _.noop, function (code, stdout) {
+        expect(code).to.equal(1);
+        expect(stdout).to.not.contain('Please try again');
+        expect(stdout).to.not.contain(nodecipher.errors.BAD_DECRYPT);
+        done();
+      });
+    });
+
+    it('should fail once every password attempt is wrong', function (done) {
+      let output = files[2].name;
+      let cmd = path.resolve(bin) + ' decrypt' +
+        ' ' + files[1].name +
+        ' ' + output;
+      let passwords = ['abracadabra', 'hocuspocus', 'shazam'];
+      let ino;
+
+      fs.writeFileSync(output, 'existing');
+      ino = fs.statSync(output).ino;
+
+      execWithPasswords(cmd, passwords, function () {
+        expect(fs.statSync(output).ino).to.equal(ino);
+        expect(fs.readFileSync(output, 'utf8')).to.equal('existing');
+      }, function (code, stdout) {
+        expect(code).to.equal(1);
+        expect(stdout).to.contain('(1 attempt remaining)');
+        expect(stdout).to.contain(nodecipher.errors.WRONG_PASSWORD);
+        expect(stdout).to.contain('The password for "' + files[1].name +
+          '" is incorrect.');
+        expect(fs.statSync(output).ino).to.equal(ino);
+        expect(fs.readFileSync(output, 'utf8')).to.equal('existing');
+        expect(_.filter(fs.readdirSync(path.dirname(output)), name => {
+          return _.startsWith(name, '.' + path.basename(output));
+        })).to.be.empty;
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for pack and unpack.
+   *
+   * - should pack files into an archive and unpack them
+   * - should fail without an output archive
+   * - should only unpack the given entry
+   */
+  describe('pack', function () {
+
+    it('should pack files into an archive and unpack them', function (done) {
+      let dest = files[2].name + '-out';
+      let cmd = bin + ' pack' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
         ' -p alakazam';
 
       exec(cmd, { silent: true }, function (code, output) {
-        expect(output).to.be.a('string');
-        expect(output).to.have.length.above(0);
-        expect(output).to.contain(nodecipher.errors.BAD_FILE);
-        expect(output).to.contain('does not exist');
+        expect(code).to.equal(0);
+        expect(output).to.contain('Success');
+
+        cmd = bin + ' unpack' +
+          ' ' + files[1].name +
+          ' ' + dest +
+          ' -p alakazam';
+
+        exec(cmd, { silent: true }, function (code, output) {
+          expect(code).to.equal(0);
+          expect(output).to.contain('Success');
+          expect(fs.readFileSync(dest + '/' + files[0].name, 'utf8'))
+            .to.equal(content);
+          done();
+        });
+      });
+    });
+
+    it('should fail without an output archive', function (done) {
+      let cmd = bin + ' pack' +
+        ' ' + files[0].name +
+        ' -p alakazam';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(1);
+        expect(output).to.contain('output archive are required');
+        done();
+      });
+    });
+
+    it('should only unpack the given entry', function (done) {
+      let dest = files[2].name + '-out';
+      let cmd = bin + ' pack' +
+        ' ' + files[0].name +
+        ' test/cli.js' +
+        ' ' + files[1].name +
+        ' -p alakazam';
+
+      exec(cmd, { silent: true }, function (code) {
+        expect(code).to.equal(0);
+
+        cmd = bin + ' unpack' +
+          ' ' + files[1].name +
+          ' ' + dest +
+          ' --entry ' + files[0].name +
+          ' -p alakazam';
+
+        exec(cmd, { silent: true }, function (code) {
+          expect(code).to.equal(0);
+          expect(fs.readFileSync(dest + '/' + files[0].name, 'utf8'))
+            .to.equal(content);
+          expect(fs.existsSync(dest + '/test/cli.js')).to.be.false;
+          done();
+        });
+      });
+    });
+  });
+
+  /**
+   * Test specs for encrypt-all and decrypt-all.
+   *
+   * - should encrypt and decrypt every file within the manifest
+   * - should fail without a manifest
+   */
+  describe('encrypt-all', function () {
+
+    let dir;
+
+    beforeEach('write the rc file', function () {
+      dir = tmp.dirSync({ dir: 'test/.tmp', prefix: 'nodecipher-' }).name;
+
+      fs.writeFileSync(path.join(dir, 'secrets.json'), content);
+      fs.writeFileSync(path.join(dir, '.nodecipherrc'), JSON.stringify({
+        files: {
+          'secrets.json': 'secrets.json.enc'
+        }
+      }));
+    });
+
+    it('should encrypt and decrypt every file within the manifest', function (done) {
+      let cmd = 'cd ' + dir + ' && ' + path.resolve(bin) +
+        ' encrypt-all -p alakazam';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(0);
+        expect(output).to.contain('secrets.json → secrets.json.enc');
+
+        fs.removeSync(path.join(dir, 'secrets.json'));
+
+        cmd = 'cd ' + dir + ' && ' + path.resolve(bin) +
+          ' decrypt-all -p alakazam';
+
+        exec(cmd, { silent: true }, function (code) {
+          expect(code).to.equal(0);
+          expect(fs.readFileSync(path.join(dir, 'secrets.json'), 'utf8'))
+            .to.equal(content);
+          done();
+        });
+      });
+    });
+
+    it('should fail without a manifest', function (done) {
+      let cmd = bin + ' encrypt-all -p alakazam';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(1);
+        expect(output).to.contain('"files"');
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for config.
+   *
+   * - should show the source of each option
+   * - should fail if the rc file is invalid
+   */
+  describe('config', function () {
+
+    let dir;
+
+    beforeEach('make the project directory', function () {
+      dir = tmp.dirSync({ dir: 'test/.tmp', prefix: 'nodecipher-' }).name;
+    });
+
+    it('should show the source of each option', function (done) {
+      let cmd = 'cd ' + dir + ' && ' + path.resolve(bin) + ' config';
+
+      fs.writeFileSync(path.join(dir, '.nodecipherrc'), JSON.stringify({
+        salt: 'alakazam'
+      }));
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(0);
+        expect(output).to.contain('salt: "alakazam"');
+        expect(output).to.contain('.nodecipherrc)');
+        expect(output).to.contain('(defaults)');
+        done();
+      });
+    });
+
+    it('should fail if the rc file is invalid', function (done) {
+      let cmd = 'cd ' + dir + ' && ' + path.resolve(bin) + ' encrypt' +
+        ' a.txt b.txt -p alakazam';
+
+      fs.writeFileSync(path.join(dir, '.nodecipherrc'), JSON.stringify({
+        iteration: 5000
+      }));
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(1);
+        expect(output).to.contain(nodecipher.errors.BAD_CONFIG);
+        expect(output).to.contain('Did you mean "iterations"?');
+        done();
+      });
+    });
+  });
+
+  /**
+   * Test specs for list.
+   *
+   * - should list the files within an archive
+   * - should fail if the file is not an archive
+   */
+  describe('list', function () {
+
+    it('should list the files within an archive', function (done) {
+      let cmd = bin + ' pack' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' -p alakazam';
+
+      exec(cmd, { silent: true }, function (code) {
+        expect(code).to.equal(0);
+
+        cmd = bin + ' list' +
+          ' ' + files[1].name +
+          ' -p alakazam';
+
+        exec(cmd, { silent: true }, function (code, output) {
+          expect(code).to.equal(0);
+          expect(output).to.contain(files[0].name);
+          expect(output).to.contain(String(content.length));
+          done();
+        });
+      });
+    });
+
+    it('should fail if the file is not an archive', function (done) {
+      let cmd = bin + ' encrypt' +
+        ' ' + files[0].name +
+        ' ' + files[1].name +
+        ' -p alakazam';
+
+      exec(cmd, { silent: true }, function (code) {
+        expect(code).to.equal(0);
+
+        cmd = bin + ' list' +
+          ' ' + files[1].name +
+          ' -p alakazam';
+
+        exec(cmd, { silent: true }, function (code, output) {
+          expect(code).to.equal(1);
+          expect(output).to.contain(nodecipher.errors.BAD_ARCHIVE);
+          done();
+        });
+      });
+    });
+  });
+
+  /**
+   * Test specs for agent.
+   *
+   * - should decrypt without a password using the agent
+   * - should fail to stop the agent if none is running
+   */
+  describe('agent', function () {
+
+    it('should decrypt without a password using the agent', function (done) {
+      exec(bin + ' agent', { silent: true }, function (code, output) {
+        let env;
+        let cmd;
+
+        expect(code).to.equal(0);
+        expect(output).to.contain('export nodecipher_agent;');
+
+        env = output.slice(0, output.indexOf(';')) + ' ';
+        cmd = env + bin + ' encrypt' +
+          ' ' + files[0].name +
+          ' ' + files[1].name +
+          ' -p alakazam';
+
+        exec(cmd, { silent: true }, function (code) {
+          expect(code).to.equal(0);
+
+          cmd = env + bin + ' decrypt' +
+            ' ' + files[1].name +
+            ' ' + files[2].name +
+            ' < /dev/null';
+
+          exec(cmd, { silent: true }, function (code) {
+            expect(code).to.equal(0);
+            expect(fs.readFileSync(files[2].name, 'utf8')).to.equal(content);
+
+            exec(env + bin + ' agent --kill', { silent: true },
+              function (code, output) {
+                expect(code).to.equal(0);
+                expect(output).to.contain('killed');
+                done();
+              });
+          });
+        });
+      });
+    });
+
+    it('should fail to stop the agent if none is running', function (done) {
+      let cmd = 'nodecipher_agent=test/.tmp/missing.sock ' + bin +
+        ' agent --kill';
+
+      exec(cmd, { silent: true }, function (code, output) {
+        expect(code).to.equal(1);
+        expect(output).to.contain('could not be reached');
         done();
       });
     });
@@ -0,0 +1,21 @@
+/**
+ * @fileoverview A node-cipher plugin used by the CLI test specs.
+ * @author Nathan Buchar
+ */
+
+'use strict';
+
+let crypto = require('crypto');
+
+module.exports = function (nodecipher) {
+  nodecipher.registerCipher('test-plugin-cipher', {
+    keyLength: 32,
+    ivLength: 16,
+    createCipher(key, iv) {
+      return crypto.createCipheriv('aes-256-ctr', key, iv);
+    },
+    createDecipher(key, iv) {
+      return crypto.createDecipheriv('aes-256-ctr', key, iv);
+    }
+  });
+};